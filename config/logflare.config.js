@@ -3,72 +3,343 @@
  * Provides logging infrastructure for the application
  */
 
-// Mock logger implementation (replace with actual Logflare SDK when available)
+import {
+  postWithRetry,
+  splitBatches,
+  flushQueues,
+  deliveryFromEnv,
+  queueFromEnv,
+  pickQueueOptions,
+  createStderrFallback,
+  DeliveryQueue,
+  DeliveryError,
+} from "../lib/http-delivery.js";
+import { globToRegExp } from "../lib/log-sampling.js";
+import { getSpool } from "../lib/spool.js";
+
+const ROUTE_FIELDS = ["level", "component", "operation"];
+
+/**
+ * Parse "operation:security_*=<source>,level:fatal=<source>" into routing
+ * rules; each key is a record field (level, component or operation) and a glob
+ * @returns {Array} [{ source, level?, component?, operation? }]
+ */
+export function parseRoutes(spec) {
+  if (!spec) return [];
+  return spec.split(",").map((entry) => {
+    const [key = "", source] = entry.split("=").map((part) => part.trim());
+    const separator = key.indexOf(":");
+    const field = key.slice(0, separator);
+    const pattern = key.slice(separator + 1);
+    return separator > 0 && ROUTE_FIELDS.includes(field) && pattern && source
+      ? { source, [field]: pattern }
+      : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Compile rules into matchers; a rule matches when every field it names
+ * matches the record (a glob or an array of globs per field)
+ */
+function compileRoutes(routes) {
+  return routes.map(({ source, ...fields }) => {
+    const tests = ROUTE_FIELDS.filter((field) => fields[field] !== undefined).map((field) => {
+      const regexes = [].concat(fields[field]).map((pattern) => globToRegExp(String(pattern)));
+      return (entry) => entry[field] !== undefined
+        && regexes.some((regex) => regex.test(String(entry[field])));
+    });
+    return { source, matches: (entry) => tests.length > 0 && tests.every((test) => test(entry)) };
+  });
+}
+
+/**
+ * Default fallback sink: batches that could not be delivered are written to
+ * stderr as NDJSON, after one line describing the failure
+ */
+export const stderrFallback = createStderrFallback("logflare");
+
+/**
+ * Logflare event shape: a message plus structured metadata
+ */
+function toLogflareEvent({ timestamp, message, metadata, ...fields }) {
+  return {
+    message: typeof message === "string" ? message : fields.operation || fields.level,
+    timestamp,
+    metadata: {
+      ...fields,
+      ...(message !== undefined && typeof message !== "string" && { message }),
+      ...metadata,
+    },
+  };
+}
+
+/**
+ * A root LogflareLogger owns the credentials, routing rules and delivery
+ * queue; child loggers add bindings and feed the root's queue, so every
+ * record of the process is batched and flushed together
+ */
 class LogflareLogger {
   constructor(config = {}) {
-    this.config = config;
-    this.buffer = [];
-    this.apiKey = process.env.LOGFLARE_API_KEY;
-    this.sourceId = process.env.LOGFLARE_SOURCE_ID;
-    this.endpoint = process.env.LOGFLARE_ENDPOINT || "https://api.logflare.app/logs";
+    if (config.parent) {
+      this.root = config.parent.root;
+      this.bindings = { ...config.parent.bindings, ...config.bindings };
+      this.queue = this.root.queue;
+      return;
+    }
+
+    this.root = this;
+    this.bindings = { ...config.bindings };
+    this.apiKey = config.apiKey ?? process.env.LOGFLARE_API_KEY;
+    this.sourceId = config.sourceId
+      ?? (process.env.LOGFLARE_SOURCE_ID || process.env.LOGFLARE_SOURCE_TOKEN);
+    this.endpoint = config.endpoint
+      || process.env.LOGFLARE_ENDPOINT
+      || `${process.env.LOGFLARE_API_BASE_URL || "https://api.logflare.app"}/logs`;
+    this.delivery = { ...deliveryFromEnv("LOGFLARE"), ...config.delivery };
+    this.fallback = config.fallback || stderrFallback;
+    // First matching rule wins; unmatched records go to sourceId
+    this.routes = compileRoutes(config.routes ?? parseRoutes(process.env.LOGFLARE_ROUTES));
+    this.sourceStats = {};
+    // Optional write-ahead spool for batches that fail while the endpoint is unreachable
+    this.spool = config.spool !== undefined
+      ? config.spool
+      : (process.env.LOGFLARE_SPOOL_DIR ? getSpool() : null);
+
+    this.queue = new DeliveryQueue({
+      ...queueFromEnv("LOGFLARE"),
+      ...pickQueueOptions(config),
+      name: "logflare",
+      send: (entries) => this.send(entries),
+      fallback: (entries, error) => this.reportFailure(entries, error),
+    });
+
+    const replayOnStart = config.replayOnStart ?? process.env.LOGFLARE_SPOOL_REPLAY_ON_START !== "false";
+    if (this.spool && replayOnStart && this.apiKey) {
+      setImmediate(() => this.replaySpool().catch((err) => {
+        console.error("Logflare spool replay failed:", err);
+      }));
+    }
+  }
+
+  /**
+   * Logger whose records carry `bindings` and share this logger's queue
+   */
+  child(bindings = {}) {
+    return new LogflareLogger({ parent: this, bindings });
   }
 
   log(level, data) {
+    const fields = { ...this.bindings, ...data };
     const logEntry = {
       timestamp: new Date().toISOString(),
       level,
-      ...data,
+      ...fields,
       metadata: {
-        ...data.metadata,
+        ...fields.metadata,
         environment: process.env.NODE_ENV || "development",
       },
     };
 
-    // In production, send to Logflare
-    if (this.apiKey && this.sourceId) {
-      this.buffer.push(logEntry);
-      if (this.buffer.length >= 10) {
-        this.flush();
-      }
-    }
-
-    // Also log to console in development
-    if (process.env.NODE_ENV === "development") {
-      console.log(`[${level.toUpperCase()}]`, data);
-    }
+    // Console output belongs to ConsoleTransport; this logger only ships to Logflare
+    if (!this.root.apiKey || !this.root.sourceId) return undefined;
+    return this.queue.push(logEntry);
   }
 
   info(data) {
-    this.log("info", data);
+    return this.log("info", data);
   }
 
   debug(data) {
-    this.log("debug", data);
+    return this.log("debug", data);
   }
 
   warn(data) {
-    this.log("warn", data);
+    return this.log("warn", data);
   }
 
   error(data) {
-    this.log("error", data);
+    return this.log("error", data);
   }
 
   fatal(data) {
-    this.log("fatal", data);
+    return this.log("fatal", data);
   }
 
-  async flush() {
-    if (this.buffer.length === 0) return;
+  /**
+   * Resolves once records held back by the `block` overflow policy are buffered
+   */
+  drain() {
+    return this.queue.whenAdmitted();
+  }
+
+  /**
+   * Ship everything buffered in the shared queue
+   * @returns {Promise<Object>} { delivered, failed }
+   */
+  flush() {
+    return this.queue.flush();
+  }
+
+  /**
+   * Source ID for a record: the first matching route, else sourceId
+   */
+  route(entry) {
+    const rule = this.root.routes.find((candidate) => candidate.matches(entry));
+    return rule ? rule.source : this.root.sourceId;
+  }
+
+  /**
+   * Ingest URL; Logflare reads the source ID from the `source` query parameter
+   */
+  ingestUrl(source = this.root.sourceId) {
+    const url = new URL(this.root.endpoint);
+    url.searchParams.set("source", source);
+    return url.toString();
+  }
 
-    const logs = [...this.buffer];
-    this.buffer = [];
+  /**
+   * Queue sender: group records by routed source, keeping their order
+   * @returns {Promise<Object>} { delivered, failed }
+   */
+  async send(logs) {
+    const bySource = new Map();
+    logs.forEach((entry) => {
+      const source = this.route(entry);
+      if (!bySource.has(source)) bySource.set(source, []);
+      bySource.get(source).push(toLogflareEvent(entry));
+    });
 
-    // In production, would send to Logflare API
-    if (this.apiKey && this.sourceId) {
-      // TODO: Implement actual Logflare API call
-      console.log(`Flushing ${logs.length} logs to Logflare`);
+    const result = { delivered: 0, failed: 0 };
+    for (const [source, events] of bySource) {
+      const sent = await this.sendToSource(source, events);
+      const counts = this.sourceStats[source] ??= { delivered: 0, failed: 0 };
+      counts.delivered += sent.delivered;
+      counts.failed += sent.failed;
+      result.delivered += sent.delivered;
+      result.failed += sent.failed;
     }
+    return result;
+  }
+
+  /**
+   * POST one batch of events to a source
+   * @throws {DeliveryError} When retries are exhausted or the batch is rejected
+   */
+  async postBatch(source, batch) {
+    await postWithRetry({
+      url: this.ingestUrl(source),
+      headers: { "X-API-KEY": this.root.apiKey },
+      body: JSON.stringify({ batch }),
+    }, {
+      ...this.root.delivery,
+      onRetry: () => {
+        this.queue.stats.retries++;
+      },
+    });
+    this.queue.stats.batches++;
+  }
+
+  /**
+   * Ship events to one source in size-limited gzip batches, in order
+   * 429/5xx responses and network errors are retried with exponential backoff
+   * and jitter. With a spool, a batch that still fails that way is written to
+   * disk, and so are the following batches without another attempt; other
+   * failures go to the fallback sink. A successful batch starts a replay of
+   * anything spooled earlier
+   * @returns {Promise<Object>} { delivered, failed }
+   */
+  async sendToSource(source, events) {
+    const { delivery, spool } = this.root;
+    const result = { delivered: 0, failed: 0 };
+    const { batches, oversized } = splitBatches(events, delivery);
+    if (oversized.length > 0) {
+      result.failed += this.reportFailure(oversized, new DeliveryError(
+        `Log entry larger than maxBatchBytes (${delivery.maxBatchBytes})`,
+      ));
+    }
+
+    let unreachable = null;
+    for (const batch of batches) {
+      if (unreachable) {
+        result.failed += await this.spoolBatch(source, batch, unreachable);
+        continue;
+      }
+      try {
+        await this.postBatch(source, batch);
+        result.delivered += batch.length;
+      } catch (err) {
+        if (spool && err.retryable) {
+          unreachable = err;
+          result.failed += await this.spoolBatch(source, batch, err);
+        } else {
+          result.failed += this.reportFailure(batch, err);
+        }
+      }
+    }
+
+    if (!unreachable && result.delivered > 0 && spool?.stats.segments > 0) {
+      this.replaySpool().catch((err) => {
+        console.error("Logflare spool replay failed:", err);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Persist a batch for replay; falls back to the fallback sink if the
+   * spool cannot be written
+   * @returns {Promise<number>} Number of records lost (0 once spooled)
+   */
+  async spoolBatch(source, batch, error) {
+    try {
+      await this.root.spool.write(batch, { source });
+      return 0;
+    } catch (err) {
+      console.error("Logflare spool write failed:", err);
+      return this.reportFailure(batch, error);
+    }
+  }
+
+  /**
+   * Deliver spooled batches oldest first, stopping at the first batch that
+   * fails with a retryable error (the endpoint is still unreachable); batches
+   * the endpoint rejects go to the fallback sink and are removed
+   * @returns {Promise<Object>} { replayed, entries, corrupt, remaining, error }
+   */
+  async replaySpool() {
+    const { spool } = this.root;
+    if (!spool) return { replayed: 0, entries: 0, corrupt: 0, remaining: 0, error: null };
+
+    return spool.replay(async (batch, { source = this.root.sourceId }) => {
+      try {
+        await this.postBatch(source, batch);
+        const counts = this.root.sourceStats[source] ??= { delivered: 0, failed: 0 };
+        counts.delivered += batch.length;
+      } catch (err) {
+        if (err.retryable) throw err;
+        this.reportFailure(batch, err);
+      }
+    });
+  }
+
+  reportFailure(entries, error) {
+    try {
+      this.root.fallback(entries, error);
+    } catch (err) {
+      console.error("Logflare fallback sink failed:", err);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Queue occupancy and delivery counters, with per-source totals, for dumpState()
+   */
+  getStats() {
+    return {
+      ...this.queue.getStats(),
+      sources: this.root.sourceStats,
+      ...(this.root.spool && { spool: this.root.spool.getStats() }),
+    };
   }
 }
 
@@ -76,7 +347,11 @@ let loggerInstance = null;
 
 export function initializeLogflare() {
   if (process.env.LOGFLARE_API_KEY) {
-    loggerInstance = new LogflareLogger();
+    // Keep the logger getLogger() may already have handed out, unless it was
+    // created before the API key was set
+    if (!loggerInstance?.apiKey) {
+      loggerInstance = new LogflareLogger();
+    }
     console.log("Logflare initialized");
     return true;
   }
@@ -91,24 +366,29 @@ export function getLogger() {
   return loggerInstance;
 }
 
-export function createChildLogger(bindings = {}) {
-  const parentLogger = getLogger();
-  const childLogger = new LogflareLogger(bindings);
-  // Inherit parent configuration
-  childLogger.apiKey = parentLogger.apiKey;
-  childLogger.sourceId = parentLogger.sourceId;
-  childLogger.endpoint = parentLogger.endpoint;
-  // Add bindings to all logs
-  const originalLog = childLogger.log.bind(childLogger);
-  childLogger.log = (level, data) => {
-    originalLog(level, { ...bindings, ...data });
-  };
-  return childLogger;
+/**
+ * Child of `parent` (the root logger by default) sharing its delivery queue;
+ * a custom sink without child() is returned as is
+ */
+export function createChildLogger(bindings = {}, parent = getLogger()) {
+  return typeof parent.child === "function" ? parent.child(bindings) : parent;
 }
 
+/**
+ * Replay the root logger's spool, e.g. once connectivity is back
+ */
+export function replaySpool() {
+  return getLogger().replaySpool();
+}
+
+/**
+ * Flush every delivery queue (Logflare, including records logged through
+ * child loggers, and the Loki/Elasticsearch transports)
+ */
 export async function flushLogs() {
-  const logger = getLogger();
-  await logger.flush();
+  await flushQueues();
   console.log("Logs flushed");
   return true;
 }
+
+export { LogflareLogger };
@@ -174,6 +174,7 @@ export function addBreadcrumb(breadcrumb) {
 
 /**
  * Start a transaction for performance monitoring
+ * Sentry v8+ removed startTransaction; there the call falls back to an inactive span
  * @param {Object} transactionContext - Transaction context
  */
 export function startTransaction(transactionContext) {
@@ -181,7 +182,73 @@ export function startTransaction(transactionContext) {
     (typeof EdgeRuntime !== "undefined" ? Sentry : SentryNode) : 
     Sentry;
 
-  return sentryInstance.startTransaction(transactionContext);
+  if (typeof sentryInstance.startTransaction === "function") {
+    return sentryInstance.startTransaction(transactionContext);
+  }
+  return sentryInstance.startInactiveSpan?.({
+    name: transactionContext.name,
+    op: transactionContext.op,
+    attributes: transactionContext.tags,
+    forceTransaction: true,
+  });
+}
+
+const SENTRY_STATUS = { ok: "ok", error: "internal_error", unset: undefined };
+
+/**
+ * Record a tree of already finished spans in Sentry
+ * Works with both the v7 transaction API and the v8+ span API
+ * @param {Object} root - { name, op, traceId, parentSpanId, startTime, endTime, attributes, status, children }
+ *   Times are epoch milliseconds; status is "ok", "error" or "unset"
+ */
+export function recordSpanTree(root) {
+  const sentryInstance = typeof window === "undefined" ? 
+    (typeof EdgeRuntime !== "undefined" ? Sentry : SentryNode) : 
+    Sentry;
+
+  // v7: transaction + startChild, which can join an existing trace ID
+  if (typeof sentryInstance.startTransaction === "function") {
+    const record = (node, parent) => {
+      const context = {
+        op: node.op,
+        description: node.name,
+        startTimestamp: node.startTime / 1000,
+        data: node.attributes,
+      };
+      const span = parent
+        ? parent.startChild(context)
+        : sentryInstance.startTransaction({
+            ...context,
+            name: node.name,
+            traceId: node.traceId,
+            parentSpanId: node.parentSpanId || undefined,
+          });
+      if (!span) return;
+      node.children.forEach((child) => record(child, span));
+      if (SENTRY_STATUS[node.status]) span.setStatus(SENTRY_STATUS[node.status]);
+      span.finish(node.endTime / 1000);
+    };
+    return record(root, null);
+  }
+
+  // v8+: inactive spans with explicit parents and timestamps
+  if (typeof sentryInstance.startInactiveSpan === "function") {
+    const record = (node, parentSpan) => {
+      const span = sentryInstance.startInactiveSpan({
+        name: node.name,
+        op: node.op,
+        startTime: new Date(node.startTime),
+        attributes: { ...node.attributes, "w3c.trace_id": node.traceId },
+        ...(parentSpan ? { parentSpan } : { forceTransaction: true }),
+      });
+      node.children.forEach((child) => record(child, span));
+      if (node.status !== "unset") {
+        span.setStatus({ code: node.status === "ok" ? 1 : 2, message: node.statusMessage });
+      }
+      span.end(new Date(node.endTime));
+    };
+    return record(root, null);
+  }
 }
 
 /**
@@ -238,6 +305,7 @@ export default {
   captureMessage,
   addBreadcrumb,
   startTransaction,
+  recordSpanTree,
   flushSentry,
   getCurrentHub,
   config,
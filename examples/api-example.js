@@ -6,6 +6,7 @@ import { createLogger } from '../lib/logger.js';
 import debugger from '../lib/debugger.js';
 import { initializeSentry } from '../config/sentry.config.js';
 import { initializeLogflare } from '../config/logflare.config.js';
+import { extractTraceContext } from '../lib/trace-context.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -30,12 +31,26 @@ const PORT = process.env.PORT || 3000;
 // Middleware for JSON parsing
 app.use(express.json());
 
+/**
+ * Prometheus metrics endpoint
+ * Mounted before the request middleware so scrapes are not logged or traced
+ */
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', debugger.metrics.contentType);
+  res.end(debugger.metrics.render());
+});
+
 /**
  * Correlation ID middleware
  */
 app.use((req, res, next) => {
-  const correlationId = req.headers['x-correlation-id'] || crypto.randomUUID();
+  // Continue the caller's W3C trace; the trace ID doubles as the correlation ID
+  const trace = extractTraceContext(req.headers);
+  const correlationId = trace.parentSpanId
+    ? trace.traceId
+    : req.headers['x-correlation-id'] || trace.traceId;
   req.correlationId = correlationId;
+  req.trace = trace;
   res.setHeader('x-correlation-id', correlationId);
   
   // Create request-scoped logger
@@ -53,7 +68,14 @@ app.use((req, res, next) => {
     ip: req.ip
   });
   
-  next();
+  // Run the rest of the request inside an async correlation context so the
+  // shared debugger instance logs with this request's correlation ID
+  debugger.runWithContext({
+    correlationId,
+    sessionId: req.debugSessionId,
+    trace,
+    bindings: { path: req.path, method: req.method }
+  }, next);
 });
 
 /**
@@ -62,6 +84,12 @@ app.use((req, res, next) => {
 app.use((req, res, next) => {
   const startTime = Date.now();
   
+  // Request-wide profile; handlers nest their own profiles under it and the
+  // spans of dbQuery()/apiCall() land in its Chrome trace export
+  req.profile = debugger.createPerformanceProfile(`${req.method} ${req.path}`, {
+    sessionId: req.debugSessionId
+  });
+  
   try {
     // Log request start
     req.logger.info({
@@ -95,6 +123,12 @@ app.use((req, res, next) => {
         duration
       });
       
+      // Written to LOG_TRACE_EVENTS_DIR when configured
+      req.profile.end();
+      
+      // Release the request session and log its summary
+      debugger.endSession(req.debugSessionId);
+      
       // Success: Request completed
       if (res.statusCode < 400) {
         req.logger.info({
@@ -195,7 +229,7 @@ app.get('/health', async (req, res) => {
  * User creation endpoint (simulated)
  */
 app.post('/api/users', async (req, res) => {
-  const profile = debugger.createPerformanceProfile('create_user');
+  const profile = req.profile.child('create_user');
   
   try {
     profile.mark('validation_start');
@@ -306,7 +340,8 @@ app.get('/api/external', async (req, res) => {
     
     // Simulate external API call
     const response = await req.logger.apiCall('GET', 'https://jsonplaceholder.typicode.com/users/1', {
-      execute: async () => {
+      // `headers` carries traceparent/tracestate; pass it to the real HTTP client
+      execute: async ({ headers }) => {
         // Simulate API delay
         await new Promise(resolve => setTimeout(resolve, 200));
         return {
@@ -359,6 +394,7 @@ app.get('/api/external', async (req, res) => {
 
 /**
  * Debug endpoint to get current state
+ * Includes runtime health: event-loop delay, heap/GC, handles and threadpool pressure
  */
 app.get('/api/debug', (req, res) => {
   try {
@@ -389,6 +425,92 @@ app.get('/api/debug', (req, res) => {
   }
 });
 
+/**
+ * Chrome Trace Event export of a performance profile
+ * Open the response in chrome://tracing or https://ui.perfetto.dev
+ * Profiles are released with their request session; set LOG_TRACE_EVENTS_DIR
+ * to keep traces of finished requests on disk
+ */
+app.get('/api/debug/profiles/:profileId/trace', (req, res) => {
+  const trace = debugger.exportProfileTrace(req.params.profileId);
+  
+  if (!trace) {
+    return res.status(404).json({
+      success: false,
+      error: 'Profile not found',
+      correlationId: req.correlationId
+    });
+  }
+  
+  res.json(trace);
+});
+
+/**
+ * Heap snapshot / CPU profile capture
+ * Requires "Authorization: Bearer <LOG_DIAGNOSTICS_TOKEN>"; refused when no token is configured
+ * Artifacts are written to LOG_DIAGNOSTICS_DIR and named with this request's session ID
+ */
+const diagnosticsRoute = (capture, validate = () => null) => async (req, res) => {
+  if (!debugger.diagnostics.isAuthorized(req.headers.authorization)) {
+    debugger.securityEvent('diagnostics_unauthorized', {
+      path: req.path,
+      ip: req.ip
+    });
+    
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      correlationId: req.correlationId
+    });
+  }
+  
+  const invalid = validate(req);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid,
+      correlationId: req.correlationId
+    });
+  }
+  
+  try {
+    const artifact = await capture(req);
+    
+    res.json({
+      success: true,
+      artifact,
+      correlationId: req.correlationId
+    });
+    
+  } catch (err) {
+    res.status(err.message.includes('in progress') ? 409 : 500).json({
+      success: false,
+      error: err.message,
+      correlationId: req.correlationId
+    });
+  }
+};
+
+app.post('/api/debug/diagnostics/heap-snapshot', diagnosticsRoute(() =>
+  debugger.takeHeapSnapshot({ reason: 'debug_route' })
+));
+
+/**
+ * ?durationMs= must be a positive integer and is clamped to LOG_CPU_PROFILE_MAX_MS
+ */
+const cpuProfileDuration = (req) =>
+  Math.min(Number(req.query.durationMs ?? '10000'), debugger.diagnostics.maxCpuProfileMs);
+
+app.post('/api/debug/diagnostics/cpu-profile', diagnosticsRoute(
+  (req) => debugger.captureCpuProfile({
+    reason: 'debug_route',
+    durationMs: cpuProfileDuration(req)
+  }),
+  (req) => (req.query.durationMs === undefined || /^[1-9]\d*$/.test(req.query.durationMs)
+    ? null
+    : 'durationMs must be a positive integer')
+));
+
 /**
  * Error handler middleware
  */
@@ -444,6 +566,10 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 API server running at http://localhost:${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🔍 Debug state: http://localhost:${PORT}/api/debug`);
+  console.log(`📈 Metrics: http://localhost:${PORT}/metrics`);
+  
+  // Heap snapshot on LOG_DIAGNOSTICS_SIGNAL (e.g. kill -USR2 <pid>) when configured
+  debugger.installDiagnosticsSignal();
 });
 
 /**
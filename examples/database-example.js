@@ -4,6 +4,7 @@ import * as Sentry from '@sentry/node';
 import pg from 'pg';
 import { createClient } from '@supabase/supabase-js';
 import { createLogger } from '../lib/logger.js';
+import { normalizeSql, fingerprintSql } from '../lib/query-stats.js';
 import debugger from '../lib/debugger.js';
 import { initializeSentry } from '../config/sentry.config.js';
 import { initializeLogflare } from '../config/logflare.config.js';
@@ -39,42 +40,59 @@ class LoggedPgPool extends pg.Pool {
   async query(text, params) {
     const startTime = Date.now();
     const queryId = crypto.randomUUID();
+    // Log the normalized statement so literal values stay out of the logs
+    const sql = typeof text === 'string' ? text : text?.text;
+    const query = normalizeSql(sql);
+    const queryFingerprint = fingerprintSql(query);
+    // Caller's stack, reported with N+1 and duplicate-query warnings
+    const callsite = {};
+    Error.captureStackTrace(callsite, this.query);
     
     try {
       // Log query start
       this.logger.info({
         operation: 'db_query_start',
         queryId,
-        query: text,
+        query,
+        queryFingerprint,
         paramCount: params?.length || 0,
         timestamp: new Date().toISOString()
       });
       
       // Execute query
       const result = await super.query(text, params);
+      const duration = Date.now() - startTime;
+      
+      // Feed the same per-statement statistics and N+1 detection as logger.dbQuery()
+      this.logger.recordQuery(sql, { duration, rows: result.rowCount, values: params, callsite });
       
       // Success: Log query result
       this.logger.info({
         operation: 'db_query_success',
         queryId,
-        query: text,
+        query,
+        queryFingerprint,
         rowCount: result.rowCount,
-        duration: Date.now() - startTime,
+        duration,
         timestamp: new Date().toISOString()
       });
       
       return result;
       
     } catch (err) {
+      const duration = Date.now() - startTime;
+      this.logger.recordQuery(sql, { duration, error: err, values: params, callsite });
+      
       // Failure: Log query error
       this.logger.error({
         operation: 'db_query_failed',
         queryId,
-        query: text,
+        query,
+        queryFingerprint,
         error: err.message,
         code: err.code,
         stack: err.stack,
-        duration: Date.now() - startTime,
+        duration,
         timestamp: new Date().toISOString()
       });
       
@@ -83,10 +101,11 @@ class LoggedPgPool extends pg.Pool {
         tags: {
           component: 'pg-pool',
           queryId,
+          queryFingerprint,
           errorCode: err.code
         },
         extra: {
-          query: text,
+          query,
           params
         }
       });
@@ -634,6 +653,10 @@ async function runSupabaseExamples(supabase, logger) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   runDatabaseExamples()
     .then(() => {
+      logger.info({
+        operation: 'query_stats',
+        statements: logger.getQueryStats({ limit: 10 })
+      });
       logger.info('Database examples completed');
       process.exit(0);
     })
@@ -0,0 +1,119 @@
+/**
+ * Bounded Store Module
+ * Map-compatible store with LRU eviction, idle TTL eviction and eviction metrics
+ */
+
+/**
+ * Entries are kept in access order (least recently used first), so both the
+ * size cap and idle TTL evict from the front of the underlying Map
+ */
+export class BoundedStore {
+  constructor(config = {}) {
+    this.name = config.name || 'store';
+    this.maxSize = config.maxSize ?? Infinity;
+    this.ttlMs = config.ttlMs || 0;
+    this.onEvict = config.onEvict || null;
+    this.entries = new Map();
+    this.stats = { evictedLru: 0, evictedTtl: 0 };
+  }
+
+  get size() {
+    this.sweep();
+    return this.entries.size;
+  }
+
+  has(key) {
+    this.sweep();
+    return this.entries.has(key);
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   */
+  get(key) {
+    this.sweep();
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    entry.lastAccess = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Read a value without refreshing its position or idle timer
+   */
+  peek(key) {
+    return this.entries.get(key)?.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, lastAccess: Date.now() });
+    this.sweep();
+
+    while (this.entries.size > this.maxSize) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.evict(oldestKey, oldest, 'lru');
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Drop entries idle for longer than ttlMs
+   */
+  sweep() {
+    if (!this.ttlMs) return;
+    const cutoff = Date.now() - this.ttlMs;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.lastAccess > cutoff) break;
+      this.evict(key, entry, 'ttl');
+    }
+  }
+
+  evict(key, entry, reason) {
+    this.entries.delete(key);
+    if (reason === 'ttl') {
+      this.stats.evictedTtl++;
+    } else {
+      this.stats.evictedLru++;
+    }
+    this.onEvict?.(key, entry.value, reason);
+  }
+
+  *keys() {
+    this.sweep();
+    yield* this.entries.keys();
+  }
+
+  *values() {
+    this.sweep();
+    for (const entry of this.entries.values()) yield entry.value;
+  }
+
+  *[Symbol.iterator]() {
+    this.sweep();
+    for (const [key, entry] of this.entries) yield [key, entry.value];
+  }
+
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize === Infinity ? null : this.maxSize,
+      ttlMs: this.ttlMs || null,
+      ...this.stats,
+    };
+  }
+}
+
+export default BoundedStore;
@@ -0,0 +1,442 @@
+/**
+ * Debug Rules Module
+ * Rule registry behind generateDebuggingSuggestions(): rules match on error
+ * class, code, Postgres SQLSTATE, PostgREST code, HTTP status and message,
+ * and contribute ranked suggestions linked to runbooks in docs/runbooks
+ */
+
+import { serializeError } from './error-serializer.js';
+
+const RUNBOOKS = 'docs/runbooks';
+
+const SQLSTATE_PATTERN = /^[0-9A-Z]{5}$/;
+const POSTGREST_PATTERN = /^PGRST\d+$/;
+
+/**
+ * Flatten an error and its causes / AggregateError members into match facts
+ */
+export function extractFacts(error) {
+  const facts = [];
+  const visit = (serialized, depth) => {
+    if (!serialized || typeof serialized !== 'object') return;
+    const code = serialized.code !== undefined ? String(serialized.code) : undefined;
+
+    facts.push({
+      depth,
+      name: serialized.name,
+      code,
+      sqlState: code && !POSTGREST_PATTERN.test(code) && SQLSTATE_PATTERN.test(code)
+        && (serialized.pg || serialized.postgrest) ? code : undefined,
+      postgrestCode: code && POSTGREST_PATTERN.test(code) ? code : undefined,
+      httpStatus: serialized.axios?.response?.status
+        ?? serialized.properties?.status
+        ?? serialized.properties?.statusCode,
+      message: serialized.message || '',
+      error: serialized
+    });
+
+    serialized.errors?.forEach((member) => visit(member, depth + 1));
+    visit(serialized.cause, depth + 1);
+  };
+
+  visit(serializeError(error), 0);
+
+  // Error class names include the prototype chain so `errorClass: 'Error'`
+  // also matches subclasses of the thrown error
+  if (error instanceof Error && facts[0]) {
+    const classes = [];
+    for (let proto = Object.getPrototypeOf(error); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+      classes.push(proto.constructor.name);
+    }
+    facts[0].classes = classes;
+  }
+  facts.forEach((fact) => {
+    fact.classes = [...new Set([fact.name, ...(fact.classes || [])].filter(Boolean))];
+  });
+
+  return facts;
+}
+
+/**
+ * Match a fact value against a rule condition: a literal, a list, a RegExp or a predicate
+ */
+function matchValue(value, expected) {
+  if (typeof expected === 'function') return Boolean(expected(value));
+  if (value === undefined || value === null) return false;
+  if (expected instanceof RegExp) return expected.test(String(value));
+  if (Array.isArray(expected)) return expected.some((item) => matchValue(value, item));
+  return value === expected;
+}
+
+const CONDITIONS = {
+  errorClass: (fact, expected) => fact.classes.some((name) => matchValue(name, expected)),
+  code: (fact, expected) => matchValue(fact.code, expected),
+  sqlState: (fact, expected) => matchValue(fact.sqlState, expected),
+  postgrestCode: (fact, expected) => matchValue(fact.postgrestCode, expected),
+  httpStatus: (fact, expected) => matchValue(fact.httpStatus, expected),
+  message: (fact, expected) => matchValue(fact.message, expected)
+};
+
+function matchRule(rule, facts) {
+  const conditions = Object.entries(rule.match || {});
+  return facts.find((fact) => conditions.every(([key, expected]) => {
+    const condition = CONDITIONS[key];
+    if (!condition) throw new Error(`Unknown debug rule condition "${key}" in rule ${rule.id}`);
+    return condition(fact, expected);
+  }) && (!rule.test || rule.test(fact)));
+}
+
+/**
+ * Default rules; priority orders suggestions (higher first)
+ */
+export const DEFAULT_RULES = [
+  // Postgres (SQLSTATE) - https://www.postgresql.org/docs/current/errcodes-appendix.html
+  {
+    id: 'pg-unique-violation',
+    priority: 90,
+    match: { sqlState: '23505' },
+    runbook: `${RUNBOOKS}/database.md#unique-violation`,
+    suggestions: ({ error }) => [
+      `A row with the same unique key already exists${error.pg?.constraint ? ` (constraint ${error.pg.constraint})` : ''}`,
+      'Use INSERT ... ON CONFLICT (upsert) or check for the row before inserting',
+      'Look for retries or double submits creating the same row twice'
+    ]
+  },
+  {
+    id: 'pg-foreign-key-violation',
+    priority: 85,
+    match: { sqlState: '23503' },
+    runbook: `${RUNBOOKS}/database.md#foreign-key-violation`,
+    suggestions: [
+      'The referenced row does not exist or is still referenced by another table',
+      'Insert parent rows first, or delete child rows before the parent'
+    ]
+  },
+  {
+    id: 'pg-not-null-violation',
+    priority: 85,
+    match: { sqlState: '23502' },
+    runbook: `${RUNBOOKS}/database.md#not-null-violation`,
+    suggestions: ({ error }) => [
+      `A required column${error.pg?.column ? ` (${error.pg.column})` : ''} was written as NULL`,
+      'Check the payload mapping for missing fields'
+    ]
+  },
+  {
+    id: 'pg-undefined-object',
+    priority: 85,
+    match: { sqlState: ['42P01', '42703', '42883'] },
+    runbook: `${RUNBOOKS}/database.md#undefined-table-or-column`,
+    suggestions: [
+      'The table, column or function does not exist in this database',
+      'Check that migrations ran against this environment (npm run migrate:up)',
+      'Check the schema search_path and identifier casing'
+    ]
+  },
+  {
+    id: 'pg-syntax-error',
+    priority: 80,
+    match: { sqlState: '42601' },
+    runbook: `${RUNBOOKS}/database.md#syntax-error`,
+    suggestions: ({ error }) => [
+      `SQL syntax error${error.pg?.position ? ` near character ${error.pg.position}` : ''}`,
+      'Log the final query text and parameters and run it in psql'
+    ]
+  },
+  {
+    id: 'pg-auth-failed',
+    priority: 90,
+    match: { sqlState: ['28P01', '28000'] },
+    runbook: `${RUNBOOKS}/database.md#authentication-failed`,
+    suggestions: [
+      'Database credentials were rejected',
+      'Check DATABASE_URL and SUPABASE_DB_PASSWORD in .env',
+      'Check pg_hba.conf rules or the Supabase database password'
+    ]
+  },
+  {
+    id: 'pg-insufficient-privilege',
+    priority: 80,
+    match: { sqlState: '42501' },
+    runbook: `${RUNBOOKS}/database.md#insufficient-privilege`,
+    suggestions: [
+      'The database role lacks privileges on this object',
+      'Check GRANTs and row level security policies for the role in use'
+    ]
+  },
+  {
+    id: 'pg-connection',
+    priority: 85,
+    match: { sqlState: [/^08/, '53300', '57P01'] },
+    runbook: `${RUNBOOKS}/database.md#connection-problems`,
+    suggestions: [
+      'The database connection failed or was dropped',
+      'Check pool size (DATABASE_POOL_MAX) against the server max_connections',
+      'Verify the database server is running and reachable'
+    ]
+  },
+  {
+    id: 'pg-concurrency',
+    priority: 75,
+    match: { sqlState: ['40001', '40P01'] },
+    runbook: `${RUNBOOKS}/database.md#deadlocks-and-serialization-failures`,
+    suggestions: [
+      'The transaction lost a lock or serialization conflict; retry it',
+      'Access rows in a consistent order across transactions'
+    ]
+  },
+  {
+    id: 'pg-statement-timeout',
+    priority: 75,
+    match: { sqlState: '57014' },
+    runbook: `${RUNBOOKS}/database.md#statement-timeout`,
+    suggestions: [
+      'The query was cancelled by statement_timeout',
+      'Run EXPLAIN ANALYZE on the query and check for missing indexes'
+    ]
+  },
+
+  // Supabase / PostgREST - https://postgrest.org/en/stable/references/errors.html
+  {
+    id: 'postgrest-single-row',
+    priority: 80,
+    match: { postgrestCode: 'PGRST116' },
+    runbook: `${RUNBOOKS}/supabase.md#pgrst116-single-row`,
+    suggestions: [
+      '.single() expected exactly one row but got zero or several',
+      'Use .maybeSingle() when no row is a valid result, or tighten the filter'
+    ]
+  },
+  {
+    id: 'postgrest-jwt',
+    priority: 85,
+    match: { postgrestCode: ['PGRST300', 'PGRST301', 'PGRST302'] },
+    runbook: `${RUNBOOKS}/supabase.md#jwt-errors`,
+    suggestions: [
+      'The Supabase JWT is missing, expired or signed with the wrong secret',
+      'Refresh the session or check SUPABASE_ANON_KEY / SUPABASE_SERVICE_KEY'
+    ]
+  },
+  {
+    id: 'postgrest-schema-cache',
+    priority: 80,
+    match: { postgrestCode: ['PGRST200', 'PGRST201', 'PGRST202', 'PGRST204', 'PGRST205'] },
+    runbook: `${RUNBOOKS}/supabase.md#schema-cache`,
+    suggestions: [
+      'PostgREST could not find the relationship, function or column in its schema cache',
+      'Reload the schema cache (NOTIFY pgrst, \'reload schema\') after migrations'
+    ]
+  },
+  {
+    id: 'postgrest-connection',
+    priority: 85,
+    match: { postgrestCode: ['PGRST000', 'PGRST001', 'PGRST002', 'PGRST003'] },
+    runbook: `${RUNBOOKS}/supabase.md#connection-errors`,
+    suggestions: [
+      'PostgREST could not reach or get a connection from the database',
+      'Check the Supabase project status and connection pool usage'
+    ]
+  },
+
+  // HTTP (axios and errors carrying status / statusCode)
+  {
+    id: 'http-auth',
+    priority: 70,
+    match: { httpStatus: [401, 403] },
+    runbook: `${RUNBOOKS}/http.md#401-and-403`,
+    suggestions: ({ httpStatus }) => [
+      `API returned ${httpStatus}: credentials are missing, expired or lack permissions`,
+      'Check API keys and tokens in .env'
+    ]
+  },
+  {
+    id: 'http-not-found',
+    priority: 60,
+    match: { httpStatus: 404 },
+    runbook: `${RUNBOOKS}/http.md#404`,
+    suggestions: ['API returned 404: verify the endpoint URL and resource ID']
+  },
+  {
+    id: 'http-rate-limited',
+    priority: 70,
+    match: { httpStatus: 429 },
+    runbook: `${RUNBOOKS}/http.md#429`,
+    suggestions: [
+      'API returned 429: the client is being rate limited',
+      'Back off using the Retry-After header and reduce concurrency'
+    ]
+  },
+  {
+    id: 'http-server-error',
+    priority: 60,
+    match: { httpStatus: (status) => status >= 500 },
+    runbook: `${RUNBOOKS}/http.md#5xx`,
+    suggestions: ({ httpStatus }) => [
+      `API returned ${httpStatus}: the upstream service failed`,
+      'Check the upstream service status and retry with backoff'
+    ]
+  },
+  {
+    id: 'http-client-error',
+    priority: 40,
+    match: { httpStatus: (status) => status >= 400 && ![401, 403, 404, 429].includes(status) && status < 500 },
+    runbook: `${RUNBOOKS}/http.md#4xx`,
+    suggestions: ({ httpStatus }) => [
+      `API returned ${httpStatus}: the request was rejected`,
+      'Compare the request body and headers with the API documentation'
+    ]
+  },
+
+  // Node.js system errors
+  {
+    id: 'network-unreachable',
+    priority: 70,
+    match: { code: ['ECONNREFUSED', 'ETIMEDOUT', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN'] },
+    runbook: `${RUNBOOKS}/network.md#connection-failures`,
+    suggestions: ({ code }) => [
+      code === 'ENOTFOUND' || code === 'EAI_AGAIN'
+        ? 'DNS lookup failed: check the service hostname'
+        : 'Verify the target service is running',
+      'Check the service URL and port',
+      'Check network connectivity and firewall settings'
+    ]
+  },
+  {
+    id: 'filesystem-permissions',
+    priority: 60,
+    match: { code: ['EACCES', 'EPERM'] },
+    runbook: `${RUNBOOKS}/permissions.md`,
+    suggestions: [
+      'Check file/directory permissions',
+      'Verify the process user has the necessary privileges'
+    ]
+  },
+  {
+    id: 'memory',
+    priority: 65,
+    match: { message: /heap out of memory|allocation failed|out of memory/i },
+    runbook: `${RUNBOOKS}/memory.md`,
+    suggestions: [
+      'Check for memory leaks (take a heap snapshot)',
+      'Process large data sets in pages or streams',
+      'Raise --max-old-space-size only after ruling out a leak'
+    ]
+  },
+  {
+    id: 'stack-overflow',
+    priority: 65,
+    match: { errorClass: 'RangeError', message: /Maximum call stack size exceeded/ },
+    runbook: `${RUNBOOKS}/memory.md#stack-overflow`,
+    suggestions: ['Look for unbounded recursion or circular data in the stack trace']
+  },
+
+  // Catch-all for database errors without a SQLSTATE
+  {
+    id: 'database-generic',
+    priority: 20,
+    match: { message: /database|\bsql\b|relation|postgres/i },
+    runbook: `${RUNBOOKS}/database.md`,
+    suggestions: [
+      'Check the database connection string in .env',
+      'Review database logs for more details'
+    ]
+  }
+];
+
+// Used only when no other rule fires
+const FALLBACK_RULE = {
+  id: 'generic',
+  priority: 0,
+  runbook: `${RUNBOOKS}/README.md`,
+  suggestions: [
+    'Check Sentry for similar errors',
+    'Search Logflare for related logs',
+    'Review recent code changes'
+  ]
+};
+
+/**
+ * Ordered registry of debug rules
+ */
+export class RuleEngine {
+  constructor(config = {}) {
+    this.rules = [];
+    this.fallback = config.fallback === undefined ? FALLBACK_RULE : config.fallback;
+    (config.rules || DEFAULT_RULES).forEach((rule) => this.register(rule));
+  }
+
+  /**
+   * Add a rule, replacing any rule with the same id
+   * @param {Object} rule - { id, priority, match, test, suggestions, runbook }
+   */
+  register(rule) {
+    if (!rule?.id) throw new Error('Debug rules need an id');
+    if (!rule.match && !rule.test) throw new Error(`Debug rule ${rule.id} needs match conditions or a test function`);
+    this.unregister(rule.id);
+    this.rules.push({ priority: 50, ...rule });
+    return this;
+  }
+
+  unregister(id) {
+    const count = this.rules.length;
+    this.rules = this.rules.filter((rule) => rule.id !== id);
+    return this.rules.length !== count;
+  }
+
+  /**
+   * Run every rule against an error
+   * @returns {Object} { suggestions: [{ message, rule, priority, runbook }], rules: [{ id, priority }] }
+   */
+  evaluate(error) {
+    const facts = extractFacts(error);
+    let fired = this.rules
+      .map((rule, index) => ({ rule, index, fact: matchRule(rule, facts) }))
+      .filter(({ fact }) => fact);
+
+    if (fired.length === 0 && this.fallback) {
+      fired = [{ rule: this.fallback, index: this.rules.length, fact: facts[0] }];
+    }
+
+    // Higher priority first; registration order breaks ties
+    fired.sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index);
+
+    const seen = new Set();
+    const suggestions = [];
+    fired.forEach(({ rule, fact }) => {
+      const messages = typeof rule.suggestions === 'function'
+        ? rule.suggestions(fact, error)
+        : rule.suggestions || [];
+
+      messages.forEach((entry) => {
+        const suggestion = typeof entry === 'string' ? { message: entry } : entry;
+        if (seen.has(suggestion.message)) return;
+        seen.add(suggestion.message);
+        suggestions.push({
+          message: suggestion.message,
+          rule: rule.id,
+          priority: rule.priority,
+          runbook: suggestion.runbook || rule.runbook
+        });
+      });
+    });
+
+    return {
+      suggestions,
+      rules: fired.map(({ rule }) => ({ id: rule.id, priority: rule.priority }))
+    };
+  }
+}
+
+let defaultEngine = null;
+
+/**
+ * Process-wide rule engine; rules registered here apply to every logger
+ */
+export function getRuleEngine() {
+  if (!defaultEngine) {
+    defaultEngine = new RuleEngine();
+  }
+  return defaultEngine;
+}
+
+export default getRuleEngine;
@@ -0,0 +1,132 @@
+/**
+ * Diagnostics Module
+ * On-demand heap snapshots and time-boxed CPU profiles through node:inspector
+ * Artifacts open in Chrome DevTools (Memory and Performance panels)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Session } from 'inspector';
+import { timingSafeEqual } from 'crypto';
+
+const DEFAULT_CPU_PROFILE_MS = 10000;
+
+function post(session, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    session.post(method, params, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+function artifactName(kind, id, extension) {
+  const safeId = String(id || `pid-${process.pid}`).replace(/[^a-zA-Z0-9._-]+/g, '_');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${kind}-${safeId}-${timestamp}.${extension}`;
+}
+
+export class Diagnostics {
+  constructor(config = {}) {
+    this.dir = config.dir
+      || process.env.LOG_DIAGNOSTICS_DIR
+      || path.join(os.tmpdir(), 'claude-debug-diagnostics');
+    this.maxCpuProfileMs = config.maxCpuProfileMs
+      ?? parseInt(process.env.LOG_CPU_PROFILE_MAX_MS || '60000');
+    this.token = config.token ?? process.env.LOG_DIAGNOSTICS_TOKEN ?? null;
+    this.busy = null;
+  }
+
+  /**
+   * Run one capture at a time; heap snapshots and profiles pause or slow the process
+   */
+  async exclusive(kind, capture) {
+    if (this.busy) {
+      throw new Error(`Diagnostics capture already in progress (${this.busy})`);
+    }
+    this.busy = kind;
+    const session = new Session();
+    session.connect();
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      return await capture(session);
+    } finally {
+      session.disconnect();
+      this.busy = null;
+    }
+  }
+
+  /**
+   * Write a heap snapshot to <dir>/heap-<id>-<timestamp>.heapsnapshot
+   * @param {Object} options - { id } correlation or session ID for the file name
+   * @returns {Object} { type, path, bytes, durationMs }
+   */
+  heapSnapshot({ id } = {}) {
+    return this.exclusive('heap_snapshot', async (session) => {
+      const filePath = path.join(this.dir, artifactName('heap', id, 'heapsnapshot'));
+      const startTime = Date.now();
+      const stream = fs.createWriteStream(filePath);
+      const finished = new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+
+      session.on('HeapProfiler.addHeapSnapshotChunk', ({ params }) => stream.write(params.chunk));
+      try {
+        await post(session, 'HeapProfiler.takeHeapSnapshot', { reportProgress: false });
+      } finally {
+        stream.end();
+      }
+      await finished;
+
+      const { size } = await fs.promises.stat(filePath);
+      return { type: 'heap_snapshot', path: filePath, bytes: size, durationMs: Date.now() - startTime };
+    });
+  }
+
+  /**
+   * Record a CPU profile for durationMs (capped at maxCpuProfileMs) and write
+   * it to <dir>/cpu-<id>-<timestamp>.cpuprofile
+   * @param {Object} options - { id, durationMs }
+   * @returns {Object} { type, path, bytes, durationMs }
+   */
+  cpuProfile({ id, durationMs = DEFAULT_CPU_PROFILE_MS } = {}) {
+    const duration = Math.min(Math.max(Number(durationMs) || DEFAULT_CPU_PROFILE_MS, 1), this.maxCpuProfileMs);
+
+    return this.exclusive('cpu_profile', async (session) => {
+      const filePath = path.join(this.dir, artifactName('cpu', id, 'cpuprofile'));
+      await post(session, 'Profiler.enable');
+      await post(session, 'Profiler.start');
+      await new Promise((resolve) => setTimeout(resolve, duration));
+      const { profile } = await post(session, 'Profiler.stop');
+      await post(session, 'Profiler.disable');
+
+      const body = JSON.stringify(profile);
+      await fs.promises.writeFile(filePath, body);
+      return { type: 'cpu_profile', path: filePath, bytes: Buffer.byteLength(body), durationMs: duration };
+    });
+  }
+
+  /**
+   * Check a bearer token against LOG_DIAGNOSTICS_TOKEN
+   * Without a configured token every request is refused
+   */
+  isAuthorized(authorization) {
+    if (!this.token || typeof authorization !== 'string') return false;
+    const presented = Buffer.from(authorization.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(this.token);
+    return presented.length === expected.length && timingSafeEqual(presented, expected);
+  }
+}
+
+let defaultDiagnostics = null;
+
+/**
+ * Process-wide diagnostics so only one capture runs at a time
+ */
+export function getDiagnostics() {
+  if (!defaultDiagnostics) {
+    defaultDiagnostics = new Diagnostics();
+  }
+  return defaultDiagnostics;
+}
+
+export default getDiagnostics;
@@ -0,0 +1,81 @@
+/**
+ * Error Fingerprint Module
+ * Stable fingerprints for grouping recurring errors: error type and code,
+ * the message with variable parts stripped, and normalized stack frames
+ */
+
+import { createHash } from 'crypto';
+
+const MAX_FINGERPRINT_FRAMES = 5;
+
+// Applied in order; earlier patterns consume text later ones would split up
+const MESSAGE_PATTERNS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g, '<email>'],
+  [/\bhttps?:\/\/[^\s'"]+/g, '<url>'],
+  [/\b\d{1,3}(\.\d{1,3}){3}(:\d+)?\b/g, '<ip>'],
+  [/\d{4}-\d{2}-\d{2}[T ][\d:.]+Z?/g, '<timestamp>'],
+  [/\b(0x)?[0-9a-f]{8,}\b/gi, '<hex>'],
+  [/"[^"]*"|'[^']*'|`[^`]*`/g, '<str>'],
+  [/\b\d+(\.\d+)?\b/g, '<n>']
+];
+
+/**
+ * Strip IDs, numbers, quoted values and addresses from an error message
+ * "User 42 not found" and "User 97 not found" normalize to the same text
+ */
+export function normalizeMessage(message = '') {
+  return MESSAGE_PATTERNS
+    .reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), String(message))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isInternalFrame(frame) {
+  return !frame.file || frame.file.startsWith('node:') || frame.file.startsWith('internal/');
+}
+
+/**
+ * Reduce stack frames to "function@file" strings that survive redeploys:
+ * line/column numbers, file:// prefixes, query strings and the working
+ * directory are dropped, and Node internals are skipped
+ */
+export function normalizeFrames(frames = [], options = {}) {
+  const cwd = options.cwd ?? process.cwd();
+  const limit = options.limit ?? MAX_FINGERPRINT_FRAMES;
+
+  return frames
+    .filter((frame) => !isInternalFrame(frame))
+    .slice(0, limit)
+    .map((frame) => {
+      const file = frame.file
+        .replace(/^file:\/\//, '')
+        .replace(/[?#].*$/, '')
+        .replace(cwd, '')
+        .replace(/^.*node_modules\//, 'node_modules/');
+      const fn = (frame.function || 'anonymous').replace(/^async /, '');
+      return `${fn}@${file}`;
+    });
+}
+
+/**
+ * Fingerprint an error from its type, code, normalized message and frames
+ * @param {Error|Object} error - Error to fingerprint
+ * @param {Array} frames - Parsed stack frames ({ function, file, line, column })
+ * @returns {Object} { fingerprint, type, code, message, frames }
+ */
+export function fingerprintError(error, frames = []) {
+  const type = error?.name || error?.constructor?.name || 'Error';
+  const code = error?.code !== undefined ? String(error.code) : undefined;
+  const message = normalizeMessage(error?.message ?? error);
+  const normalizedFrames = normalizeFrames(frames);
+
+  const fingerprint = createHash('sha256')
+    .update([type, code || '', message, ...normalizedFrames].join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+
+  return { fingerprint, type, code, message, frames: normalizedFrames };
+}
+
+export default fingerprintError;
@@ -0,0 +1,181 @@
+/**
+ * Error Serializer Module
+ * Normalizes errors into plain objects: cause chains, AggregateError members
+ * and the library-specific fields of pg, PostgREST (Supabase) and axios errors
+ */
+
+const DEFAULT_MAX_DEPTH = 5;
+const DEFAULT_MAX_ERRORS = 10;
+const DEFAULT_MAX_STRING_LENGTH = 2000;
+const DEFAULT_MAX_DATA_DEPTH = 3;
+
+// Fields node-postgres copies from the server's ErrorResponse message
+const PG_FIELDS = [
+  'severity', 'detail', 'hint', 'position', 'internalPosition', 'internalQuery',
+  'where', 'schema', 'table', 'column', 'dataType', 'constraint', 'file', 'line', 'routine'
+];
+
+const POSTGREST_FIELDS = ['details', 'hint'];
+
+// Properties handled explicitly or too noisy/sensitive to copy verbatim
+const RESERVED_KEYS = new Set([
+  'name', 'message', 'stack', 'code', 'cause', 'errors',
+  'config', 'request', 'response', 'toJSON', 'isAxiosError', 'length',
+  ...PG_FIELDS, ...POSTGREST_FIELDS
+]);
+
+function isAxiosError(error) {
+  return error.isAxiosError === true || (error.config !== undefined && 'response' in error);
+}
+
+// pg DatabaseError always carries a severity and a five character SQLSTATE
+function isPgError(error) {
+  return typeof error.severity === 'string' && /^[0-9A-Z]{5}$/.test(error.code || '');
+}
+
+// PostgrestError is a plain { message, details, hint, code } object in older
+// supabase-js releases and an Error subclass in newer ones
+function isPostgrestError(error) {
+  return error.name === 'PostgrestError'
+    || (typeof error.code === 'string' && 'details' in error && 'hint' in error);
+}
+
+/**
+ * True for Error instances and for error-shaped objects such as PostgrestError
+ */
+export function isErrorLike(value) {
+  if (value instanceof Error) return true;
+  return value !== null && typeof value === 'object'
+    && typeof value.message === 'string' && isPostgrestError(value);
+}
+
+/**
+ * Copy arbitrary data (response bodies, custom properties) into a JSON-safe,
+ * size-limited value
+ */
+function toSafeValue(value, options, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') {
+    return value.length > options.maxStringLength
+      ? `${value.slice(0, options.maxStringLength)}...[truncated]`
+      : value;
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= options.maxDataDepth) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.slice(0, options.maxErrors * 2).map((item) => toSafeValue(item, options, depth + 1, seen));
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    const safe = toSafeValue(item, options, depth + 1, seen);
+    if (safe !== undefined) result[key] = safe;
+  });
+  return result;
+}
+
+function pickFields(source, fields) {
+  const result = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+}
+
+function serializeAxios(error, options) {
+  const { config = {}, response } = error;
+  return {
+    request: pickFields({
+      method: config.method?.toUpperCase(),
+      url: config.url,
+      baseURL: config.baseURL,
+      timeout: config.timeout
+    }, ['method', 'url', 'baseURL', 'timeout']),
+    ...(response && {
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        data: toSafeValue(response.data, options)
+      }
+    })
+  };
+}
+
+function serializeValue(value, options, depth, seen) {
+  if (value === null || value === undefined) return value;
+  if (typeof value !== 'object') {
+    return { message: toSafeValue(String(value), options) };
+  }
+  if (seen.has(value)) return { message: '[Circular]' };
+  if (depth > options.maxDepth) return { message: '[Max depth reached]' };
+  seen.add(value);
+
+  const result = {
+    name: value.name || value.constructor?.name || 'Error',
+    message: toSafeValue(value.message ?? '', options),
+    ...(value.stack && { stack: value.stack }),
+    ...(value.code !== undefined && { code: value.code })
+  };
+
+  if (isPgError(value)) {
+    result.pg = pickFields(value, PG_FIELDS);
+  }
+  if (isPostgrestError(value)) {
+    result.postgrest = pickFields(value, POSTGREST_FIELDS);
+  }
+  if (isAxiosError(value)) {
+    result.axios = serializeAxios(value, options);
+  }
+
+  // Custom properties set by application code (statusCode, retryable, ...)
+  Object.keys(value)
+    .filter((key) => !RESERVED_KEYS.has(key))
+    .forEach((key) => {
+      const safe = toSafeValue(value[key], options);
+      if (safe !== undefined) {
+        result.properties = { ...result.properties, [key]: safe };
+      }
+    });
+
+  if (Array.isArray(value.errors)) {
+    result.errors = value.errors
+      .slice(0, options.maxErrors)
+      .map((member) => serializeValue(member, options, depth + 1, seen));
+    if (value.errors.length > options.maxErrors) {
+      result.errorsTruncated = value.errors.length - options.maxErrors;
+    }
+  }
+
+  if (value.cause !== undefined) {
+    result.cause = serializeValue(value.cause, options, depth + 1, seen);
+  }
+
+  return result;
+}
+
+/**
+ * Serialize an error into a plain, JSON-safe object
+ * @param {*} error - Error, error-shaped object or primitive
+ * @param {Object} options - { maxDepth, maxErrors, maxStringLength, maxDataDepth }
+ * @returns {Object} { name, message, stack, code, pg?, postgrest?, axios?, properties?, errors?, cause? }
+ */
+export function serializeError(error, options = {}) {
+  const resolved = {
+    maxDepth: options.maxDepth ?? DEFAULT_MAX_DEPTH,
+    maxErrors: options.maxErrors ?? DEFAULT_MAX_ERRORS,
+    maxStringLength: options.maxStringLength ?? DEFAULT_MAX_STRING_LENGTH,
+    maxDataDepth: options.maxDataDepth ?? DEFAULT_MAX_DATA_DEPTH
+  };
+  return serializeValue(error, resolved, 0, new WeakSet());
+}
+
+export default serializeError;
@@ -0,0 +1,466 @@
+/**
+ * HTTP Delivery Module
+ * Batching, gzip, retry with exponential backoff and bounded delivery queues
+ * for log shipping sinks
+ */
+
+import { gzip as gzipCallback } from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(gzipCallback);
+
+export const DEFAULT_DELIVERY = {
+  maxBatchSize: 250,
+  maxBatchBytes: 512 * 1024,
+  maxRetries: 5,
+  retryBaseMs: 500,
+  retryMaxMs: 30000,
+  timeoutMs: 10000,
+  gzip: true,
+};
+
+/**
+ * Delivery failure; `retryable` is false for 4xx responses other than 408/429
+ */
+export class DeliveryError extends Error {
+  constructor(message, { status = null, attempts = 0, retryable = false, body } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.status = status;
+    this.attempts = attempts;
+    this.retryable = retryable;
+    this.body = body;
+  }
+}
+
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay in [0, min(max, base * 2^attempt)]
+ */
+export function backoffDelay(attempt, { retryBaseMs, retryMaxMs }, random = Math.random) {
+  return Math.round(random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt));
+}
+
+/**
+ * Retry-After in seconds or as an HTTP date
+ */
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * JSON.stringify that never throws: BigInts become strings, objects seen
+ * before become '[Circular]' and anything else that fails to serialize
+ * becomes '[Unserializable]'
+ */
+export function safeStringify(value) {
+  const seen = new WeakSet();
+  try {
+    return JSON.stringify(value, (key, item) => {
+      if (typeof item === 'bigint') return item.toString();
+      if (item !== null && typeof item === 'object') {
+        if (seen.has(item)) return '[Circular]';
+        seen.add(item);
+      }
+      return item;
+    });
+  } catch {
+    return '"[Unserializable]"';
+  }
+}
+
+/**
+ * Split entries into batches within maxBatchSize entries and maxBatchBytes of
+ * serialized payload; an entry larger than maxBatchBytes on its own is
+ * returned in `oversized` instead of being sent
+ * @returns {Object} { batches: [[entry, ...]], oversized: [entry, ...] }
+ */
+export function splitBatches(entries, { maxBatchSize, maxBatchBytes }, size = (entry) => Buffer.byteLength(safeStringify(entry))) {
+  const batches = [];
+  const oversized = [];
+  let current = [];
+  let currentBytes = 0;
+
+  entries.forEach((entry) => {
+    const bytes = size(entry) + 1;
+    if (bytes > maxBatchBytes) {
+      oversized.push(entry);
+      return;
+    }
+    if (current.length >= maxBatchSize || (current.length > 0 && currentBytes + bytes > maxBatchBytes)) {
+      batches.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(entry);
+    currentBytes += bytes;
+  });
+
+  if (current.length > 0) batches.push(current);
+  return { batches, oversized };
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * POST a payload, retrying 408/429/5xx and network errors
+ * @param {Object} request - { url, headers, body (string), contentType }
+ * @param {Object} options - Delivery options (see DEFAULT_DELIVERY) plus onRetry(attempt, delay, error)
+ * @returns {Promise<Object>} { status, attempts, bytes, responseBody }
+ * @throws {DeliveryError} When retries are exhausted or the response is not retryable
+ */
+export async function postWithRetry({ url, headers = {}, body, contentType = 'application/json' }, options = {}) {
+  const settings = { ...DEFAULT_DELIVERY, ...options };
+  const payload = settings.gzip ? await gzip(body) : body;
+  const requestHeaders = {
+    'Content-Type': contentType,
+    ...(settings.gzip && { 'Content-Encoding': 'gzip' }),
+    ...headers,
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let wait = null;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: requestHeaders,
+        body: payload,
+        signal: AbortSignal.timeout(settings.timeoutMs),
+      });
+      if (response.ok) {
+        const responseBody = await response.text();
+        return { status: response.status, attempts: attempt + 1, bytes: payload.length, responseBody };
+      }
+
+      const text = await response.text().catch(() => '');
+      error = new DeliveryError(`HTTP ${response.status} from ${url}`, {
+        status: response.status,
+        attempts: attempt + 1,
+        retryable: isRetryableStatus(response.status),
+        body: text.slice(0, 500),
+      });
+      wait = retryAfterMs(response.headers.get('retry-after'));
+    } catch (err) {
+      error = new DeliveryError(`Request to ${url} failed: ${err.message}`, {
+        attempts: attempt + 1,
+        retryable: true,
+      });
+      error.cause = err;
+    }
+
+    if (!error.retryable || attempt >= settings.maxRetries) throw error;
+
+    const delay = Math.min(settings.retryMaxMs, wait ?? backoffDelay(attempt, settings));
+    settings.onRetry?.(attempt + 1, delay, error);
+    await sleep(delay);
+  }
+}
+
+const envInt = (name, fallback) => parseInt(process.env[name] || String(fallback));
+
+/**
+ * Batching and retry settings from <PREFIX>_MAX_BATCH_SIZE, _MAX_BATCH_BYTES,
+ * _MAX_RETRIES, _RETRY_BASE_MS, _RETRY_MAX_MS, _TIMEOUT_MS and _GZIP
+ */
+export function deliveryFromEnv(prefix) {
+  return {
+    maxBatchSize: envInt(`${prefix}_MAX_BATCH_SIZE`, DEFAULT_DELIVERY.maxBatchSize),
+    maxBatchBytes: envInt(`${prefix}_MAX_BATCH_BYTES`, DEFAULT_DELIVERY.maxBatchBytes),
+    maxRetries: envInt(`${prefix}_MAX_RETRIES`, DEFAULT_DELIVERY.maxRetries),
+    retryBaseMs: envInt(`${prefix}_RETRY_BASE_MS`, DEFAULT_DELIVERY.retryBaseMs),
+    retryMaxMs: envInt(`${prefix}_RETRY_MAX_MS`, DEFAULT_DELIVERY.retryMaxMs),
+    timeoutMs: envInt(`${prefix}_TIMEOUT_MS`, DEFAULT_DELIVERY.timeoutMs),
+    gzip: process.env[`${prefix}_GZIP`] !== 'false',
+  };
+}
+
+/**
+ * Fallback sink factory: batches that could not be delivered are written to
+ * stderr as NDJSON, after one `<name>_delivery_failed` line describing the failure
+ */
+export function createStderrFallback(name) {
+  return (entries, error) => {
+    process.stderr.write(`${safeStringify({
+      operation: `${name}_delivery_failed`,
+      error: error.message,
+      status: error.status,
+      attempts: error.attempts,
+      count: entries.length,
+    })}\n`);
+    entries.forEach((entry) => process.stderr.write(`${safeStringify(entry)}\n`));
+  };
+}
+
+export const OVERFLOW_POLICIES = ['drop-oldest', 'drop-debug-first', 'block'];
+
+export const DEFAULT_QUEUE = {
+  flushAt: 10,
+  flushIntervalMs: 5000,
+  maxBuffer: 10000,
+  overflow: 'drop-oldest',
+  flushOnExit: true,
+};
+
+const LOW_PRIORITY_LEVELS = new Set(['trace', 'debug']);
+
+/**
+ * Buffer, flush and overflow settings from <PREFIX>_FLUSH_AT, _FLUSH_INTERVAL_MS,
+ * _MAX_BUFFER, _OVERFLOW_POLICY and _FLUSH_ON_EXIT
+ */
+export function queueFromEnv(prefix) {
+  return {
+    flushAt: envInt(`${prefix}_FLUSH_AT`, DEFAULT_QUEUE.flushAt),
+    flushIntervalMs: envInt(`${prefix}_FLUSH_INTERVAL_MS`, DEFAULT_QUEUE.flushIntervalMs),
+    maxBuffer: envInt(`${prefix}_MAX_BUFFER`, DEFAULT_QUEUE.maxBuffer),
+    overflow: process.env[`${prefix}_OVERFLOW_POLICY`] || DEFAULT_QUEUE.overflow,
+    flushOnExit: process.env[`${prefix}_FLUSH_ON_EXIT`] !== 'false',
+  };
+}
+
+/**
+ * Queue options present in a sink's config, to override the environment
+ */
+export function pickQueueOptions(config = {}) {
+  return Object.fromEntries(Object.keys(DEFAULT_QUEUE)
+    .filter((key) => config[key] !== undefined)
+    .map((key) => [key, config[key]]));
+}
+
+/**
+ * Queues holding buffered or in-flight records, flushed on beforeExit and SIGTERM
+ */
+const pendingQueues = new Set();
+let exitHooksInstalled = false;
+
+/**
+ * Flush every queue that still holds records
+ * @returns {Promise<Object>} { delivered, failed }
+ */
+export async function flushQueues() {
+  const results = await Promise.all([...pendingQueues].map((queue) => queue.flush()));
+  return results.reduce((total, { delivered, failed }) => ({
+    delivered: total.delivered + delivered,
+    failed: total.failed + failed,
+  }), { delivered: 0, failed: 0 });
+}
+
+/**
+ * Installed once, the first time a queue buffers a record. beforeExit fires
+ * when the event loop drains, so the flush's own requests keep the process
+ * alive until they finish. On SIGTERM the handler only flushes when the
+ * application has its own SIGTERM handler (which decides when to exit);
+ * otherwise it flushes and re-raises the signal to keep the default exit
+ */
+function installExitHooks() {
+  if (exitHooksInstalled) return;
+  exitHooksInstalled = true;
+
+  process.on('beforeExit', () => {
+    if (pendingQueues.size > 0) flushQueues();
+  });
+
+  const onSigterm = () => {
+    const alone = process.listenerCount('SIGTERM') === 1;
+    const flushed = flushQueues();
+    if (!alone) return;
+    flushed.finally(() => {
+      process.removeListener('SIGTERM', onSigterm);
+      process.kill(process.pid, 'SIGTERM');
+    });
+  };
+  process.on('SIGTERM', onSigterm);
+}
+
+/**
+ * Bounded in-memory buffer in front of a sink's send(entries) function
+ * Flushes after flushAt records, flushIntervalMs after the first buffered
+ * record (unref'd timer), on fatal records and at exit. Only one flush runs
+ * at a time; callers during a flush share its promise
+ */
+export class DeliveryQueue {
+  /**
+   * @param {Object} config - DEFAULT_QUEUE options plus name,
+   *   send(entries) => Promise<{ delivered, failed }> and
+   *   fallback(entries, error) for entries whose send() threw
+   */
+  constructor(config = {}) {
+    const settings = { ...DEFAULT_QUEUE, ...config };
+    this.name = settings.name || 'delivery';
+    this.send = settings.send;
+    this.fallback = settings.fallback || createStderrFallback(this.name);
+    this.flushAt = settings.flushAt;
+    this.flushIntervalMs = settings.flushIntervalMs;
+    this.maxBuffer = settings.maxBuffer;
+    this.overflow = settings.overflow;
+    if (!OVERFLOW_POLICIES.includes(this.overflow)) {
+      console.warn(`Unknown ${this.name} overflow policy "${this.overflow}", using drop-oldest`);
+      this.overflow = 'drop-oldest';
+    }
+    this.flushOnExit = settings.flushOnExit;
+    this.buffer = [];
+    this.blocked = [];
+    this.timer = null;
+    this.flushing = null;
+    this.stats = { delivered: 0, failed: 0, dropped: 0, batches: 0, retries: 0 };
+  }
+
+  /**
+   * Buffer a record, applying the overflow policy when the buffer is full
+   * @returns {Promise|undefined} A promise only when the record is blocked
+   */
+  push(entry) {
+    // A full buffer normally means a flush is already in flight; start one if not
+    if (this.buffer.length >= this.maxBuffer && !this.flushing) {
+      this.flush();
+    }
+    if (this.blocked.length > 0 || this.buffer.length >= this.maxBuffer) {
+      return this.overflowWith(entry);
+    }
+
+    this.enqueue(entry);
+    if (entry.level === 'fatal' || this.buffer.length >= this.flushAt) {
+      this.flush();
+    }
+    return undefined;
+  }
+
+  enqueue(entry) {
+    this.buffer.push(entry);
+    if (this.buffer.length === 1) {
+      pendingQueues.add(this);
+      if (this.flushOnExit) installExitHooks();
+    }
+    if (!this.timer && this.flushIntervalMs > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, this.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Apply the overflow policy to a record arriving at a full buffer
+   * - drop-oldest: discard the oldest buffered record
+   * - drop-debug-first: discard the oldest trace/debug record, else the oldest
+   * - block: keep the record; push() returns a promise that resolves once a
+   *   flush has made room, so callers that await it (or logger.drain()) are
+   *   slowed to the delivery rate. At most maxBuffer records wait; beyond
+   *   that the arriving record is dropped
+   * @returns {Promise|undefined}
+   */
+  overflowWith(entry) {
+    if (this.overflow === 'block') {
+      if (this.blocked.length >= this.maxBuffer) {
+        this.stats.dropped++;
+        return undefined;
+      }
+      const blocked = { entry };
+      blocked.admitted = new Promise((resolve) => {
+        blocked.resolve = resolve;
+      });
+      this.blocked.push(blocked);
+      return blocked.admitted;
+    }
+
+    const index = this.overflow === 'drop-debug-first'
+      ? this.buffer.findIndex((buffered) => LOW_PRIORITY_LEVELS.has(buffered.level))
+      : -1;
+    this.buffer.splice(Math.max(index, 0), 1);
+    this.stats.dropped++;
+    this.enqueue(entry);
+    return undefined;
+  }
+
+  /**
+   * Resolves once every blocked record has been admitted to the buffer
+   */
+  whenAdmitted() {
+    return this.blocked.length > 0 ? this.blocked[this.blocked.length - 1].admitted : Promise.resolve();
+  }
+
+  /**
+   * Move blocked records into the buffer while there is room
+   */
+  admitBlocked() {
+    while (this.blocked.length > 0 && this.buffer.length < this.maxBuffer) {
+      const { entry, resolve } = this.blocked.shift();
+      this.enqueue(entry);
+      resolve();
+    }
+  }
+
+  /**
+   * Send everything buffered so far, including records (and blocked records)
+   * that arrive while the flush runs
+   * @returns {Promise<Object>} { delivered, failed }
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+        if (this.buffer.length === 0) pendingQueues.delete(this);
+      });
+    }
+    return this.flushing;
+  }
+
+  async drain() {
+    const result = { delivered: 0, failed: 0 };
+    while (this.buffer.length > 0) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      const entries = this.buffer;
+      this.buffer = [];
+
+      const sent = await this.sendSafely(entries);
+      this.stats.delivered += sent.delivered;
+      this.stats.failed += sent.failed;
+      result.delivered += sent.delivered;
+      result.failed += sent.failed;
+      this.admitBlocked();
+    }
+    return result;
+  }
+
+  /**
+   * send() reports its own failures; if it throws instead, the entries are
+   * counted as failed and go to the fallback sink so the flush (and the
+   * process) carries on
+   */
+  async sendSafely(entries) {
+    try {
+      return await this.send(entries);
+    } catch (err) {
+      try {
+        this.fallback(entries, err);
+      } catch (fallbackErr) {
+        console.error(`${this.name} fallback sink failed:`, fallbackErr);
+      }
+      return { delivered: 0, failed: entries.length };
+    }
+  }
+
+  /**
+   * Buffer occupancy and delivery counters, for dumpState()
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      buffered: this.buffer.length,
+      blocked: this.blocked.length,
+      maxBuffer: this.maxBuffer,
+      overflow: this.overflow,
+    };
+  }
+}
+
+export default postWithRetry;
@@ -0,0 +1,332 @@
+/**
+ * HTTP Transports Module
+ * Grafana Loki (push API) and Elasticsearch/OpenSearch (_bulk API) sinks.
+ * Both buffer through a DeliveryQueue and post with the same batching, retry
+ * and overflow handling as the Logflare path.
+ */
+
+import { Transport } from './transports.js';
+import {
+  postWithRetry,
+  splitBatches,
+  backoffDelay,
+  isRetryableStatus,
+  sleep,
+  deliveryFromEnv,
+  queueFromEnv,
+  pickQueueOptions,
+  createStderrFallback,
+  DeliveryQueue,
+  DeliveryError,
+} from './http-delivery.js';
+
+function basicAuth(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+/**
+ * Parse "app=api,region=eu" into { app: 'api', region: 'eu' }
+ */
+export function parseLabels(spec) {
+  if (!spec) return {};
+  if (typeof spec === 'object') return { ...spec };
+
+  return spec.split(',').reduce((labels, entry) => {
+    const [key, value] = entry.split('=').map((part) => part.trim());
+    if (key && value) labels[key] = value;
+    return labels;
+  }, {});
+}
+
+/**
+ * Serialized size of each record; records JSON.stringify() throws on
+ * (BigInt, circular references) are set aside so they fail on their own
+ * instead of taking their batch down
+ * @returns {Object} { sizes: Map<record, bytes>, unserializable: [record, ...], error }
+ */
+function measureRecords(records) {
+  const sizes = new Map();
+  const unserializable = [];
+  let error = null;
+  records.forEach((record) => {
+    try {
+      sizes.set(record, Buffer.byteLength(JSON.stringify(record)));
+    } catch (err) {
+      unserializable.push(record);
+      error ??= err;
+    }
+  });
+  return { sizes, unserializable, error };
+}
+
+/**
+ * Base for batching HTTP sinks
+ * Subclasses implement sendBatch(batch) => Promise<number> (records delivered);
+ * a throw sends the whole batch to the fallback sink
+ */
+export class HttpBatchTransport extends Transport {
+  constructor(config = {}, envPrefix) {
+    super(config);
+    this.delivery = { ...deliveryFromEnv(envPrefix), ...config.delivery };
+    this.fallback = config.fallback || createStderrFallback(this.name);
+    this.queue = new DeliveryQueue({
+      ...queueFromEnv(envPrefix),
+      ...pickQueueOptions(config),
+      name: this.name,
+      send: (entries) => this.send(entries),
+      fallback: (entries, error) => this.reportFailure(entries, error),
+    });
+  }
+
+  /**
+   * Records are buffered as objects; returns a promise only when the
+   * `block` overflow policy holds the record back
+   */
+  write(level, record) {
+    return this.queue.push(typeof record === 'string' ? { level, message: record } : record);
+  }
+
+  drain() {
+    return this.queue.whenAdmitted();
+  }
+
+  post(request) {
+    return postWithRetry(request, {
+      ...this.delivery,
+      onRetry: () => {
+        this.queue.stats.retries++;
+      },
+    });
+  }
+
+  async send(entries) {
+    const result = { delivered: 0, failed: 0 };
+    const { sizes, unserializable, error } = measureRecords(entries);
+    if (unserializable.length > 0) {
+      result.failed += this.reportFailure(unserializable, new DeliveryError(
+        `Log entry could not be serialized: ${error.message}`,
+      ));
+    }
+
+    const serializable = unserializable.length > 0 ? entries.filter((entry) => sizes.has(entry)) : entries;
+    const { batches, oversized } = splitBatches(serializable, this.delivery, (entry) => sizes.get(entry));
+    if (oversized.length > 0) {
+      result.failed += this.reportFailure(oversized, new DeliveryError(
+        `Log entry larger than maxBatchBytes (${this.delivery.maxBatchBytes})`,
+      ));
+    }
+
+    for (const batch of batches) {
+      try {
+        const delivered = await this.sendBatch(batch);
+        this.queue.stats.batches++;
+        result.delivered += delivered;
+        result.failed += batch.length - delivered;
+      } catch (err) {
+        result.failed += this.reportFailure(batch, err);
+      }
+    }
+    return result;
+  }
+
+  reportFailure(entries, error) {
+    try {
+      this.fallback(entries, error);
+    } catch (err) {
+      console.error(`${this.name} fallback sink failed:`, err);
+    }
+    return entries.length;
+  }
+
+  async flush() {
+    await this.queue.flush();
+  }
+
+  getStats() {
+    return this.queue.getStats();
+  }
+}
+
+/**
+ * Grafana Loki push API sink
+ * Records are grouped into streams labelled with level, environment and
+ * component (when present) plus static labels; the log line is the JSON record.
+ * Keep labels low-cardinality: request IDs and the like belong in the line
+ */
+export class LokiTransport extends HttpBatchTransport {
+  constructor(config = {}) {
+    super({ name: 'loki', ...config }, 'LOKI');
+    const baseUrl = (config.url || process.env.LOKI_URL || 'http://localhost:3100').replace(/\/$/, '');
+    this.pushUrl = `${baseUrl}/loki/api/v1/push`;
+    this.labels = parseLabels(config.labels ?? process.env.LOKI_LABELS);
+    this.environment = config.environment || process.env.NODE_ENV || 'development';
+
+    const tenantId = config.tenantId ?? process.env.LOKI_TENANT_ID;
+    const username = config.username ?? process.env.LOKI_USERNAME;
+    const password = config.password ?? process.env.LOKI_PASSWORD;
+    this.headers = {
+      ...(tenantId && { 'X-Scope-OrgID': tenantId }),
+      ...(username && { Authorization: basicAuth(username, password || '') }),
+    };
+  }
+
+  streamLabels(record) {
+    return {
+      ...this.labels,
+      level: record.level || 'info',
+      environment: record.environment || this.environment,
+      ...(record.component && { component: String(record.component) }),
+    };
+  }
+
+  /**
+   * Push body: one stream per label set, values as [unix-nanoseconds, line]
+   * in record order
+   */
+  toPushBody(batch) {
+    const streams = new Map();
+    batch.forEach((record) => {
+      const labels = this.streamLabels(record);
+      const key = JSON.stringify(Object.entries(labels).sort());
+      if (!streams.has(key)) streams.set(key, { stream: labels, values: [] });
+
+      const millis = Date.parse(record.timestamp);
+      const nanoseconds = BigInt(Number.isNaN(millis) ? Date.now() : millis) * 1000000n;
+      streams.get(key).values.push([nanoseconds.toString(), JSON.stringify(record)]);
+    });
+    return { streams: [...streams.values()] };
+  }
+
+  async sendBatch(batch) {
+    await this.post({
+      url: this.pushUrl,
+      headers: this.headers,
+      body: JSON.stringify(this.toPushBody(batch)),
+    });
+    return batch.length;
+  }
+}
+
+/**
+ * Elasticsearch/OpenSearch _bulk sink writing to one index per UTC day
+ * (<prefix>-YYYY.MM.DD). Items the cluster rejects with 429/5xx are resent
+ * with backoff; other item errors (e.g. mapping conflicts) go to the fallback
+ */
+export class ElasticsearchTransport extends HttpBatchTransport {
+  constructor(config = {}) {
+    super({ name: 'elasticsearch', ...config }, 'ELASTICSEARCH');
+    const baseUrl = (config.url || process.env.ELASTICSEARCH_URL || 'http://localhost:9200').replace(/\/$/, '');
+    this.bulkUrl = `${baseUrl}/_bulk`;
+    this.indexPrefix = config.indexPrefix || process.env.ELASTICSEARCH_INDEX_PREFIX || 'logs';
+
+    const apiKey = config.apiKey ?? process.env.ELASTICSEARCH_API_KEY;
+    const username = config.username ?? process.env.ELASTICSEARCH_USERNAME;
+    const password = config.password ?? process.env.ELASTICSEARCH_PASSWORD;
+    this.headers = apiKey
+      ? { Authorization: `ApiKey ${apiKey}` }
+      : { ...(username && { Authorization: basicAuth(username, password || '') }) };
+  }
+
+  indexFor(record) {
+    const millis = Date.parse(record.timestamp);
+    const day = new Date(Number.isNaN(millis) ? Date.now() : millis).toISOString().slice(0, 10);
+    return `${this.indexPrefix}-${day.replace(/-/g, '.')}`;
+  }
+
+  toBulkBody(batch) {
+    return batch.map((record) => `${JSON.stringify({ index: { _index: this.indexFor(record) } })}\n${
+      JSON.stringify({ '@timestamp': record.timestamp, ...record })}\n`).join('');
+  }
+
+  async sendBatch(batch) {
+    let pending = batch;
+    let delivered = 0;
+
+    for (let attempt = 0; ; attempt++) {
+      const { responseBody } = await this.post({
+        url: this.bulkUrl,
+        headers: this.headers,
+        body: this.toBulkBody(pending),
+        contentType: 'application/x-ndjson',
+      });
+
+      const failures = bulkFailures(responseBody, pending);
+      delivered += pending.length - failures.length;
+      const retryable = failures.filter((failure) => isRetryableStatus(failure.status));
+      const rejected = failures.filter((failure) => !isRetryableStatus(failure.status));
+      if (rejected.length > 0) {
+        this.reportFailure(rejected.map((failure) => failure.record), new DeliveryError(
+          `Elasticsearch rejected ${rejected.length} document(s): ${rejected[0].reason}`,
+          { status: rejected[0].status, attempts: attempt + 1 },
+        ));
+      }
+      if (retryable.length === 0) return delivered;
+
+      pending = retryable.map((failure) => failure.record);
+      if (attempt >= this.delivery.maxRetries) {
+        this.reportFailure(pending, new DeliveryError(
+          `Elasticsearch kept rejecting ${pending.length} document(s): ${retryable[0].reason}`,
+          { status: retryable[0].status, attempts: attempt + 1, retryable: true },
+        ));
+        return delivered;
+      }
+      this.queue.stats.retries++;
+      await sleep(backoffDelay(attempt, this.delivery));
+    }
+  }
+}
+
+/**
+ * Per-item failures from a _bulk response, matched to the records by position
+ * @returns {Array} [{ record, status, reason }]
+ */
+function bulkFailures(responseBody, records) {
+  let response;
+  try {
+    response = JSON.parse(responseBody);
+  } catch {
+    return [];
+  }
+  if (!response.errors || !Array.isArray(response.items)) return [];
+
+  return response.items.flatMap((item, index) => {
+    const result = item.index || item.create || Object.values(item)[0];
+    if (!result || !result.error) return [];
+    return [{
+      record: records[index],
+      status: result.status,
+      reason: result.error.reason || result.error.type || 'unknown error',
+    }];
+  });
+}
+
+let lokiTransport = null;
+let elasticsearchTransport = null;
+
+/**
+ * Process-wide Loki transport, so every logger shares one queue
+ */
+export function getLokiTransport(config = {}) {
+  if (!lokiTransport) {
+    lokiTransport = new LokiTransport(config);
+  }
+  return lokiTransport;
+}
+
+/**
+ * Process-wide Elasticsearch transport, so every logger shares one queue
+ */
+export function getElasticsearchTransport(config = {}) {
+  if (!elasticsearchTransport) {
+    elasticsearchTransport = new ElasticsearchTransport(config);
+  }
+  return elasticsearchTransport;
+}
+
+export default {
+  HttpBatchTransport,
+  LokiTransport,
+  ElasticsearchTransport,
+  getLokiTransport,
+  getElasticsearchTransport,
+};
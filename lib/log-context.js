@@ -0,0 +1,41 @@
+/**
+ * Log Context Module
+ * AsyncLocalStorage-backed correlation context shared by every logger instance
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a correlation context
+ * Nested contexts inherit the correlation ID, session ID, trace and bindings of the parent
+ * @param {Object} ctx - { correlationId, sessionId, trace, bindings }
+ * @param {Function} fn - Function to run inside the context
+ * @returns {*} The return value of fn
+ */
+export function runWithContext(ctx = {}, fn) {
+  const parent = storage.getStore();
+  const trace = ctx.trace || parent?.trace || null;
+  const store = {
+    correlationId: ctx.correlationId || parent?.correlationId || trace?.traceId || randomUUID(),
+    sessionId: ctx.sessionId || parent?.sessionId || null,
+    trace,
+    bindings: { ...parent?.bindings, ...ctx.bindings },
+  };
+
+  return storage.run(store, fn);
+}
+
+/**
+ * Get the active correlation context, or null outside of runWithContext()
+ */
+export function getContext() {
+  return storage.getStore() || null;
+}
+
+export default {
+  runWithContext,
+  getContext,
+};
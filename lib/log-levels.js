@@ -0,0 +1,90 @@
+/**
+ * Log Levels Module
+ * Level thresholds with per-component overrides, shared between a logger and its children
+ */
+
+export const LEVELS = {
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+};
+
+/**
+ * Parse an override spec such as "sourcegraph-client=warn,api=debug"
+ * @param {string|Object} spec - Spec string or { component: level } map
+ * @returns {Object} Map of component/module name to level
+ */
+export function parseLevelOverrides(spec) {
+  if (!spec) return {};
+  if (typeof spec === 'object') return { ...spec };
+
+  return spec.split(',').reduce((overrides, entry) => {
+    const [name, level] = entry.split('=').map((part) => part.trim());
+    if (name && LEVELS[level?.toLowerCase()]) {
+      overrides[name] = level.toLowerCase();
+    }
+    return overrides;
+  }, {});
+}
+
+function normalizeLevel(level) {
+  const normalized = String(level).toLowerCase();
+  if (!LEVELS[normalized]) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Holds the minimum level and the per-component overrides
+ * One instance is shared by a root logger and every child created from it,
+ * so setLevel() on any of them applies to the whole tree
+ */
+export class LevelController {
+  constructor(config = {}) {
+    this.level = normalizeLevel(config.level || process.env.LOG_LEVEL || 'debug');
+    this.overrides = {};
+
+    const overrides = parseLevelOverrides(config.overrides ?? process.env.LOG_LEVEL_OVERRIDES);
+    Object.entries(overrides).forEach(([name, level]) => this.setLevel(level, name));
+  }
+
+  /**
+   * Set the default level, or the level for one component/module
+   */
+  setLevel(level, component = null) {
+    const normalized = normalizeLevel(level);
+    if (component) {
+      this.overrides[component] = normalized;
+    } else {
+      this.level = normalized;
+    }
+    return this;
+  }
+
+  /**
+   * Remove a component override so it falls back to the default level
+   */
+  clearLevel(component) {
+    delete this.overrides[component];
+    return this;
+  }
+
+  /**
+   * Resolve the effective level for a set of bindings
+   * A `module` override wins over a `component` override
+   */
+  getLevel(bindings = {}) {
+    return this.overrides[bindings.module]
+      || this.overrides[bindings.component]
+      || this.level;
+  }
+
+  isLevelEnabled(level, bindings = {}) {
+    return (LEVELS[level] ?? LEVELS.info) >= LEVELS[this.getLevel(bindings)];
+  }
+}
+
+export default LevelController;
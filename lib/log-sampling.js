@@ -0,0 +1,277 @@
+/**
+ * Log Sampling Module
+ * Per-operation sampling, token-bucket rate limits and duplicate suppression
+ */
+
+const DEFAULT_BYPASS_LEVELS = ['error', 'fatal'];
+const DEFAULT_DEDUPE_LEVELS = ['debug', 'info', 'warn', 'error'];
+const DEFAULT_MAX_DUPLICATES = 1000;
+
+/**
+ * Samplers holding open dedupe windows, flushed by flushSamplers() at shutdown
+ */
+const pendingSamplers = new Set();
+
+/**
+ * Parse "perf_*=0.1,timeline_event=0.05" style specs into { key: number }
+ */
+export function parseNumberSpec(spec) {
+  if (!spec) return {};
+  if (typeof spec === 'object') return { ...spec };
+
+  return spec.split(',').reduce((result, entry) => {
+    const [key, value] = entry.split('=').map((part) => part.trim());
+    if (key && value !== undefined && !Number.isNaN(Number(value))) {
+      result[key] = Number(value);
+    }
+    return result;
+  }, {});
+}
+
+export function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Compile { pattern: value } into an ordered lookup; exact keys win over globs
+ */
+function compileLookup(map) {
+  const entries = Object.entries(map).map(([pattern, value]) => ({
+    pattern,
+    value,
+    regex: pattern.includes('*') ? globToRegExp(pattern) : null,
+  }));
+  return (key) => {
+    if (!key) return undefined;
+    const exact = entries.find((e) => !e.regex && e.pattern === key);
+    if (exact) return exact.value;
+    return entries.find((e) => e.regex?.test(key))?.value;
+  };
+}
+
+/**
+ * Classic token bucket; `rate` tokens per second up to `burst`
+ */
+class TokenBucket {
+  constructor(rate, burst = rate) {
+    this.rate = rate;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+/**
+ * Decides whether a record should be emitted
+ * Shared by a root logger and its children so limits apply process-wide
+ */
+export class LogSampler {
+  constructor(config = {}) {
+    this.sampleRate = compileLookup(parseNumberSpec(config.sampleRates));
+    this.levelSampleRates = parseNumberSpec(config.levelSampleRates);
+    this.levelLimits = this.normalizeLimits(config.levelLimits);
+    this.operationLimit = compileLookup(this.normalizeLimits(config.operationLimits));
+    this.bypassLevels = config.bypassLevels || DEFAULT_BYPASS_LEVELS;
+    this.dedupeWindowMs = config.dedupeWindowMs || 0;
+    this.dedupeLevels = config.dedupeLevels || DEFAULT_DEDUPE_LEVELS;
+    this.maxDuplicates = config.maxDuplicates || DEFAULT_MAX_DUPLICATES;
+    this.random = config.random || Math.random;
+    this.onSummary = config.onSummary || null;
+
+    this.buckets = new Map();
+    this.duplicates = new Map();
+    this.sweepTimer = null;
+    this.stats = { emitted: 0, sampledOut: 0, rateLimited: 0, suppressed: 0, summaries: 0 };
+  }
+
+  normalizeLimits(spec) {
+    return Object.fromEntries(
+      Object.entries(parseNumberSpec(spec)).map(([key, value]) =>
+        [key, typeof value === 'number' ? { rate: value, burst: value } : value]),
+    );
+  }
+
+  /**
+   * @returns {boolean} true when the record should be emitted
+   */
+  admit(level, record) {
+    if (!this.bypassLevels.includes(level)) {
+      if (!this.passesSampling(level, record)) {
+        this.stats.sampledOut++;
+        return false;
+      }
+      if (!this.passesRateLimits(level, record)) {
+        this.stats.rateLimited++;
+        return false;
+      }
+    }
+
+    if (this.isDuplicate(level, record)) {
+      this.stats.suppressed++;
+      return false;
+    }
+
+    this.stats.emitted++;
+    return true;
+  }
+
+  passesSampling(level, record) {
+    const rate = this.sampleRate(record.operation) ?? this.levelSampleRates[level];
+    if (rate === undefined || rate >= 1) return true;
+    return this.random() < rate;
+  }
+
+  passesRateLimits(level, record) {
+    const checks = [];
+    if (this.levelLimits[level]) {
+      checks.push([`level:${level}`, this.levelLimits[level]]);
+    }
+    const operationLimit = this.operationLimit(record.operation);
+    if (operationLimit) {
+      checks.push([`operation:${record.operation}`, operationLimit]);
+    }
+
+    return checks.every(([key, limit]) => {
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, new TokenBucket(limit.rate, limit.burst ?? limit.rate));
+      }
+      return this.buckets.get(key).take();
+    });
+  }
+
+  /**
+   * Identity of a record for duplicate suppression; records without a
+   * message or error are never treated as duplicates
+   */
+  dedupeKey(level, record) {
+    if (record.message === undefined && record.error === undefined) return null;
+    const text = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+    return [level, record.operation || '', text(record.message), text(record.error)].join('|');
+  }
+
+  isDuplicate(level, record) {
+    if (!this.dedupeWindowMs || !this.dedupeLevels.includes(level)) return false;
+
+    const key = this.dedupeKey(level, record);
+    if (!key) return false;
+
+    const now = Date.now();
+    const entry = this.duplicates.get(key);
+
+    if (entry && now - entry.firstSeen < this.dedupeWindowMs) {
+      entry.count++;
+      entry.lastSeen = now;
+      return true;
+    }
+
+    if (entry) {
+      this.emitSummary(key, entry);
+    } else if (this.duplicates.size >= this.maxDuplicates) {
+      // Close the oldest window early rather than tracking unbounded keys
+      const [oldestKey, oldest] = this.duplicates.entries().next().value;
+      this.emitSummary(oldestKey, oldest);
+    }
+    this.duplicates.set(key, { level, record, count: 0, firstSeen: now, lastSeen: now });
+    this.scheduleSweep();
+    return false;
+  }
+
+  emitSummary(key, entry) {
+    this.duplicates.delete(key);
+    if (entry.count === 0 || !this.onSummary) return;
+
+    const { record } = entry;
+    const { timestamp, ...rest } = record;
+    this.stats.summaries++;
+    this.onSummary(entry.level, {
+      ...rest,
+      operation: 'log_repeated',
+      originalOperation: record.operation,
+      message: `${typeof record.message === 'string' ? record.message : record.operation || 'log'} (repeated ${entry.count} times)`,
+      repeatedCount: entry.count,
+      firstSeen: new Date(entry.firstSeen).toISOString(),
+      lastSeen: new Date(entry.lastSeen).toISOString(),
+    });
+  }
+
+  /**
+   * Started with the first open window, so windows of messages that never
+   * repeat are closed too
+   */
+  scheduleSweep() {
+    if (this.sweepTimer) return;
+    pendingSamplers.add(this);
+    this.sweepTimer = setInterval(() => this.sweep(), this.dedupeWindowMs);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Emit summaries for windows that have closed
+   */
+  sweep(force = false) {
+    const now = Date.now();
+    for (const [key, entry] of this.duplicates) {
+      if (force || now - entry.firstSeen >= this.dedupeWindowMs) {
+        this.emitSummary(key, entry);
+      }
+    }
+
+    if (this.duplicates.size === 0 && this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+      pendingSamplers.delete(this);
+    }
+  }
+
+  /**
+   * Emit every pending summary, e.g. before shutdown
+   */
+  flush() {
+    this.sweep(true);
+  }
+
+  getStats() {
+    return { ...this.stats, pendingDuplicates: this.duplicates.size };
+  }
+}
+
+/**
+ * Emit the pending "repeated N times" summaries of every sampler; call
+ * before flushing the sinks at shutdown
+ */
+export function flushSamplers() {
+  pendingSamplers.forEach((sampler) => sampler.flush());
+}
+
+/**
+ * Build a sampler from config or LOG_SAMPLE_RATES / LOG_RATE_LIMITS /
+ * LOG_OPERATION_RATE_LIMITS / LOG_DEDUPE_WINDOW_MS / LOG_DEDUPE_MAX_KEYS;
+ * null when nothing is configured
+ */
+export function createLogSampler(config = {}) {
+  const resolved = {
+    ...config,
+    sampleRates: config.sampleRates ?? process.env.LOG_SAMPLE_RATES,
+    levelLimits: config.levelLimits ?? process.env.LOG_RATE_LIMITS,
+    operationLimits: config.operationLimits ?? process.env.LOG_OPERATION_RATE_LIMITS,
+    dedupeWindowMs: config.dedupeWindowMs ?? parseInt(process.env.LOG_DEDUPE_WINDOW_MS || '0'),
+    maxDuplicates: config.maxDuplicates ?? parseInt(process.env.LOG_DEDUPE_MAX_KEYS || String(DEFAULT_MAX_DUPLICATES)),
+  };
+
+  const configured = resolved.sampleRates || resolved.levelSampleRates || resolved.levelLimits
+    || resolved.operationLimits || resolved.dedupeWindowMs;
+  return configured ? new LogSampler(resolved) : null;
+}
+
+export default LogSampler;
@@ -0,0 +1,252 @@
+/**
+ * Metrics Module
+ * In-process counters, gauges and histograms with labels, rendered in the
+ * Prometheus text exposition format (version 0.0.4)
+ */
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const DEFAULT_MAX_SERIES = 1000;
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Shared label handling; each label set is one series
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [], maxSeries = DEFAULT_MAX_SERIES }) {
+    if (!METRIC_NAME.test(name)) throw new Error(`Invalid metric name: ${name}`);
+    this.type = type;
+    this.name = name;
+    this.help = help || name;
+    this.labelNames = labelNames;
+    this.maxSeries = maxSeries;
+    this.series = new Map();
+    this.droppedSeries = 0;
+  }
+
+  labelValues(labels = {}) {
+    return this.labelNames.map((name) => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+  }
+
+  /**
+   * Get or create the series for a label set
+   * Past maxSeries new label sets are dropped so a bad label cannot exhaust memory
+   */
+  getSeries(labels, create) {
+    const values = this.labelValues(labels);
+    const key = values.join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      if (this.series.size >= this.maxSeries) {
+        this.droppedSeries++;
+        return null;
+      }
+      series = { values, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(config) {
+    super('counter', config);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    const series = this.getSeries(labels, () => ({ value: 0 }));
+    if (series) series.value += value;
+  }
+
+  get(labels = {}) {
+    return this.series.get(this.labelValues(labels).join('\u0000'))?.value ?? 0;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map((s) => `${this.name}${formatLabels(this.labelNames, s.values)} ${formatValue(s.value)}`),
+    ];
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(config) {
+    super('gauge', config);
+  }
+
+  set(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({ value: 0 }));
+    if (series) series.value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    const series = this.getSeries(labels, () => ({ value: 0 }));
+    if (series) series.value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  get(labels = {}) {
+    return this.series.get(this.labelValues(labels).join('\u0000'))?.value ?? 0;
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...[...this.series.values()].map((s) => `${this.name}${formatLabels(this.labelNames, s.values)} ${formatValue(s.value)}`),
+    ];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(config) {
+    super('histogram', config);
+    this.buckets = [...(config.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    }));
+    if (!series) return;
+
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  get(labels = {}) {
+    const series = this.series.get(this.labelValues(labels).join('\u0000'));
+    return series ? { sum: series.sum, count: series.count } : { sum: 0, count: 0 };
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach((s) => {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += s.counts[i];
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, s.values, `le="${formatValue(bound)}"`)} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, s.values)} ${formatValue(s.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, s.values)} ${s.count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Named collection of metrics
+ * counter()/gauge()/histogram() return the existing metric when called again
+ * with the same name, so call sites can declare metrics where they use them
+ */
+export class MetricsRegistry {
+  constructor(config = {}) {
+    this.prefix = config.prefix || '';
+    this.maxSeries = config.maxSeries || DEFAULT_MAX_SERIES;
+    this.metrics = new Map();
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  register(MetricClass, config) {
+    const name = `${this.prefix}${config.name}`;
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new MetricClass({ maxSeries: this.maxSeries, ...config, name });
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(Counter, { name, help, labelNames });
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(Gauge, { name, help, labelNames });
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(Histogram, { name, help, labelNames, buckets });
+  }
+
+  getMetric(name) {
+    return this.metrics.get(`${this.prefix}${name}`) || this.metrics.get(name);
+  }
+
+  reset() {
+    this.metrics.forEach((metric) => metric.reset());
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach((metric) => lines.push(...metric.render()));
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  }
+
+  getStats() {
+    return {
+      metrics: this.metrics.size,
+      series: [...this.metrics.values()].reduce((total, metric) => total + metric.series.size, 0),
+      droppedSeries: [...this.metrics.values()].reduce((total, metric) => total + metric.droppedSeries, 0),
+    };
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Process-wide registry shared by every logger; METRICS_PREFIX prefixes metric names
+ */
+export function getMetricsRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new MetricsRegistry({ prefix: process.env.METRICS_PREFIX || '' });
+  }
+  return defaultRegistry;
+}
+
+export default getMetricsRegistry;
@@ -0,0 +1,163 @@
+/**
+ * Performance Budgets Module
+ * Duration budgets per operation, table, URL pattern or route, with breach
+ * tracking and escalation when a budget is breached repeatedly
+ */
+
+import { parseNumberSpec, globToRegExp } from './log-sampling.js';
+import { BoundedStore } from './bounded-store.js';
+
+export const BUDGET_KINDS = ['operation', 'db', 'api', 'http'];
+
+// Same thresholds the test orchestrator documents: DB < 100ms, API < 500ms, page loads < 2s
+export const DEFAULT_BUDGETS = {
+  db: 100,
+  api: 500,
+  http: 2000,
+};
+
+/**
+ * Parse "db=100,db:users=50,api:https://api.github.com/*=1000,http:/api/users/*=300"
+ * Keys are a kind, optionally followed by ":<glob>" matched against the
+ * operation name / table (db), URL (api), route or path (http)
+ */
+export function parseBudgets(spec) {
+  return Object.entries(parseNumberSpec(spec)).map(([key, budgetMs]) => {
+    const separator = key.indexOf(':');
+    const kind = separator === -1 ? key : key.slice(0, separator);
+    const pattern = separator === -1 ? null : key.slice(separator + 1);
+    return { kind, pattern, budgetMs };
+  }).filter((budget) => BUDGET_KINDS.includes(budget.kind));
+}
+
+export class PerformanceBudgets {
+  constructor(config = {}) {
+    const budgets = config.budgets !== undefined
+      ? config.budgets
+      : parseBudgets(process.env.LOG_PERFORMANCE_BUDGETS);
+
+    // Pattern budgets are tried in order before the per-kind default
+    this.rules = (Array.isArray(budgets) ? budgets : parseBudgets(budgets)).map((budget) => ({
+      ...budget,
+      regex: budget.pattern ? globToRegExp(budget.pattern) : null,
+    }));
+    Object.entries({ ...DEFAULT_BUDGETS, ...config.defaults }).forEach(([kind, budgetMs]) => {
+      if (!this.rules.some((rule) => rule.kind === kind && !rule.pattern)) {
+        this.rules.push({ kind, pattern: null, budgetMs, regex: null });
+      }
+    });
+
+    this.escalateAfter = config.escalateAfter
+      ?? parseInt(process.env.LOG_BUDGET_ESCALATE_AFTER || '5');
+    this.escalationWindowMs = config.escalationWindowMs
+      ?? parseInt(process.env.LOG_BUDGET_ESCALATION_WINDOW_MS || '60000');
+    this.stats = new BoundedStore({ name: 'performanceBudgets', maxSize: config.maxTracked ?? 1000 });
+  }
+
+  /**
+   * Find the budget for an observation; subjects are tried in order
+   * (e.g. [table, operation] for queries)
+   */
+  resolve(kind, subjects = []) {
+    const candidates = subjects.filter((subject) => subject !== undefined && subject !== null && subject !== '');
+    return this.rules.find((rule) => rule.kind === kind && rule.regex
+      && candidates.some((subject) => rule.regex.test(String(subject))))
+      || this.rules.find((rule) => rule.kind === kind && !rule.pattern)
+      || null;
+  }
+
+  /**
+   * Check a duration against its budget
+   * @returns {Object|null} Violation { kind, name, target, budgetMs, duration, overBy, escalate } or null
+   */
+  check(kind, { name, subjects = [name], duration }) {
+    const rule = this.resolve(kind, subjects);
+    if (!rule || typeof duration !== 'number') return null;
+
+    const target = rule.pattern ? `${kind}:${rule.pattern}` : kind;
+    // Default budgets track each name separately so one slow query does not hide another
+    const key = rule.pattern ? target : `${kind}:${name}`;
+    let stats = this.stats.get(key);
+    if (!stats) {
+      stats = {
+        kind,
+        name,
+        target,
+        budgetMs: rule.budgetMs,
+        checks: 0,
+        violations: 0,
+        worstMs: 0,
+        lastViolation: null,
+        escalations: 0,
+        recent: [],
+        escalatedAt: 0,
+      };
+      this.stats.set(key, stats);
+    }
+
+    stats.checks++;
+    if (duration <= rule.budgetMs) return null;
+
+    const now = Date.now();
+    stats.violations++;
+    stats.worstMs = Math.max(stats.worstMs, duration);
+    stats.lastViolation = new Date(now).toISOString();
+    stats.recent = stats.recent.filter((time) => now - time < this.escalationWindowMs);
+    stats.recent.push(now);
+
+    // Escalate once per window while breaches keep coming
+    const escalate = stats.recent.length >= this.escalateAfter
+      && now - stats.escalatedAt >= this.escalationWindowMs;
+    if (escalate) {
+      stats.escalatedAt = now;
+      stats.escalations++;
+    }
+
+    return {
+      kind,
+      name,
+      target,
+      budgetMs: rule.budgetMs,
+      duration,
+      overBy: duration - rule.budgetMs,
+      recentViolations: stats.recent.length,
+      escalate,
+    };
+  }
+
+  /**
+   * Violation summary, worst offenders first
+   */
+  getSummary(limit = 10) {
+    const entries = [...this.stats.values()].filter((stats) => stats.violations > 0);
+    return {
+      totalViolations: entries.reduce((total, stats) => total + stats.violations, 0),
+      escalations: entries.reduce((total, stats) => total + stats.escalations, 0),
+      budgets: entries
+        .sort((a, b) => b.violations - a.violations || b.worstMs - a.worstMs)
+        .slice(0, limit)
+        .map(({ recent, escalatedAt, ...stats }) => ({
+          ...stats,
+          violationRate: stats.violations / stats.checks,
+        })),
+    };
+  }
+
+  reset() {
+    this.stats.clear();
+  }
+}
+
+let defaultBudgets = null;
+
+/**
+ * Process-wide budgets configured from LOG_PERFORMANCE_BUDGETS
+ */
+export function getPerformanceBudgets() {
+  if (!defaultBudgets) {
+    defaultBudgets = new PerformanceBudgets();
+  }
+  return defaultBudgets;
+}
+
+export default getPerformanceBudgets;
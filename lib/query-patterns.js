@@ -0,0 +1,126 @@
+/**
+ * Query Patterns Module
+ * Detects N+1 queries (one normalized statement run many times with different
+ * parameters) and duplicate identical queries within a correlation ID or session
+ */
+
+import { createHash } from 'crypto';
+import { BoundedStore } from './bounded-store.js';
+
+export const N_PLUS_ONE = 'n_plus_one';
+export const DUPLICATE_QUERY = 'duplicate_query';
+
+// Distinct parameter sets remembered per statement; enough to tell N+1 from duplicates
+const MAX_VARIANTS = 100;
+
+/**
+ * Identity of one execution: raw statement text plus bound values
+ */
+export function queryIdentity(sql, values) {
+  let serialized;
+  try {
+    serialized = JSON.stringify(values ?? null);
+  } catch {
+    serialized = String(values);
+  }
+  return createHash('sha256').update(`${sql}\u0000${serialized}`).digest('hex').slice(0, 16);
+}
+
+export class QueryPatternDetector {
+  constructor(config = {}) {
+    this.nPlusOneThreshold = config.nPlusOneThreshold
+      ?? parseInt(process.env.LOG_N_PLUS_ONE_THRESHOLD || '10');
+    this.duplicateThreshold = config.duplicateThreshold
+      ?? parseInt(process.env.LOG_DUPLICATE_QUERY_THRESHOLD || '5');
+    this.scopes = new BoundedStore({
+      name: 'queryPatternScopes',
+      maxSize: config.maxScopes ?? 1000,
+      ttlMs: config.scopeTtlMs ?? parseInt(process.env.LOG_QUERY_PATTERN_TTL_MS || '300000'),
+    });
+  }
+
+  /**
+   * Count one execution in a scope (session, local root span or correlation ID)
+   * @param {string} scopeId - Scope the query ran under; nothing is tracked without one
+   * @param {Object} execution - { fingerprint, query, identity }
+   * @returns {Array} Findings whose threshold this execution crossed; each is reported once per scope
+   */
+  observe(scopeId, { fingerprint, query, identity }) {
+    if (!scopeId) return [];
+
+    let scope = this.scopes.get(scopeId);
+    if (!scope) {
+      scope = { statements: new Map(), findings: [] };
+      this.scopes.set(scopeId, scope);
+    }
+
+    let statement = scope.statements.get(fingerprint);
+    if (!statement) {
+      statement = { query, calls: 0, variants: new Map(), reported: new Set() };
+      scope.statements.set(fingerprint, statement);
+    }
+
+    statement.calls++;
+    const repeats = (statement.variants.get(identity) || 0) + 1;
+    if (statement.variants.has(identity) || statement.variants.size < MAX_VARIANTS) {
+      statement.variants.set(identity, repeats);
+    }
+
+    const findings = [];
+    const report = (type, details) => {
+      const key = type === DUPLICATE_QUERY ? `${type}:${identity}` : type;
+      if (statement.reported.has(key)) return;
+      statement.reported.add(key);
+      const finding = {
+        type,
+        scopeId,
+        fingerprint,
+        query,
+        calls: statement.calls,
+        detectedAt: new Date().toISOString(),
+        ...details,
+      };
+      scope.findings.push(finding);
+      findings.push(finding);
+    };
+
+    if (statement.variants.size > 1 && statement.calls >= this.nPlusOneThreshold) {
+      report(N_PLUS_ONE, { distinctParams: statement.variants.size, threshold: this.nPlusOneThreshold });
+    }
+    if (repeats >= this.duplicateThreshold) {
+      report(DUPLICATE_QUERY, { repeats, threshold: this.duplicateThreshold });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Findings reported so far for a scope
+   */
+  getFindings(scopeId) {
+    return this.scopes.peek(scopeId)?.findings || [];
+  }
+
+  /**
+   * Forget a scope, e.g. when its session ends
+   */
+  release(scopeId) {
+    const findings = this.getFindings(scopeId);
+    this.scopes.delete(scopeId);
+    return findings;
+  }
+}
+
+let defaultDetector = null;
+
+/**
+ * Process-wide detector shared by every logger and LoggedPgPool
+ */
+export function getQueryPatternDetector() {
+  if (!defaultDetector) {
+    defaultDetector = new QueryPatternDetector();
+  }
+  return defaultDetector;
+}
+
+export default getQueryPatternDetector;
@@ -0,0 +1,182 @@
+/**
+ * Query Statistics Module
+ * SQL normalization and fingerprinting with running per-statement statistics,
+ * an in-process take on pg_stat_statements
+ */
+
+import { createHash } from 'crypto';
+import { BoundedStore } from './bounded-store.js';
+
+// Comments, quoted identifiers, string literals (incl. E'' and dollar quoting),
+// bind parameters, numbers and booleans
+const SQL_TOKEN = /--[^\n]*|\/\*[\s\S]*?\*\/|"(?:[^"]|"")*"|(?:\b[eE])?'(?:[^'\\]|''|\\.)*'|\$([A-Za-z_]\w*)?\$[\s\S]*?\$\1\$|\$\d+|\?|\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b|\b(?:true|false)\b/gi;
+const PLACEHOLDER_LIST = /\(\s*\?(?:\s*,\s*\?)+\s*\)/g;
+const REPEATED_ROWS = /\(\.\.\.\)(?:\s*,\s*\(\.\.\.\))+/g;
+
+/**
+ * Replace literals with ? and collapse whitespace, so the same statement with
+ * different values normalizes to the same text
+ * IN lists and multi-row VALUES collapse to (...) regardless of length
+ */
+export function normalizeSql(sql) {
+  if (typeof sql !== 'string') return '';
+
+  return sql
+    .replace(SQL_TOKEN, (token) => {
+      if (token.startsWith('--') || token.startsWith('/*')) return ' ';
+      if (token.startsWith('"')) return token;
+      return '?';
+    })
+    .replace(/\s+/g, ' ')
+    .replace(PLACEHOLDER_LIST, '(...)')
+    .replace(REPEATED_ROWS, '(...)')
+    .replace(/\s*;\s*$/, '')
+    .trim();
+}
+
+/**
+ * Stable fingerprint of a normalized statement
+ */
+export function fingerprintSql(normalized) {
+  return createHash('sha256').update(normalized).digest('hex').slice(0, 16);
+}
+
+function percentile(samples, p) {
+  if (samples.length === 0) return 0;
+  const sorted = [...samples].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const SORT_FIELDS = ['totalTime', 'calls', 'meanTime', 'p95', 'maxTime', 'rows', 'errors'];
+
+export class QueryStats {
+  constructor(config = {}) {
+    this.maxSamples = config.maxSamples ?? 100;
+    this.summaryIntervalMs = config.summaryIntervalMs
+      ?? parseInt(process.env.LOG_QUERY_STATS_INTERVAL_MS || '300000');
+    this.summaryLimit = config.summaryLimit ?? 10;
+    this.onSummary = config.onSummary || null;
+    this.statements = new BoundedStore({
+      name: 'queryStatements',
+      maxSize: config.maxStatements ?? parseInt(process.env.LOG_QUERY_STATS_MAX || '500'),
+    });
+    this.summaryTimer = null;
+    this.callsSinceSummary = 0;
+  }
+
+  /**
+   * Record one execution of a statement
+   * @param {string} sql - Raw statement text
+   * @param {Object} execution - { duration, rows, error, operation, table }
+   * @returns {Object} { fingerprint, query } for the normalized statement
+   */
+  record(sql, { duration = 0, rows = 0, error = null, operation, table } = {}) {
+    const query = normalizeSql(sql);
+    const fingerprint = fingerprintSql(query);
+
+    let entry = this.statements.get(fingerprint);
+    if (!entry) {
+      entry = {
+        fingerprint,
+        query,
+        operation,
+        table,
+        calls: 0,
+        totalTime: 0,
+        minTime: Infinity,
+        maxTime: 0,
+        rows: 0,
+        errors: 0,
+        samples: [],
+        firstSeen: new Date().toISOString(),
+        lastSeen: null,
+      };
+      this.statements.set(fingerprint, entry);
+    }
+
+    entry.calls++;
+    entry.totalTime += duration;
+    entry.minTime = Math.min(entry.minTime, duration);
+    entry.maxTime = Math.max(entry.maxTime, duration);
+    entry.rows += rows || 0;
+    if (error) entry.errors++;
+    entry.lastSeen = new Date().toISOString();
+    entry.samples.push(duration);
+    if (entry.samples.length > this.maxSamples) entry.samples.shift();
+
+    this.callsSinceSummary++;
+    this.scheduleSummary();
+    return { fingerprint, query };
+  }
+
+  /**
+   * Per-statement statistics, most expensive first
+   * p95 is computed over the last maxSamples executions
+   * @param {Object} options - { limit, sortBy: totalTime | calls | meanTime | p95 | maxTime | rows | errors }
+   */
+  getStats({ limit = 20, sortBy = 'totalTime' } = {}) {
+    const field = SORT_FIELDS.includes(sortBy) ? sortBy : 'totalTime';
+    return [...this.statements.values()]
+      .map(({ samples, ...entry }) => ({
+        ...entry,
+        meanTime: entry.totalTime / entry.calls,
+        p95: percentile(samples, 95),
+      }))
+      .sort((a, b) => b[field] - a[field])
+      .slice(0, limit);
+  }
+
+  /**
+   * Totals plus the top statements by total time
+   */
+  getSummary(limit = this.summaryLimit) {
+    const all = this.getStats({ limit: Infinity });
+    return {
+      statements: all.length,
+      calls: all.reduce((total, entry) => total + entry.calls, 0),
+      totalTime: all.reduce((total, entry) => total + entry.totalTime, 0),
+      errors: all.reduce((total, entry) => total + entry.errors, 0),
+      top: all.slice(0, limit).map(({ fingerprint, query, calls, meanTime, p95, rows, errors }) => ({
+        fingerprint, query, calls, meanTime, p95, rows, errors,
+      })),
+    };
+  }
+
+  scheduleSummary() {
+    if (this.summaryTimer || !this.onSummary || !(this.summaryIntervalMs > 0)) return;
+    this.summaryTimer = setInterval(() => this.emitSummary(), this.summaryIntervalMs);
+    this.summaryTimer.unref?.();
+  }
+
+  /**
+   * Report the summary when statements ran since the last one
+   */
+  emitSummary() {
+    if (this.callsSinceSummary === 0) {
+      clearInterval(this.summaryTimer);
+      this.summaryTimer = null;
+      return;
+    }
+    this.callsSinceSummary = 0;
+    this.onSummary?.(this.getSummary());
+  }
+
+  reset() {
+    this.statements.clear();
+    this.callsSinceSummary = 0;
+  }
+}
+
+let defaultQueryStats = null;
+
+/**
+ * Process-wide statistics shared by every logger and LoggedPgPool
+ */
+export function getQueryStats() {
+  if (!defaultQueryStats) {
+    defaultQueryStats = new QueryStats();
+  }
+  return defaultQueryStats;
+}
+
+export default getQueryStats;
@@ -0,0 +1,216 @@
+/**
+ * Redaction Module
+ * Scrubs secrets and PII from log records and Sentry payloads before they leave the process
+ */
+
+import { createHash, createHmac } from 'crypto';
+
+export const REDACTION_MODES = ['mask', 'hash', 'remove'];
+
+/**
+ * Key paths redacted by default
+ * `*` matches one segment, `**` any number of segments; a bare key matches at any depth
+ */
+export const DEFAULT_PATHS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'apikey',
+  'api_key',
+  'password',
+  'passwd',
+  'secret',
+  'client_secret',
+  'token',
+  'access_token',
+  'refresh_token',
+  'id_token',
+];
+
+/**
+ * Value detectors applied to every string
+ */
+export const DEFAULT_DETECTORS = [
+  { name: 'bearer', pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { name: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: luhnCheck },
+  { name: 'connection_password', pattern: /(?<=\/\/[^:/@\s]+:)[^@\s]+(?=@)/g },
+  {
+    name: 'query_secret',
+    pattern: /(?<=[?&](?:access_token|refresh_token|id_token|token|api_key|apikey|key|password|secret|client_secret|signature|sig|code)=)[^&#\s]+/gi,
+  },
+];
+
+/**
+ * Luhn checksum, used to avoid masking arbitrary long numbers as card numbers
+ */
+function luhnCheck(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function compilePath(rule) {
+  const spec = typeof rule === 'string' ? { path: rule } : rule;
+  const segments = spec.path.toLowerCase().split('.');
+  return {
+    segments: segments.length === 1 && segments[0] !== '*' && segments[0] !== '**'
+      ? ['**', segments[0]]
+      : segments,
+    mode: spec.mode || null,
+  };
+}
+
+function matchSegments(pattern, keys, p = 0, k = 0) {
+  if (p === pattern.length) return k === keys.length;
+  if (pattern[p] === '**') {
+    for (let i = k; i <= keys.length; i++) {
+      if (matchSegments(pattern, keys, p + 1, i)) return true;
+    }
+    return false;
+  }
+  if (k === keys.length) return false;
+  if (pattern[p] !== '*' && pattern[p] !== keys[k]) return false;
+  return matchSegments(pattern, keys, p + 1, k + 1);
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Plain view of a class instance so path rules and detectors reach its
+ * contents: toJSON() when present (AxiosHeaders, URL, Date), entries() for
+ * Map, Headers and URLSearchParams, name/message/stack for errors, otherwise
+ * own enumerable properties. Binary data is returned unchanged
+ */
+function toPlain(value) {
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value;
+
+  let plain;
+  if (typeof value.toJSON === 'function') {
+    plain = value.toJSON();
+  } else if (typeof value.entries === 'function' && typeof value.get === 'function') {
+    plain = Object.fromEntries([...value.entries()].map(([key, item]) => [String(key), item]));
+  } else if (value instanceof Set) {
+    plain = [...value];
+  } else if (value instanceof Error) {
+    plain = { name: value.name, message: value.message, stack: value.stack, ...value };
+  } else {
+    plain = { ...value };
+  }
+
+  return plain !== null && typeof plain === 'object' && !Array.isArray(plain) && !isPlainObject(plain)
+    ? { ...plain }
+    : plain;
+}
+
+/**
+ * Applies key-path rules and value detectors to arbitrary payloads
+ */
+export class Redactor {
+  constructor(config = {}) {
+    this.mode = config.mode || process.env.LOG_REDACTION_MODE || 'mask';
+    if (!REDACTION_MODES.includes(this.mode)) {
+      throw new Error(`Unknown redaction mode "${this.mode}". Expected one of: ${REDACTION_MODES.join(', ')}`);
+    }
+    this.censor = config.censor || '[REDACTED]';
+    this.hashSalt = config.hashSalt ?? process.env.LOG_REDACTION_SALT ?? '';
+    this.maxDepth = config.maxDepth || 20;
+    this.paths = [...(config.paths || DEFAULT_PATHS), ...(config.extraPaths || [])].map(compilePath);
+    this.detectors = [...(config.detectors || DEFAULT_DETECTORS), ...(config.extraDetectors || [])];
+  }
+
+  /**
+   * Return a redacted copy of value; the input is never mutated
+   */
+  redact(value) {
+    return this.walk(value, [], new WeakSet());
+  }
+
+  walk(value, keys, seen) {
+    if (typeof value === 'string') return this.redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (keys.length >= this.maxDepth) return '[MaxDepth]';
+    if (seen.has(value)) return '[Circular]';
+
+    if (Array.isArray(value)) {
+      seen.add(value);
+      const result = value.map((item, index) => this.walk(item, [...keys, String(index)], seen));
+      seen.delete(value);
+      return result;
+    }
+
+    if (!isPlainObject(value)) {
+      const plain = toPlain(value);
+      if (plain === value) return value;
+      seen.add(value);
+      const result = this.walk(plain, keys, seen);
+      seen.delete(value);
+      return result;
+    }
+
+    seen.add(value);
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const path = [...keys, key.toLowerCase()];
+      const rule = this.paths.find((p) => matchSegments(p.segments, path));
+
+      if (!rule) {
+        result[key] = this.walk(item, path, seen);
+        continue;
+      }
+
+      const mode = rule.mode || this.mode;
+      if (mode !== 'remove') {
+        result[key] = mode === 'hash' ? this.hash(item) : this.censor;
+      }
+    }
+    seen.delete(value);
+    return result;
+  }
+
+  redactString(value) {
+    return this.detectors.reduce((text, detector) =>
+      text.replace(detector.pattern, (match) => {
+        if (detector.validate && !detector.validate(match)) return match;
+        const mode = detector.mode || this.mode;
+        if (mode === 'remove') return '';
+        if (mode === 'hash') return this.hash(match);
+        return `[REDACTED:${detector.name}]`;
+      }), value);
+  }
+
+  hash(value) {
+    const input = typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+    const digest = this.hashSalt
+      ? createHmac('sha256', this.hashSalt).update(input).digest('hex')
+      : createHash('sha256').update(input).digest('hex');
+    return `sha256:${digest.slice(0, 16)}`;
+  }
+}
+
+/**
+ * Factory that honours LOG_REDACTION=false
+ */
+export function createRedactor(config = {}) {
+  if (config.enabled === false || (config.enabled === undefined && process.env.LOG_REDACTION === 'false')) {
+    return null;
+  }
+  return new Redactor(config);
+}
+
+export default Redactor;
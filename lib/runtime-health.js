@@ -0,0 +1,258 @@
+/**
+ * Runtime Health Module
+ * Continuous sampling of event-loop delay, heap and GC, RSS, active handles
+ * and libuv threadpool pressure, with optional threshold warnings
+ */
+
+import crypto from 'crypto';
+import v8 from 'v8';
+import { monitorEventLoopDelay, performance, PerformanceObserver, constants } from 'perf_hooks';
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb',
+};
+
+// Resource types from process.getActiveResourcesInfo() that run on the libuv threadpool
+const THREADPOOL_RESOURCES = /^(FSReqCallback|FSReqPromise|GetAddrInfoReqWrap|GetNameInfoReqWrap|ZlibWrap|\w+Job)$/;
+
+const nsToMs = (ns) => Math.round((ns / 1e6) * 100) / 100;
+const toMb = (bytes) => Math.round((bytes / 1024 / 1024) * 10) / 10;
+
+/**
+ * Threshold keys map to a value read from a snapshot; 0 or null disables one
+ */
+const THRESHOLDS = {
+  eventLoopP99Ms: (snapshot) => snapshot.eventLoop.p99,
+  heapUsedRatio: (snapshot) => snapshot.memory.heapUsedRatio,
+  rssMb: (snapshot) => snapshot.memory.rssMb,
+  activeHandles: (snapshot) => snapshot.handles.active,
+  threadpoolLatencyMs: (snapshot) => snapshot.threadpool.probeLatencyMs,
+};
+
+export class RuntimeHealthMonitor {
+  constructor(config = {}) {
+    this.sampleIntervalMs = config.sampleIntervalMs
+      ?? parseInt(process.env.LOG_RUNTIME_SAMPLE_MS || '10000');
+    this.resolution = config.resolution ?? 20;
+    this.thresholds = {
+      eventLoopP99Ms: parseFloat(process.env.LOG_HEALTH_EVENT_LOOP_P99_MS || '200'),
+      heapUsedRatio: parseFloat(process.env.LOG_HEALTH_HEAP_RATIO || '0.9'),
+      rssMb: parseFloat(process.env.LOG_HEALTH_RSS_MB || '0'),
+      activeHandles: parseInt(process.env.LOG_HEALTH_ACTIVE_HANDLES || '0'),
+      threadpoolLatencyMs: parseFloat(process.env.LOG_HEALTH_THREADPOOL_LATENCY_MS || '100'),
+      ...config.thresholds,
+    };
+    this.onWarning = config.onWarning || null;
+    this.threadpoolSize = parseInt(process.env.UV_THREADPOOL_SIZE || '4');
+    this.histogram = null;
+    this.gcObserver = null;
+    this.timer = null;
+    this.latest = null;
+    this.breached = new Set();
+    this.probeStartedAt = null;
+    this.resetIntervalState();
+  }
+
+  resetIntervalState() {
+    this.gc = { count: 0, totalDurationMs: 0, maxDurationMs: 0, byKind: {} };
+    this.lastUtilization = performance.eventLoopUtilization();
+    this.probe = { latencyMs: null, maxLatencyMs: 0 };
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Start continuous sampling; the timer is unref'd so it never keeps the process alive
+   */
+  start() {
+    if (this.timer) return this;
+
+    this.histogram = monitorEventLoopDelay({ resolution: this.resolution });
+    this.histogram.enable();
+    this.gcObserver = new PerformanceObserver((list) => {
+      list.getEntries().forEach((entry) => this.recordGc(entry));
+    });
+    this.gcObserver.observe({ entryTypes: ['gc'] });
+    this.resetIntervalState();
+
+    this.timer = setInterval(() => this.sample(), this.sampleIntervalMs);
+    this.timer.unref?.();
+    this.probeThreadpool();
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.histogram?.disable();
+    this.histogram = null;
+    this.gcObserver?.disconnect();
+    this.gcObserver = null;
+  }
+
+  recordGc(entry) {
+    const kind = GC_KINDS[entry.detail?.kind ?? entry.kind] || 'other';
+    this.gc.count++;
+    this.gc.totalDurationMs += entry.duration;
+    this.gc.maxDurationMs = Math.max(this.gc.maxDurationMs, entry.duration);
+    this.gc.byKind[kind] = (this.gc.byKind[kind] || 0) + 1;
+  }
+
+  /**
+   * Time a trivial threadpool task; queueing delay shows a saturated pool
+   */
+  probeThreadpool() {
+    if (this.probeStartedAt !== null) return;
+    this.probeStartedAt = performance.now();
+    crypto.randomFill(Buffer.alloc(1), () => {
+      const latencyMs = Math.round((performance.now() - this.probeStartedAt) * 100) / 100;
+      this.probeStartedAt = null;
+      this.probe.latencyMs = latencyMs;
+      this.probe.maxLatencyMs = Math.max(this.probe.maxLatencyMs, latencyMs);
+    });
+  }
+
+  /**
+   * Latest probe latency; a probe still queued counts as its time waiting so far
+   */
+  probeLatency() {
+    if (this.probeStartedAt === null) return this.probe.latencyMs;
+    const waitingMs = Math.round((performance.now() - this.probeStartedAt) * 100) / 100;
+    return Math.max(this.probe.latencyMs ?? 0, waitingMs);
+  }
+
+  /**
+   * Active handles and requests grouped by resource type
+   */
+  collectHandles() {
+    const byType = {};
+    (process.getActiveResourcesInfo?.() || []).forEach((type) => {
+      byType[type] = (byType[type] || 0) + 1;
+    });
+
+    let requests = 0;
+    let threadpoolPending = 0;
+    let active = 0;
+    Object.entries(byType).forEach(([type, count]) => {
+      active += count;
+      if (/Req|Job$/.test(type)) requests += count;
+      if (THREADPOOL_RESOURCES.test(type)) threadpoolPending += count;
+    });
+
+    return { handles: { active, requests, byType }, threadpoolPending };
+  }
+
+  /**
+   * Take a snapshot of the interval since the previous sample and check thresholds
+   */
+  sample() {
+    const memory = process.memoryUsage();
+    const heap = v8.getHeapStatistics();
+    const utilization = performance.eventLoopUtilization(this.lastUtilization);
+    const { handles, threadpoolPending } = this.collectHandles();
+    const histogram = this.histogram;
+    // The histogram records timer intervals; the delay is what exceeds the sampling resolution
+    const delay = (ns) => Math.max(0, Math.round((nsToMs(ns) - this.resolution) * 100) / 100);
+
+    const snapshot = {
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      intervalMs: this.sampleIntervalMs,
+      eventLoop: histogram && histogram.count > 0
+        ? {
+          min: delay(histogram.min),
+          mean: delay(histogram.mean),
+          max: delay(histogram.max),
+          p50: delay(histogram.percentile(50)),
+          p90: delay(histogram.percentile(90)),
+          p99: delay(histogram.percentile(99)),
+          stddev: nsToMs(histogram.stddev),
+          utilization: Math.round(utilization.utilization * 1000) / 1000,
+        }
+        : { utilization: Math.round(utilization.utilization * 1000) / 1000 },
+      memory: {
+        rssMb: toMb(memory.rss),
+        heapUsedMb: toMb(memory.heapUsed),
+        heapTotalMb: toMb(memory.heapTotal),
+        heapLimitMb: toMb(heap.heap_size_limit),
+        heapUsedRatio: Math.round((memory.heapUsed / heap.heap_size_limit) * 1000) / 1000,
+        externalMb: toMb(memory.external),
+        arrayBuffersMb: toMb(memory.arrayBuffers),
+      },
+      gc: {
+        ...this.gc,
+        totalDurationMs: Math.round(this.gc.totalDurationMs * 100) / 100,
+        maxDurationMs: Math.round(this.gc.maxDurationMs * 100) / 100,
+      },
+      handles,
+      threadpool: {
+        size: this.threadpoolSize,
+        pending: threadpoolPending,
+        probeLatencyMs: this.probeLatency(),
+        maxProbeLatencyMs: Math.max(this.probe.maxLatencyMs, this.probeLatency() ?? 0),
+      },
+    };
+
+    histogram?.reset();
+    this.resetIntervalState();
+    if (this.running) this.probeThreadpool();
+
+    snapshot.warnings = this.checkThresholds(snapshot);
+    this.latest = snapshot;
+    return snapshot;
+  }
+
+  /**
+   * Warn once when a value crosses its threshold, and again only after it recovers
+   */
+  checkThresholds(snapshot) {
+    const warnings = [];
+    Object.entries(THRESHOLDS).forEach(([name, read]) => {
+      const threshold = this.thresholds[name];
+      const value = read(snapshot);
+      if (!threshold || typeof value !== 'number') return;
+
+      if (value <= threshold) {
+        this.breached.delete(name);
+        return;
+      }
+      const warning = { metric: name, value, threshold };
+      warnings.push(warning);
+      if (!this.breached.has(name)) {
+        this.breached.add(name);
+        this.onWarning?.(warning, snapshot);
+      }
+    });
+    return warnings;
+  }
+
+  /**
+   * Latest interval snapshot, or a fresh one when sampling is not running
+   */
+  getSnapshot() {
+    if (!this.running || !this.latest) return this.sample();
+    return this.latest;
+  }
+}
+
+let defaultMonitor = null;
+
+/**
+ * Process-wide monitor; sampling starts unless LOG_RUNTIME_HEALTH=false
+ */
+export function getRuntimeHealth() {
+  if (!defaultMonitor) {
+    defaultMonitor = new RuntimeHealthMonitor();
+    if (process.env.LOG_RUNTIME_HEALTH !== 'false') {
+      defaultMonitor.start();
+    }
+  }
+  return defaultMonitor;
+}
+
+export default getRuntimeHealth;
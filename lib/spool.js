@@ -0,0 +1,226 @@
+/**
+ * Spool Module
+ * Write-ahead directory of undelivered log batches, replayed in order
+ *
+ * Each segment is one batch in two lines: a JSON header
+ * { version, sha256, count, meta } and the JSON array of entries. Segments are
+ * written to a temporary file and renamed, so a crash never leaves a partial
+ * segment under a replayable name
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const SEGMENT_VERSION = 1;
+const SEGMENT_EXTENSION = '.seg';
+
+export class SpoolCorruptError extends Error {
+  constructor(message, file) {
+    super(message);
+    this.name = 'SpoolCorruptError';
+    this.file = file;
+  }
+}
+
+function checksum(payload) {
+  return createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Serialize one batch into segment contents
+ */
+export function encodeSegment(entries, meta = {}) {
+  const payload = JSON.stringify(entries);
+  const header = JSON.stringify({ version: SEGMENT_VERSION, sha256: checksum(payload), count: entries.length, meta });
+  return `${header}\n${payload}\n`;
+}
+
+/**
+ * Parse and verify segment contents
+ * @returns {Object} { meta, entries }
+ * @throws {SpoolCorruptError} On a malformed header, checksum mismatch or bad payload
+ */
+export function decodeSegment(contents, file) {
+  const newline = contents.indexOf('\n');
+  if (newline === -1) throw new SpoolCorruptError('Segment has no header', file);
+
+  let header;
+  try {
+    header = JSON.parse(contents.slice(0, newline));
+  } catch {
+    throw new SpoolCorruptError('Segment header is not JSON', file);
+  }
+
+  const payload = contents.slice(newline + 1).replace(/\n$/, '');
+  if (header.version !== SEGMENT_VERSION || header.sha256 !== checksum(payload)) {
+    throw new SpoolCorruptError('Segment checksum mismatch', file);
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(payload);
+  } catch {
+    throw new SpoolCorruptError('Segment payload is not JSON', file);
+  }
+  if (!Array.isArray(entries) || entries.length !== header.count) {
+    throw new SpoolCorruptError('Segment entry count mismatch', file);
+  }
+  return { meta: header.meta || {}, entries };
+}
+
+export class Spool {
+  constructor(config = {}) {
+    this.dir = path.resolve(config.dir || process.env.LOGFLARE_SPOOL_DIR || 'logs/spool');
+    this.maxBytes = config.maxBytes
+      ?? parseInt(process.env.LOGFLARE_SPOOL_MAX_BYTES || String(100 * 1024 * 1024));
+    this.sequence = 0;
+    this.replaying = null;
+    this.stats = { written: 0, replayed: 0, corrupt: 0, dropped: 0, segments: 0, bytes: 0 };
+  }
+
+  /**
+   * Segment names sort in write order: zero-padded time, then a per-process sequence
+   */
+  nextName() {
+    this.sequence = (this.sequence + 1) % 1e6;
+    return `${String(Date.now()).padStart(15, '0')}-${process.pid}-${String(this.sequence).padStart(6, '0')}${SEGMENT_EXTENSION}`;
+  }
+
+  /**
+   * Replayable segments, oldest first
+   * @returns {Promise<Array>} [{ file, path, bytes }]
+   */
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const segments = [];
+    for (const file of names.filter((name) => name.endsWith(SEGMENT_EXTENSION)).sort()) {
+      const segmentPath = path.join(this.dir, file);
+      try {
+        const { size } = await fs.promises.stat(segmentPath);
+        segments.push({ file, path: segmentPath, bytes: size });
+      } catch {
+        // Removed by a concurrent replay
+      }
+    }
+
+    this.stats.segments = segments.length;
+    this.stats.bytes = segments.reduce((total, segment) => total + segment.bytes, 0);
+    return segments;
+  }
+
+  /**
+   * Persist a batch as a new segment; the oldest segments are deleted when the
+   * spool would exceed maxBytes
+   * @returns {Promise<Object>} { file, bytes, dropped }
+   */
+  async write(entries, meta = {}) {
+    const contents = encodeSegment(entries, meta);
+    const bytes = Buffer.byteLength(contents);
+    if (bytes > this.maxBytes) {
+      throw new Error(`Spool segment (${bytes} bytes) exceeds maxBytes (${this.maxBytes})`);
+    }
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const segments = await this.list();
+    let total = this.stats.bytes;
+    let dropped = 0;
+    while (segments.length > 0 && total + bytes > this.maxBytes) {
+      const oldest = segments.shift();
+      await fs.promises.rm(oldest.path, { force: true });
+      total -= oldest.bytes;
+      dropped++;
+    }
+
+    const file = this.nextName();
+    const tmpPath = path.join(this.dir, `.${file}.tmp`);
+    await fs.promises.writeFile(tmpPath, contents);
+    await fs.promises.rename(tmpPath, path.join(this.dir, file));
+
+    this.stats.written++;
+    this.stats.dropped += dropped;
+    this.stats.segments = segments.length + 1;
+    this.stats.bytes = total + bytes;
+    return { file, bytes, dropped };
+  }
+
+  /**
+   * Replay segments oldest first through send(entries, meta). A segment is
+   * deleted once send resolves; the replay stops at the first send that
+   * throws, leaving that segment and the newer ones in place. Corrupt
+   * segments are renamed to <name>.corrupt and skipped
+   * Only one replay runs at a time; concurrent callers share its promise
+   * @returns {Promise<Object>} { replayed, entries, corrupt, remaining, error }
+   */
+  replay(send) {
+    if (!this.replaying) {
+      this.replaying = this.replaySegments(send).finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+
+  async replaySegments(send) {
+    const result = { replayed: 0, entries: 0, corrupt: 0, remaining: 0, error: null };
+    const segments = await this.list();
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      let decoded;
+      try {
+        decoded = decodeSegment(await fs.promises.readFile(segment.path, 'utf8'), segment.file);
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        if (!(err instanceof SpoolCorruptError)) throw err;
+        await fs.promises.rename(segment.path, `${segment.path}.corrupt`).catch(() => {});
+        result.corrupt++;
+        this.stats.corrupt++;
+        continue;
+      }
+
+      try {
+        await send(decoded.entries, decoded.meta);
+      } catch (err) {
+        result.error = err;
+        result.remaining = segments.length - i;
+        break;
+      }
+
+      await fs.promises.rm(segment.path, { force: true });
+      result.replayed++;
+      result.entries += decoded.entries.length;
+      this.stats.replayed++;
+    }
+
+    await this.list();
+    return result;
+  }
+
+  getStats() {
+    return { dir: this.dir, maxBytes: this.maxBytes, ...this.stats };
+  }
+}
+
+const spools = new Map();
+
+/**
+ * One Spool per directory for the whole process, so every logger writing to
+ * it shares the segment sequence and the single-replay guard
+ */
+export function getSpool(config = {}) {
+  const dir = path.resolve(config.dir || process.env.LOGFLARE_SPOOL_DIR || 'logs/spool');
+  if (!spools.has(dir)) {
+    spools.set(dir, new Spool({ ...config, dir }));
+  }
+  return spools.get(dir);
+}
+
+export default Spool;
@@ -0,0 +1,282 @@
+/**
+ * Stack Parser Module
+ * V8 stack trace parsing with source map resolution, in-app detection and
+ * surrounding source lines for in-app frames
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SourceMap } from 'module';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_CONTEXT_LINES = 3;
+const MAX_CACHED_FILES = 100;
+const MAX_CONTEXT_LINE_LENGTH = 300;
+
+const SOURCE_MAPPING_URL = /\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/m;
+const LOCATION = /^(.*?):(\d+):(\d+)$/;
+
+/**
+ * Split "fn (location)" where location itself may contain parentheses
+ * (eval frames: "eval (eval at fn (file:1:2), <anonymous>:1:3)")
+ */
+function splitCallSite(text) {
+  if (!text.endsWith(')')) return { name: null, location: text };
+
+  let depth = 0;
+  for (let i = text.length - 1; i >= 0; i--) {
+    if (text[i] === ')') depth++;
+    if (text[i] === '(') depth--;
+    if (depth === 0) {
+      // "(index 0)" in Promise.all frames and bare "(<anonymous>)" have no name prefix
+      return i === 0
+        ? { name: null, location: text.slice(1, -1) }
+        : { name: text.slice(0, i).trim(), location: text.slice(i + 1, -1) };
+    }
+  }
+  return { name: null, location: text };
+}
+
+function parseLocation(location) {
+  const match = location.match(LOCATION);
+  if (!match) return { file: location, line: null, column: null };
+  return { file: match[1], line: parseInt(match[2]), column: parseInt(match[3]) };
+}
+
+/**
+ * Parse one "    at ..." line of a V8 stack trace
+ * @returns {Object|null} Frame, or null for non-frame lines (the message)
+ */
+export function parseFrame(rawLine) {
+  const line = rawLine.trim();
+  if (!line.startsWith('at ')) return null;
+
+  let text = line.slice(3).trim();
+  const isAsync = text.startsWith('async ');
+  if (isAsync) text = text.slice(6);
+
+  const { name, location } = splitCallSite(text);
+  let fn = name;
+  const isConstructor = Boolean(fn?.startsWith('new '));
+  if (isConstructor) fn = fn.slice(4);
+
+  const frame = {
+    function: fn || 'anonymous',
+    file: null,
+    line: null,
+    column: null,
+    async: isAsync,
+    constructorCall: isConstructor,
+    eval: false,
+    native: location === 'native' || location === '<anonymous>' || location.startsWith('index '),
+    raw: line,
+  };
+
+  if (frame.native) return frame;
+
+  // eval frames: "eval at <caller> (<caller location>), <anonymous>:1:19"
+  const evalMatch = location.match(/^eval at (.*?), (.*)$/);
+  if (evalMatch) {
+    frame.eval = true;
+    const origin = splitCallSite(evalMatch[1]);
+    frame.evalOrigin = { function: origin.name || 'anonymous', ...parseLocation(origin.location) };
+    Object.assign(frame, parseLocation(evalMatch[2]));
+    return frame;
+  }
+
+  Object.assign(frame, parseLocation(location));
+  return frame;
+}
+
+/**
+ * Parse a V8 stack into frames, innermost first
+ */
+export function parseV8Stack(stack) {
+  if (typeof stack !== 'string') return [];
+  return stack.split('\n').map(parseFrame).filter(Boolean);
+}
+
+/**
+ * Convert file:// URLs from ESM modules to paths; other locations are returned as is
+ */
+function toFilePath(file) {
+  if (!file?.startsWith('file://')) return file;
+  try {
+    return fileURLToPath(file.replace(/[?#].*$/, ''));
+  } catch {
+    return file;
+  }
+}
+
+function isNodeInternal(file) {
+  return file.startsWith('node:') || file.startsWith('internal/') || !path.isAbsolute(file);
+}
+
+/**
+ * Resolves frames through source maps and reads source context
+ * Files, maps and misses are cached (bounded) since the same frames repeat
+ */
+export class StackResolver {
+  constructor(config = {}) {
+    this.appRoot = config.appRoot || process.cwd();
+    this.contextLines = config.contextLines ?? DEFAULT_CONTEXT_LINES;
+    this.sourceMaps = config.sourceMaps ?? process.env.LOG_SOURCE_MAPS !== 'false';
+    this.files = new Map();
+    this.maps = new Map();
+  }
+
+  cache(store, key, load) {
+    if (store.has(key)) return store.get(key);
+    const value = load();
+    store.set(key, value);
+    if (store.size > MAX_CACHED_FILES) {
+      store.delete(store.keys().next().value);
+    }
+    return value;
+  }
+
+  readLines(filePath) {
+    return this.cache(this.files, filePath, () => {
+      try {
+        return fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+      } catch {
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Load the source map referenced by a generated file (inline data: URL or
+   * sibling .map file), or null when there is none
+   */
+  loadSourceMap(filePath) {
+    return this.cache(this.maps, filePath, () => {
+      const lines = this.readLines(filePath);
+      const match = lines && lines.slice(-5).join('\n').match(SOURCE_MAPPING_URL);
+      const candidates = match ? [match[1]] : [];
+      if (!match) candidates.push(`${path.basename(filePath)}.map`);
+
+      for (const url of candidates) {
+        try {
+          let payload;
+          let mapPath = null;
+          if (url.startsWith('data:')) {
+            const data = url.slice(url.indexOf(',') + 1);
+            payload = JSON.parse(url.includes(';base64,')
+              ? Buffer.from(data, 'base64').toString('utf8')
+              : decodeURIComponent(data));
+          } else {
+            mapPath = path.resolve(path.dirname(filePath), decodeURIComponent(url));
+            if (!fs.existsSync(mapPath)) continue;
+            payload = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+          }
+          return { map: new SourceMap(payload), payload, dir: path.dirname(mapPath || filePath) };
+        } catch {
+          // Malformed maps are treated as missing
+        }
+      }
+      return null;
+    });
+  }
+
+  /**
+   * Map a generated position to its original source
+   * webpack:// (Next.js) sources are resolved against the app root
+   */
+  mapPosition(filePath, line, column) {
+    const loaded = this.loadSourceMap(filePath);
+    if (!loaded) return null;
+
+    const entry = loaded.map.findEntry(line - 1, column - 1);
+    if (!entry?.originalSource || entry.generatedLine !== line - 1) return null;
+
+    const { payload } = loaded;
+    const sourceIndex = payload.sources?.indexOf(entry.originalSource) ?? -1;
+    let source = entry.originalSource;
+    if (source.startsWith('webpack://')) {
+      source = path.resolve(this.appRoot, source.replace(/^webpack:\/\/[^/]*\//, ''));
+    } else if (!source.startsWith('file://') && !path.isAbsolute(source)) {
+      source = path.resolve(loaded.dir, payload.sourceRoot || '', source);
+    }
+
+    return {
+      file: toFilePath(source),
+      line: entry.originalLine + 1,
+      column: entry.originalColumn + 1,
+      function: entry.name,
+      sourceContent: sourceIndex >= 0 ? payload.sourcesContent?.[sourceIndex] : undefined,
+    };
+  }
+
+  isInApp(file) {
+    if (!file || isNodeInternal(file)) return false;
+    if (file.includes(`${path.sep}node_modules${path.sep}`)) return false;
+    return file.startsWith(this.appRoot);
+  }
+
+  getContext(filePath, line, sourceContent) {
+    const lines = sourceContent ? sourceContent.split(/\r?\n/) : this.readLines(filePath);
+    if (!lines || !line || line > lines.length) return null;
+
+    const clip = (text) => (text.length > MAX_CONTEXT_LINE_LENGTH
+      ? `${text.slice(0, MAX_CONTEXT_LINE_LENGTH)}...`
+      : text);
+    const index = line - 1;
+    return {
+      pre: lines.slice(Math.max(0, index - this.contextLines), index).map(clip),
+      line: clip(lines[index]),
+      post: lines.slice(index + 1, index + 1 + this.contextLines).map(clip),
+    };
+  }
+
+  /**
+   * Add source-mapped location, inApp flag and code context to a parsed frame
+   */
+  resolveFrame(frame) {
+    const resolved = { ...frame, file: toFilePath(frame.file), inApp: false };
+    if (!resolved.file || frame.native || !resolved.line) return resolved;
+
+    let sourceContent;
+    if (this.sourceMaps && !isNodeInternal(resolved.file)) {
+      const original = this.mapPosition(resolved.file, resolved.line, resolved.column);
+      if (original) {
+        resolved.generated = { file: resolved.file, line: resolved.line, column: resolved.column };
+        resolved.file = original.file;
+        resolved.line = original.line;
+        resolved.column = original.column;
+        if (original.function && resolved.function === 'anonymous') {
+          resolved.function = original.function;
+        }
+        sourceContent = original.sourceContent;
+      }
+    }
+
+    resolved.inApp = this.isInApp(resolved.file);
+    if (resolved.inApp && this.contextLines > 0) {
+      const context = this.getContext(resolved.file, resolved.line, sourceContent);
+      if (context) resolved.context = context;
+    }
+    return resolved;
+  }
+
+  /**
+   * Parse and resolve a full stack
+   */
+  parse(stack) {
+    return parseV8Stack(stack).map((frame) => this.resolveFrame(frame));
+  }
+}
+
+let defaultResolver = null;
+
+/**
+ * Shared resolver so source maps and files are read once per process
+ */
+export function getStackResolver() {
+  if (!defaultResolver) {
+    defaultResolver = new StackResolver();
+  }
+  return defaultResolver;
+}
+
+export default getStackResolver;
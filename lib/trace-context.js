@@ -0,0 +1,149 @@
+/**
+ * Trace Context Module
+ * W3C Trace Context (traceparent / tracestate) parsing, generation and propagation
+ * Spec: https://www.w3.org/TR/trace-context/
+ */
+
+import { randomBytes } from 'crypto';
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const MAX_TRACESTATE_ENTRIES = 32;
+const SAMPLED_FLAG = 0x01;
+
+export function generateTraceId() {
+  return randomBytes(16).toString('hex');
+}
+
+export function generateSpanId() {
+  return randomBytes(8).toString('hex');
+}
+
+/**
+ * Parse a traceparent header
+ * @returns {Object|null} { traceId, parentSpanId, traceFlags, sampled } or null when invalid
+ */
+export function parseTraceparent(header) {
+  if (typeof header !== 'string') return null;
+
+  const match = header.trim().toLowerCase().match(TRACEPARENT_PATTERN);
+  if (!match) return null;
+
+  const [, version, traceId, parentSpanId, flags, rest] = match;
+  // Version ff is forbidden; version 00 must not carry extra fields
+  if (version === 'ff' || (version === '00' && rest)) return null;
+  if (traceId === INVALID_TRACE_ID || parentSpanId === INVALID_SPAN_ID) return null;
+
+  const traceFlags = parseInt(flags, 16);
+  return {
+    traceId,
+    parentSpanId,
+    traceFlags,
+    sampled: (traceFlags & SAMPLED_FLAG) === SAMPLED_FLAG,
+  };
+}
+
+export function formatTraceparent({ traceId, spanId, sampled = true }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Parse a tracestate header into ordered [key, value] pairs
+ */
+export function parseTracestate(header) {
+  if (typeof header !== 'string' || !header.trim()) return [];
+
+  return header
+    .split(',')
+    .map((member) => member.trim())
+    .filter(Boolean)
+    .map((member) => {
+      const index = member.indexOf('=');
+      return index > 0 ? [member.slice(0, index).trim(), member.slice(index + 1).trim()] : null;
+    })
+    .filter(Boolean)
+    .slice(0, MAX_TRACESTATE_ENTRIES);
+}
+
+export function formatTracestate(entries = []) {
+  return entries.map(([key, value]) => `${key}=${value}`).join(',');
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+/**
+ * Build the trace context for an inbound request
+ * Continues the caller's trace when a valid traceparent is present,
+ * otherwise starts a new sampled trace
+ */
+export function extractTraceContext(headers = {}) {
+  const parent = parseTraceparent(getHeader(headers, 'traceparent'));
+
+  if (!parent) {
+    return {
+      traceId: generateTraceId(),
+      spanId: generateSpanId(),
+      parentSpanId: null,
+      sampled: true,
+      tracestate: [],
+    };
+  }
+
+  return {
+    traceId: parent.traceId,
+    spanId: generateSpanId(),
+    parentSpanId: parent.parentSpanId,
+    sampled: parent.sampled,
+    tracestate: parseTracestate(getHeader(headers, 'tracestate')),
+  };
+}
+
+/**
+ * Create a child of a trace context (for an outbound call or a nested span)
+ */
+export function createChildTraceContext(parent) {
+  if (!parent) return extractTraceContext();
+  return {
+    traceId: parent.traceId,
+    spanId: generateSpanId(),
+    parentSpanId: parent.spanId,
+    sampled: parent.sampled,
+    tracestate: parent.tracestate || [],
+  };
+}
+
+/**
+ * Return a copy of headers carrying traceparent/tracestate for the given context
+ */
+export function injectTraceContext(headers = {}, trace) {
+  const result = { ...headers };
+  Object.keys(result)
+    .filter((key) => ['traceparent', 'tracestate'].includes(key.toLowerCase()))
+    .forEach((key) => delete result[key]);
+
+  result.traceparent = formatTraceparent(trace);
+  if (trace.tracestate?.length) {
+    result.tracestate = formatTracestate(trace.tracestate);
+  }
+  return result;
+}
+
+export default {
+  generateTraceId,
+  generateSpanId,
+  parseTraceparent,
+  formatTraceparent,
+  parseTracestate,
+  formatTracestate,
+  extractTraceContext,
+  createChildTraceContext,
+  injectTraceContext,
+};
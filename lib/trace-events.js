@@ -0,0 +1,185 @@
+/**
+ * Trace Events Module
+ * Chrome Trace Event (chrome://tracing, Perfetto) export of performance
+ * profiles and the tracer spans recorded while they ran
+ * Format: https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_MAX_SPANS = 5000;
+
+const toMicros = (ms) => Math.round(ms * 1000);
+
+/**
+ * Keeps the most recently ended spans so profiles can include them
+ * Registered on a Tracer as a span processor
+ */
+export class SpanRecorder {
+  constructor(config = {}) {
+    this.maxSpans = config.maxSpans || DEFAULT_MAX_SPANS;
+    this.spans = [];
+  }
+
+  onEnd(span) {
+    this.spans.push(span.toJSON());
+    if (this.spans.length > this.maxSpans) {
+      this.spans.splice(0, this.spans.length - this.maxSpans);
+    }
+  }
+
+  /**
+   * Spans that overlap [start, end] (epoch ms), optionally limited to one trace
+   */
+  between(start, end, traceId = null) {
+    return this.spans.filter((span) => span.endTime >= start
+      && span.startTime <= end
+      && (!traceId || span.traceId === traceId));
+  }
+
+  clear() {
+    this.spans = [];
+  }
+}
+
+/**
+ * Assign each complete event to a thread lane where it nests properly
+ * Trace viewers expect events on one thread to be strictly nested, but
+ * concurrent async work overlaps; overlapping siblings get their own lane
+ */
+function assignLanes(events) {
+  const lanes = [];
+  [...events]
+    .sort((a, b) => a.ts - b.ts || b.dur - a.dur)
+    .forEach((event) => {
+      const end = event.ts + event.dur;
+      let lane = lanes.findIndex((stack) => {
+        while (stack.length && stack[stack.length - 1] <= event.ts) stack.pop();
+        return stack.length === 0 || stack[stack.length - 1] >= end;
+      });
+      if (lane === -1) {
+        lanes.push([]);
+        lane = lanes.length - 1;
+      }
+      lanes[lane].push(end);
+      event.tid = lane + 1;
+    });
+  return lanes.length;
+}
+
+/**
+ * Build a Chrome Trace Event document
+ * @param {Object} options - { profiles, spans, pid, processName, metadata }
+ *   profiles: [{ id, operation, start, end, marks: [{ name, time }], measures: [{ name, start, duration }] }]
+ *   spans: span JSON from the tracer; all times are epoch milliseconds
+ */
+export function buildTraceEvents({ profiles = [], spans = [], pid = process.pid, processName, metadata = {} }) {
+  const complete = [];
+  const instants = [];
+
+  profiles.forEach((profile) => {
+    complete.push({
+      name: profile.operation,
+      cat: 'profile',
+      ph: 'X',
+      ts: toMicros(profile.start),
+      dur: toMicros(profile.end - profile.start),
+      pid,
+      args: { profileId: profile.id, parentProfileId: profile.parentId || undefined },
+    });
+    profile.measures.forEach((measure) => {
+      complete.push({
+        name: measure.name,
+        cat: 'measure',
+        ph: 'X',
+        ts: toMicros(measure.start),
+        dur: toMicros(measure.duration),
+        pid,
+        args: { profileId: profile.id, startMark: measure.startMark, endMark: measure.endMark },
+      });
+    });
+    profile.marks.forEach((mark) => {
+      instants.push({
+        name: mark.name,
+        cat: 'mark',
+        ph: 'i',
+        s: 't',
+        ts: toMicros(mark.time),
+        pid,
+        args: { profileId: profile.id },
+      });
+    });
+  });
+
+  spans.forEach((span) => {
+    complete.push({
+      name: span.name,
+      cat: `span,${span.attributes?.op || 'function'}`,
+      ph: 'X',
+      ts: toMicros(span.startTime),
+      dur: toMicros(span.endTime - span.startTime),
+      pid,
+      args: {
+        traceId: span.traceId,
+        spanId: span.spanId,
+        parentSpanId: span.parentSpanId,
+        status: span.status,
+        ...span.attributes,
+      },
+    });
+  });
+
+  const laneCount = assignLanes(complete);
+  // Marks go on the lane of the innermost event that contains them
+  instants.forEach((mark) => {
+    const owner = complete
+      .filter((event) => event.ts <= mark.ts && event.ts + event.dur >= mark.ts)
+      .sort((a, b) => a.dur - b.dur)[0];
+    mark.tid = owner?.tid || 1;
+  });
+
+  const threadNames = Array.from({ length: Math.max(laneCount, 1) }, (_, i) => ({
+    name: 'thread_name',
+    ph: 'M',
+    pid,
+    tid: i + 1,
+    args: { name: i === 0 ? 'main' : `async ${i}` },
+  }));
+
+  return {
+    traceEvents: [
+      { name: 'process_name', ph: 'M', pid, tid: 0, args: { name: processName || 'claude-debug-infrastructure' } },
+      ...threadNames,
+      ...complete.sort((a, b) => a.ts - b.ts),
+      ...instants,
+    ],
+    displayTimeUnit: 'ms',
+    otherData: metadata,
+  };
+}
+
+/**
+ * Write a trace document to <dir>/<name>.trace.json
+ * @returns {string} The written file path
+ */
+export async function writeTraceFile(dir, name, trace) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const safeName = String(name).replace(/[^a-zA-Z0-9._-]+/g, '_');
+  const filePath = path.join(dir, `${safeName}.trace.json`);
+  await fs.promises.writeFile(filePath, JSON.stringify(trace));
+  return filePath;
+}
+
+let defaultRecorder = null;
+
+export function getSpanRecorder() {
+  if (!defaultRecorder) {
+    defaultRecorder = new SpanRecorder({
+      maxSpans: parseInt(process.env.LOG_TRACE_EVENTS_MAX_SPANS || String(DEFAULT_MAX_SPANS)),
+    });
+  }
+  return defaultRecorder;
+}
+
+export default buildTraceEvents;
@@ -0,0 +1,480 @@
+/**
+ * Tracer Module
+ * OpenTelemetry-compatible spans with parent/child nesting, attributes, events
+ * and status, exported to Sentry and/or an OTLP/HTTP JSON collector
+ */
+
+import { performance } from 'perf_hooks';
+import { recordSpanTree } from '../config/sentry.unified.js';
+import { runWithContext, getContext } from './log-context.js';
+import { createRedactor } from './redaction.js';
+import { generateSpanId, generateTraceId } from './trace-context.js';
+
+export const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5,
+};
+
+export const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2,
+};
+
+const STATUS_NAMES = { 0: 'unset', 1: 'ok', 2: 'error' };
+
+/**
+ * High resolution wall clock in epoch milliseconds
+ */
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Map legacy Sentry-style statuses ('ok', 'internal_error', ...) onto OTel codes
+ */
+function toStatusCode(status) {
+  if (typeof status === 'number') return status;
+  if (!status || status === 'unset') return SpanStatusCode.UNSET;
+  return status === 'ok' ? SpanStatusCode.OK : SpanStatusCode.ERROR;
+}
+
+export class Span {
+  constructor({ tracer, name, traceId, spanId, parentSpanId, sampled, tracestate, kind, attributes, startTime, localRootId }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = spanId;
+    this.parentSpanId = parentSpanId || null;
+    this.sampled = sampled ?? true;
+    this.tracestate = tracestate || [];
+    this.kind = kind || SpanKind.INTERNAL;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: SpanStatusCode.UNSET };
+    this.startTime = startTime || now();
+    this.endTime = null;
+    this.localRootId = localRootId || spanId;
+  }
+
+  /**
+   * True when the parent (if any) lives in another process
+   */
+  get localRoot() {
+    return this.localRootId === this.spanId;
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  get duration() {
+    return (this.endTime ?? now()) - this.startTime;
+  }
+
+  isRecording() {
+    return !this.ended;
+  }
+
+  setAttribute(key, value) {
+    if (!this.ended && value !== undefined) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  addEvent(name, attributes = {}, time = now()) {
+    if (!this.ended) {
+      this.events.push({ name, attributes, time });
+    }
+    return this;
+  }
+
+  recordException(error) {
+    return this.addEvent('exception', {
+      'exception.type': error?.name,
+      'exception.message': error?.message,
+      'exception.stacktrace': error?.stack,
+    });
+  }
+
+  /**
+   * Accepts an OTel code or a Sentry-style string ('ok', 'internal_error', ...)
+   */
+  setStatus(status, message) {
+    if (!this.ended) {
+      this.status = { code: toStatusCode(status), ...(message && { message }) };
+    }
+    return this;
+  }
+
+  end(endTime = now()) {
+    if (this.ended) return;
+    this.endTime = endTime;
+    this.tracer.onEnd(this);
+  }
+
+  /**
+   * W3C trace context for this span, used to nest children and inject headers
+   */
+  traceContext() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      sampled: this.sampled,
+      tracestate: this.tracestate,
+    };
+  }
+
+  // Sentry v7 span compatibility
+
+  setTag(key, value) {
+    return this.setAttribute(key, value);
+  }
+
+  setData(key, value) {
+    return this.setAttribute(key, value);
+  }
+
+  finish(endTime) {
+    this.end(endTime);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      kind: this.kind,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: this.duration,
+      attributes: this.attributes,
+      events: this.events,
+      status: STATUS_NAMES[this.status.code],
+      ...(this.status.message && { statusMessage: this.status.message }),
+    };
+  }
+}
+
+/**
+ * Creates spans and hands finished traces to exporters
+ * Spans are buffered per local root and exported together once that root
+ * ends, so exporters always receive complete parent/child trees
+ */
+export class Tracer {
+  constructor(config = {}) {
+    this.serviceName = config.serviceName || process.env.OTEL_SERVICE_NAME || 'claude-debug-infrastructure';
+    this.exporters = config.exporters || [];
+    this.processors = config.processors || [];
+    this.maxPendingSpans = config.maxPendingSpans || 10000;
+    // Attributes carry SQL, URLs and exception messages; null disables redaction
+    this.redactor = config.redactor !== undefined ? config.redactor : createRedactor();
+    this.pending = new Map();
+    this.pendingCount = 0;
+    this.exports = [];
+  }
+
+  addExporter(exporter) {
+    this.exporters.push(exporter);
+    return this;
+  }
+
+  /**
+   * Add a processor whose onEnd(span) sees every span as soon as it ends,
+   * before the span's tree is complete
+   */
+  addSpanProcessor(processor) {
+    if (!this.processors.includes(processor)) {
+      this.processors.push(processor);
+    }
+    return this;
+  }
+
+  /**
+   * Start a span; the parent defaults to the active async trace context
+   * @param {Object} options - { attributes, kind, parent, startTime }
+   */
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : getContext()?.trace;
+
+    return new Span({
+      tracer: this,
+      name,
+      traceId: parent?.traceId || generateTraceId(),
+      spanId: generateSpanId(),
+      parentSpanId: parent?.spanId || null,
+      sampled: parent?.sampled,
+      tracestate: parent?.tracestate,
+      kind: options.kind,
+      attributes: options.attributes,
+      startTime: options.startTime,
+      // Only in-process parents carry a local root; remote parents start a new one
+      localRootId: parent?.localRootId,
+    });
+  }
+
+  /**
+   * Run fn with span as the active parent for everything fn awaits
+   * @param {Object} ctx - Extra context, e.g. { correlationId } so a span
+   *   opened outside any request context keeps the caller's correlation ID
+   *   instead of deriving one from the trace ID
+   */
+  withSpan(span, fn, ctx = {}) {
+    return runWithContext({ ...ctx, trace: { ...span.traceContext(), localRootId: span.localRootId } }, fn);
+  }
+
+  /**
+   * Run fn inside a new span that is active for everything fn awaits
+   * The span ends when fn settles; errors are recorded and re-thrown
+   */
+  async startActiveSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await this.withSpan(span, () => fn(span));
+      if (span.status.code === SpanStatusCode.UNSET) span.setStatus(SpanStatusCode.OK);
+      return result;
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus(SpanStatusCode.ERROR, err?.message);
+      throw err;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Redact attributes, event attributes and the status message in place,
+   * before any processor or exporter sees the span
+   */
+  redactSpan(span) {
+    if (!this.redactor) return;
+    span.attributes = this.redactor.redact(span.attributes);
+    span.events = span.events.map((event) => ({ ...event, attributes: this.redactor.redact(event.attributes) }));
+    if (span.status.message) {
+      span.status = { ...span.status, message: this.redactor.redact(span.status.message) };
+    }
+  }
+
+  onEnd(span) {
+    this.redactSpan(span);
+    this.processors.forEach((processor) => {
+      try {
+        processor.onEnd(span);
+      } catch (err) {
+        console.error('Span processor failed:', err.message);
+      }
+    });
+    if (!span.sampled) return;
+
+    const spans = this.pending.get(span.localRootId) || [];
+    spans.push(span);
+    this.pending.set(span.localRootId, spans);
+    this.pendingCount++;
+
+    if (span.localRoot) {
+      this.exportTree(span.localRootId);
+    } else if (this.pendingCount > this.maxPendingSpans) {
+      // A root that never ends must not pin memory; export the oldest tree as is
+      this.exportTree(this.pending.keys().next().value);
+    }
+  }
+
+  exportTree(rootId) {
+    const spans = this.pending.get(rootId) || [];
+    this.pending.delete(rootId);
+    this.pendingCount -= spans.length;
+    if (spans.length === 0) return;
+
+    const pendingExport = Promise.all(this.exporters.map((exporter) =>
+      Promise.resolve()
+        .then(() => exporter.export(spans, { serviceName: this.serviceName }))
+        .catch((err) => console.error(`Span exporter ${exporter.name || exporter.constructor.name} failed:`, err.message)),
+    ));
+    this.exports.push(pendingExport);
+    pendingExport.finally(() => {
+      this.exports = this.exports.filter((p) => p !== pendingExport);
+    });
+  }
+
+  /**
+   * Export every buffered span and wait for in-flight exports
+   */
+  async flush() {
+    [...this.pending.keys()].forEach((rootId) => this.exportTree(rootId));
+    await Promise.all(this.exports);
+    await Promise.all(this.exporters.map((exporter) => exporter.flush?.()));
+  }
+}
+
+/**
+ * Arrange spans into parent/child trees; spans whose parent is not in the
+ * list become roots
+ */
+export function buildSpanTrees(spans) {
+  const nodes = new Map(spans.map((span) => [span.spanId, { ...span.toJSON(), op: span.attributes['sentry.op'] || span.attributes.op || 'function', children: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parentSpanId && nodes.get(node.parentSpanId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  nodes.forEach((node) => node.children.sort((a, b) => a.startTime - b.startTime));
+  return roots;
+}
+
+/**
+ * Sends finished span trees to Sentry
+ */
+export class SentrySpanExporter {
+  constructor(config = {}) {
+    this.name = config.name || 'sentry';
+    this.record = config.record || recordSpanTree;
+  }
+
+  export(spans) {
+    buildSpanTrees(spans).forEach((root) => this.record(root));
+  }
+}
+
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (value !== null && typeof value === 'object') return { stringValue: JSON.stringify(value) };
+  return { stringValue: String(value) };
+}
+
+function toKeyValues(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toUnixNano(ms) {
+  return (BigInt(Math.floor(ms * 1000)) * 1000n).toString();
+}
+
+/**
+ * Parse "key1=value1,key2=value2" (OTEL_EXPORTER_OTLP_HEADERS format)
+ */
+function parseHeaders(spec) {
+  if (!spec) return {};
+  if (typeof spec === 'object') return spec;
+  return Object.fromEntries(
+    spec.split(',')
+      .map((pair) => pair.split('=').map((part) => decodeURIComponent(part.trim())))
+      .filter(([key, value]) => key && value !== undefined),
+  );
+}
+
+/**
+ * Exports spans as OTLP/HTTP JSON (POST <endpoint>/v1/traces)
+ */
+export class OtlpHttpExporter {
+  constructor(config = {}) {
+    this.name = config.name || 'otlp';
+    const endpoint = config.endpoint || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+      || `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '')}/v1/traces`;
+    this.url = endpoint;
+    this.headers = parseHeaders(config.headers ?? process.env.OTEL_EXPORTER_OTLP_HEADERS);
+    this.timeoutMs = config.timeoutMs || 10000;
+    this.fetch = config.fetch || globalThis.fetch;
+  }
+
+  buildPayload(spans, { serviceName }) {
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: toKeyValues({
+            'service.name': serviceName,
+            'deployment.environment': process.env.NODE_ENV || 'development',
+          }),
+        },
+        scopeSpans: [{
+          scope: { name: 'claude-debug-infrastructure', version: '1.0.0' },
+          spans: spans.map((span) => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+            name: span.name,
+            kind: span.kind,
+            startTimeUnixNano: toUnixNano(span.startTime),
+            endTimeUnixNano: toUnixNano(span.endTime),
+            attributes: toKeyValues(span.attributes),
+            events: span.events.map((event) => ({
+              timeUnixNano: toUnixNano(event.time),
+              name: event.name,
+              attributes: toKeyValues(event.attributes),
+            })),
+            status: {
+              code: span.status.code,
+              ...(span.status.message && { message: span.status.message }),
+            },
+          })),
+        }],
+      }],
+    };
+  }
+
+  async export(spans, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await this.fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify(this.buildPayload(spans, options)),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`OTLP export failed with status ${response.status}`);
+      }
+      return { exported: spans.length };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+let defaultTracer = null;
+
+/**
+ * Process-wide tracer configured from the environment
+ * TRACING_SENTRY=false disables the Sentry exporter; setting
+ * OTEL_EXPORTER_OTLP_ENDPOINT (or ..._TRACES_ENDPOINT) enables OTLP export
+ */
+export function getTracer() {
+  if (!defaultTracer) {
+    const exporters = [];
+    if (process.env.TRACING_SENTRY !== 'false') {
+      exporters.push(new SentrySpanExporter());
+    }
+    if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+      exporters.push(new OtlpHttpExporter());
+    }
+    defaultTracer = new Tracer({ exporters });
+  }
+  return defaultTracer;
+}
+
+export default getTracer;
@@ -0,0 +1,359 @@
+/**
+ * Transports Module
+ * Output sinks for UnifiedLogger. A logger fans every record out to all of its
+ * transports, and each transport applies its own level filter and formatter.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { createGzip } from 'zlib';
+import { LEVELS } from './log-levels.js';
+
+const LEVEL_COLORS = {
+  debug: '\x1b[36m',
+  info: '\x1b[32m',
+  warn: '\x1b[33m',
+  error: '\x1b[31m',
+  fatal: '\x1b[35m',
+};
+const RESET = '\x1b[0m';
+
+/**
+ * Built-in record formatters
+ */
+export const formatters = {
+  json: (record) => JSON.stringify(record),
+
+  pretty: (record, { colors = false } = {}) => {
+    const { timestamp, level, message, operation, component, module, ...rest } = record;
+    const label = level.toUpperCase().padEnd(5);
+    const scope = module || component;
+    const head = [
+      timestamp,
+      colors ? `${LEVEL_COLORS[level] || ''}${label}${RESET}` : label,
+      scope && `[${scope}]`,
+      message || operation,
+    ].filter(Boolean).join(' ');
+
+    if (message && operation) rest.operation = operation;
+    return Object.keys(rest).length > 0
+      ? `${head} ${JSON.stringify(rest, null, 2)}`
+      : head;
+  },
+};
+
+/**
+ * Base transport
+ * Subclasses implement write(level, output); `output` is the formatted record
+ */
+export class Transport {
+  constructor(config = {}) {
+    this.name = config.name || this.constructor.name;
+    this.level = config.level || null;
+    this.format = config.format || null;
+  }
+
+  accepts(level) {
+    if (!this.level) return true;
+    return (LEVELS[level] ?? LEVELS.info) >= LEVELS[this.level];
+  }
+
+  /**
+   * @returns {*} Whatever write() returns, e.g. a promise from a blocked queue
+   */
+  log(level, record) {
+    if (!this.accepts(level)) return undefined;
+    return this.write(level, this.format ? this.format(record) : record);
+  }
+
+  write() {
+    throw new Error(`${this.name} must implement write()`);
+  }
+
+  /**
+   * Resolves once the transport can take records without dropping them
+   */
+  async drain() {}
+
+  async flush() {}
+
+  async close() {
+    await this.flush();
+  }
+}
+
+/**
+ * Newline-delimited JSON on stdout
+ */
+export class StdoutTransport extends Transport {
+  constructor(config = {}) {
+    super({ format: formatters.json, ...config });
+    this.stream = config.stream || process.stdout;
+  }
+
+  write(level, output) {
+    this.stream.write(`${output}\n`);
+  }
+}
+
+/**
+ * Human-readable console output for development
+ */
+export class ConsoleTransport extends Transport {
+  constructor(config = {}) {
+    const colors = config.colors ?? Boolean(process.stdout.isTTY);
+    super({ format: (record) => formatters.pretty(record, { colors }), ...config });
+  }
+
+  write(level, output) {
+    if (LEVELS[level] >= LEVELS.error) {
+      console.error(output);
+    } else {
+      console.log(output);
+    }
+  }
+}
+
+/**
+ * Keeps records in memory, mainly for tests
+ */
+export class MemoryTransport extends Transport {
+  constructor(config = {}) {
+    super(config);
+    this.records = [];
+    this.limit = config.limit || 10000;
+  }
+
+  write(level, output) {
+    this.records.push(output);
+    if (this.records.length > this.limit) {
+      this.records.shift();
+    }
+  }
+
+  clear() {
+    this.records = [];
+  }
+}
+
+/**
+ * Appends NDJSON to a file with size- and time-based rotation
+ * Rotated files are renamed <file>.<timestamp> and gzipped in the background;
+ * retention keeps at most maxFiles of them, none older than maxAgeMs
+ * Each line is one synchronous O_APPEND write, so lines from several loggers or
+ * processes never interleave and nothing buffered is lost on exit. When another
+ * process rotates the file, this one notices the new inode and reopens it
+ */
+export class FileTransport extends Transport {
+  constructor(config = {}) {
+    super({ format: formatters.json, ...config });
+    this.filePath = config.filePath || process.env.LOG_FILE_PATH || 'logs/app.log';
+    this.maxSize = config.maxSize || parseInt(process.env.LOG_FILE_MAX_SIZE || String(10 * 1024 * 1024));
+    this.rotateEveryMs = config.rotateEveryMs ?? parseInt(process.env.LOG_FILE_ROTATE_MS || '86400000');
+    this.maxFiles = config.maxFiles ?? parseInt(process.env.LOG_FILE_MAX_FILES || '5');
+    this.maxAgeMs = config.maxAgeMs ?? parseFloat(process.env.LOG_FILE_MAX_AGE_DAYS || '14') * 86400000;
+    this.compress = config.compress ?? process.env.LOG_FILE_COMPRESS !== 'false';
+    this.inodeCheckMs = config.inodeCheckMs ?? 1000;
+    this.pending = new Set();
+    this.compressing = new Set();
+    this.fd = null;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.open();
+  }
+
+  open() {
+    this.fd = fs.openSync(this.filePath, 'a');
+    const stat = fs.fstatSync(this.fd);
+    this.size = stat.size;
+    this.ino = stat.ino;
+    // An existing file belongs to the period of its last write
+    this.period = this.periodOf(stat.size > 0 ? stat.mtimeMs : Date.now());
+    this.checkedAt = Date.now();
+  }
+
+  periodOf(time) {
+    return this.rotateEveryMs > 0 ? Math.floor(time / this.rotateEveryMs) : 0;
+  }
+
+  /**
+   * Reopen when another process rotated or removed the file
+   */
+  reopenIfMoved() {
+    const now = Date.now();
+    if (now - this.checkedAt < this.inodeCheckMs) return;
+    this.checkedAt = now;
+
+    let ino = null;
+    try {
+      ino = fs.statSync(this.filePath).ino;
+    } catch {
+      // Removed; open() recreates it
+    }
+    if (ino !== this.ino) {
+      fs.closeSync(this.fd);
+      this.open();
+    }
+  }
+
+  write(level, output) {
+    const line = `${output}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    this.reopenIfMoved();
+    if (this.size > 0 && (this.size + bytes > this.maxSize || this.periodOf(Date.now()) !== this.period)) {
+      this.rotate();
+    }
+
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+
+  rotate() {
+    fs.closeSync(this.fd);
+
+    if (this.maxFiles > 0) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      let rotated = `${this.filePath}.${stamp}`;
+      for (let i = 1; fs.existsSync(rotated) || fs.existsSync(`${rotated}.gz`); i++) {
+        rotated = `${this.filePath}.${stamp}-${i}`;
+      }
+      fs.renameSync(this.filePath, rotated);
+      this.track(this.finishRotation(rotated));
+    } else {
+      fs.unlinkSync(this.filePath);
+    }
+
+    this.open();
+  }
+
+  track(promise) {
+    const task = promise
+      .catch((err) => console.error(`${this.name}: rotation cleanup failed`, err))
+      .finally(() => this.pending.delete(task));
+    this.pending.add(task);
+    return task;
+  }
+
+  async finishRotation(rotated) {
+    if (this.compress) {
+      this.compressing.add(rotated);
+      try {
+        await pipeline(fs.createReadStream(rotated), createGzip(), fs.createWriteStream(`${rotated}.gz`));
+        await fs.promises.unlink(rotated);
+      } finally {
+        this.compressing.delete(rotated);
+      }
+    }
+    await this.applyRetention();
+  }
+
+  /**
+   * Rotated generations of this log, newest first; a generation still being
+   * compressed has both the plain and the .gz file
+   */
+  async listRotated() {
+    const dir = path.dirname(this.filePath);
+    const prefix = `${path.basename(this.filePath)}.`;
+    const generations = new Map();
+
+    (await fs.promises.readdir(dir))
+      .filter((name) => name.startsWith(prefix) && /^\d{4}-/.test(name.slice(prefix.length)))
+      .forEach((name) => {
+        const base = path.join(dir, name.replace(/\.gz$/, ''));
+        generations.set(base, [...(generations.get(base) || []), path.join(dir, name)]);
+      });
+
+    const entries = await Promise.all([...generations].map(async ([base, paths]) => {
+      const stats = await Promise.all(paths.map((file) => fs.promises.stat(file).catch(() => null)));
+      return { base, paths, mtimeMs: Math.max(0, ...stats.filter(Boolean).map((stat) => stat.mtimeMs)) };
+    }));
+    // Names carry the rotation time, so they sort chronologically
+    return entries.sort((a, b) => (a.base < b.base ? 1 : -1));
+  }
+
+  /**
+   * Delete rotated generations beyond maxFiles or older than maxAgeMs
+   */
+  async applyRetention() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    const rotated = await this.listRotated();
+
+    await Promise.all(rotated.map(async (generation, index) => {
+      const expired = index >= this.maxFiles || (this.maxAgeMs > 0 && generation.mtimeMs < cutoff);
+      if (!expired || this.compressing.has(generation.base)) return;
+      await Promise.all(generation.paths.map((file) => fs.promises.rm(file, { force: true })));
+    }));
+  }
+
+  /**
+   * Sync the file and wait for rotations still compressing
+   */
+  async flush() {
+    if (this.fd !== null) fs.fsyncSync(this.fd);
+    await Promise.all([...this.pending]);
+  }
+
+  async close() {
+    if (this.fd === null) return;
+    await this.flush();
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+const fileTransports = new Map();
+
+/**
+ * One FileTransport per path for the whole process, so every logger appends
+ * through the same descriptor and rotation state
+ */
+export function getFileTransport(config = {}) {
+  const filePath = path.resolve(config.filePath || process.env.LOG_FILE_PATH || 'logs/app.log');
+  if (!fileTransports.has(filePath)) {
+    fileTransports.set(filePath, new FileTransport({ name: 'file', ...config, filePath }));
+  }
+  return fileTransports.get(filePath);
+}
+
+/**
+ * Flush every shared file transport; awaited on shutdown
+ */
+export async function flushFileTransports() {
+  await Promise.all([...fileTransports.values()].map((transport) => transport.flush()));
+}
+
+/**
+ * Forwards records to a LogflareLogger from config/logflare.config.js
+ */
+export class LogflareTransport extends Transport {
+  constructor(config = {}) {
+    super(config);
+    this.logflare = config.logflare;
+  }
+
+  write(level, output) {
+    return this.logflare[level](output);
+  }
+
+  async drain() {
+    await this.logflare.drain?.();
+  }
+
+  async flush() {
+    await this.logflare.flush?.();
+  }
+}
+
+export default {
+  Transport,
+  StdoutTransport,
+  ConsoleTransport,
+  MemoryTransport,
+  FileTransport,
+  LogflareTransport,
+  getFileTransport,
+  flushFileTransports,
+  formatters,
+};
@@ -7,12 +7,77 @@
 import { 
   captureException as sentryCaptureException,
   captureMessage as sentryCaptureMessage,
-  addBreadcrumb,
-  startTransaction as sentryStartTransaction
+  addBreadcrumb as sentryAddBreadcrumb
 } from '../config/sentry.unified.js';
 import { getLogger, createChildLogger } from '../config/logflare.config.js';
+import { runWithContext, getContext as getActiveContext } from './log-context.js';
+import { LevelController } from './log-levels.js';
+import { ConsoleTransport, LogflareTransport, getFileTransport } from './transports.js';
+import { getLokiTransport, getElasticsearchTransport } from './http-transports.js';
+import { createRedactor } from './redaction.js';
+import { createLogSampler } from './log-sampling.js';
+import { BoundedStore } from './bounded-store.js';
+import { serializeError, isErrorLike } from './error-serializer.js';
+import { getRuleEngine } from './debug-rules.js';
+import { fingerprintError } from './error-fingerprint.js';
+import { getStackResolver } from './stack-parser.js';
+import { getMetricsRegistry } from './metrics.js';
+import { buildTraceEvents, writeTraceFile, getSpanRecorder } from './trace-events.js';
+import { getPerformanceBudgets } from './performance-budgets.js';
+import { getQueryStats, normalizeSql, fingerprintSql } from './query-stats.js';
+import { getQueryPatternDetector, queryIdentity, N_PLUS_ONE } from './query-patterns.js';
+import { getRuntimeHealth } from './runtime-health.js';
+import { getDiagnostics } from './diagnostics.js';
+import { getTracer, SpanKind, SpanStatusCode } from './tracer.js';
+import {
+  extractTraceContext,
+  createChildTraceContext,
+  injectTraceContext,
+  parseTraceparent
+} from './trace-context.js';
 import { randomUUID } from 'crypto';
 import { performance } from 'perf_hooks';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const builtinMetricsByRegistry = new WeakMap();
+
+/**
+ * Metrics recorded automatically by measurePerformance, dbQuery, apiCall and httpRequest
+ * Declared once per registry so loggers sharing a registry share series
+ */
+function getBuiltinMetrics(registry) {
+  if (!builtinMetricsByRegistry.has(registry)) {
+    builtinMetricsByRegistry.set(registry, {
+      operationDuration: registry.histogram('operation_duration_seconds',
+        'Duration of measurePerformance() operations in seconds', ['operation', 'status']),
+      dbQueryDuration: registry.histogram('db_query_duration_seconds',
+        'Duration of database queries in seconds', ['operation', 'table']),
+      dbQueryErrors: registry.counter('db_query_errors_total',
+        'Failed database queries', ['operation', 'table']),
+      apiCallDuration: registry.histogram('http_client_request_duration_seconds',
+        'Duration of outbound API calls in seconds', ['method', 'host', 'status']),
+      httpRequests: registry.counter('http_requests_total',
+        'Inbound HTTP requests', ['method', 'path', 'status']),
+      httpRequestDuration: registry.histogram('http_request_duration_seconds',
+        'Duration of inbound HTTP requests in seconds', ['method', 'path', 'status']),
+      slowOperations: registry.counter('slow_operations_total',
+        'Operations that exceeded their performance budget', ['kind'])
+    });
+  }
+  return builtinMetricsByRegistry.get(registry);
+}
+
+// Frames in this directory are the logging library itself, never the caller of interest
+const LIB_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+function urlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
 
 /**
  * Base Logger class with common functionality
@@ -23,6 +88,93 @@ class BaseLogger {
     this.context = config.context || {};
     this.startTime = Date.now();
     this.logflare = config.logflare || getLogger();
+    this.asyncContext = config.asyncContext ?? process.env.LOG_ASYNC_CONTEXT !== 'false';
+    this.levels = config.levels || new LevelController({
+      level: config.level,
+      overrides: config.levelOverrides
+    });
+    this.transports = config.transports || this.createDefaultTransports();
+    this.redactor = config.redactor !== undefined
+      ? config.redactor
+      : createRedactor(config.redaction);
+    this.sampler = config.sampler !== undefined
+      ? config.sampler
+      : createLogSampler({
+        ...config.sampling,
+        onSummary: (level, summary) => this.write(level, summary)
+      });
+  }
+
+  /**
+   * Scrub secrets and PII from a payload (no-op when redaction is disabled)
+   */
+  redact(value) {
+    return this.redactor ? this.redactor.redact(value) : value;
+  }
+
+  /**
+   * Add a redacted Sentry breadcrumb
+   */
+  addBreadcrumb(breadcrumb) {
+    return sentryAddBreadcrumb(this.redact(breadcrumb));
+  }
+
+  /**
+   * Default pipeline: Logflare, plus a pretty console in development, the
+   * shared rotating NDJSON file when LOG_FILE_PATH is set and the shared
+   * Loki/Elasticsearch sinks when LOKI_URL/ELASTICSEARCH_URL are set
+   */
+  createDefaultTransports() {
+    const transports = [new LogflareTransport({ name: 'logflare', logflare: this.logflare })];
+    if (process.env.NODE_ENV === 'development') {
+      transports.push(new ConsoleTransport({ name: 'console' }));
+    }
+    if (process.env.LOG_FILE_PATH) {
+      transports.push(getFileTransport());
+    }
+    if (process.env.LOKI_URL) {
+      transports.push(getLokiTransport());
+    }
+    if (process.env.ELASTICSEARCH_URL) {
+      transports.push(getElasticsearchTransport());
+    }
+    return transports;
+  }
+
+  /**
+   * Add a transport to this logger (and to children created afterwards)
+   */
+  addTransport(transport) {
+    this.transports = [...this.transports, transport];
+    return this;
+  }
+
+  /**
+   * Remove a transport by instance or name
+   * @returns {boolean} Whether a transport was removed
+   */
+  removeTransport(transportOrName) {
+    const before = this.transports.length;
+    this.transports = this.transports.filter((t) =>
+      t !== transportOrName && t.name !== transportOrName
+    );
+    return this.transports.length !== before;
+  }
+
+  /**
+   * Flush every transport
+   */
+  async flushTransports() {
+    await Promise.all(this.transports.map((t) => t.flush()));
+  }
+
+  /**
+   * Resolves once every transport has room again; with the `block` overflow
+   * policy, producers that await it are slowed to the delivery rate instead
+   * of having records dropped
+   */
+  async drain() {
+    await Promise.all(this.transports.map((t) => t.drain?.()));
   }
 
   /**
@@ -49,26 +201,126 @@ class BaseLogger {
     return this;
   }
 
+  /**
+   * Run a function inside an async correlation context
+   * Every log made while fn runs (including awaited work) picks up the context
+   */
+  runWithContext(ctx, fn) {
+    return runWithContext(ctx, fn);
+  }
+
+  /**
+   * Run a function inside the trace carried by inbound request headers
+   * (traceparent/tracestate); the correlation ID is the W3C trace ID
+   */
+  continueTrace(headers, fn, ctx = {}) {
+    const trace = extractTraceContext(headers);
+    return runWithContext({ ...ctx, trace, correlationId: trace.traceId }, fn);
+  }
+
+  /**
+   * Run fn with span active, keeping this logger's correlation ID when no
+   * request context is active
+   */
+  withSpan(span, fn) {
+    return this.tracer.withSpan(span, fn, { correlationId: this.getCorrelationId() });
+  }
+
+  /**
+   * Headers that propagate the active trace to an outbound call
+   * A new child span ID is allocated for the call
+   */
+  getTraceHeaders(headers = {}) {
+    const trace = createChildTraceContext(this.getContext().trace);
+    return injectTraceContext(headers, trace);
+  }
+
+  /**
+   * Get the effective context: the active async context when async-context
+   * mode is on, falling back to the instance correlation ID and bindings
+   */
+  getContext() {
+    const active = this.asyncContext ? getActiveContext() : null;
+    return {
+      correlationId: active?.correlationId || this.correlationId,
+      sessionId: active?.sessionId || null,
+      trace: active?.trace || null,
+      bindings: { ...active?.bindings, ...this.context },
+    };
+  }
+
+  /**
+   * Get the effective correlation ID
+   */
+  getCorrelationId() {
+    return this.getContext().correlationId;
+  }
+
+  /**
+   * Set the minimum level, or the level for one component/module
+   * Applies to this logger and every logger created through child()
+   */
+  setLevel(level, component = null) {
+    this.levels.setLevel(level, component);
+    return this;
+  }
+
+  /**
+   * Get the effective minimum level for this logger's bindings
+   */
+  getLevel() {
+    return this.levels.getLevel(this.getContext().bindings);
+  }
+
+  /**
+   * Check whether a level would be emitted by this logger
+   */
+  isLevelEnabled(level) {
+    return this.levels.isLevelEnabled(level, this.getContext().bindings);
+  }
+
   /**
    * Core logging method
+   * Returns the emitted record, or null when the level is disabled or the
+   * sampler dropped it
    */
-  log(level, data) {
+  log(level, data, options = {}) {
+    const { correlationId, sessionId, trace, bindings } = this.getContext();
+    if (!this.levels.isLevelEnabled(level, bindings)) {
+      return null;
+    }
+
     const logData = {
       ...data,
-      correlationId: this.correlationId,
-      ...this.context,
+      correlationId,
+      ...(sessionId && !data.sessionId && { sessionId }),
+      ...(trace && !data.traceId && { traceId: trace.traceId, spanId: trace.spanId }),
+      ...bindings,
       timestamp: new Date().toISOString()
     };
 
-    // Log to Logflare
-    this.logflare[level](logData);
-
-    // Development console logging
-    if (process.env.NODE_ENV === 'development') {
-      console.log(JSON.stringify(logData, null, 2));
+    if (options.sample !== false && this.sampler && !this.sampler.admit(level, logData)) {
+      return null;
     }
 
-    return logData;
+    return this.write(level, logData);
+  }
+
+  /**
+   * Redact a finished record and hand it to every transport
+   */
+  write(level, logData) {
+    // Fan out to every transport; one failing sink must not break the others
+    const record = this.redact({ ...logData, level });
+    this.transports.forEach((transport) => {
+      try {
+        transport.log(level, record);
+      } catch (err) {
+        console.error(`Transport ${transport.name} failed:`, err.message);
+      }
+    });
+
+    return record;
   }
 
   /**
@@ -96,7 +348,7 @@ class BaseLogger {
     this.log('warn', data);
     
     // Add Sentry breadcrumb
-    addBreadcrumb({
+    this.addBreadcrumb({
       type: 'warning',
       category: 'logger',
       message: typeof message === 'string' ? message : message.message,
@@ -109,49 +361,63 @@ class BaseLogger {
 
   error(error, metadata = {}) {
     const isError = error instanceof Error;
+    // Logflare and Sentry get the same normalized shape (causes, pg/axios fields, ...)
+    const errorDetails = isErrorLike(error) ? serializeError(error) : undefined;
     const errorData = {
       message: isError ? error.message : (error.message || error),
       stack: isError ? error.stack : undefined,
       code: isError ? error.code : undefined,
       ...(!isError && typeof error === 'object' ? error : {}),
+      ...(errorDetails && { errorDetails }),
       ...metadata
     };
 
     // Log to Logflare
-    this.log('error', errorData);
+    const record = this.log('error', errorData);
+
+    // A suppressed duplicate was already captured when it was first seen
+    if (record === null && this.isLevelEnabled('error')) {
+      return errorData;
+    }
 
     // Capture in Sentry
+    const { correlationId, bindings } = this.getContext();
     if (isError) {
       sentryCaptureException(error, {
-        tags: {
-          ...this.context,
-          correlationId: this.correlationId
-        },
-        extra: metadata
-      }, this.correlationId);
+        tags: this.redact({
+          ...bindings,
+          correlationId
+        }),
+        extra: this.redact(metadata),
+        contexts: { errorDetails: this.redact(errorDetails) }
+      }, correlationId);
     } else {
-      sentryCaptureMessage(errorData.message, 'error');
+      sentryCaptureMessage(this.redact(errorData.message), 'error');
     }
 
     return errorData;
   }
 
   fatal(error, metadata = {}) {
+    const errorDetails = isErrorLike(error) ? serializeError(error) : undefined;
     const errorData = {
       level: 'fatal',
       ...(typeof error === 'object' ? error : { message: error }),
+      ...(errorDetails && { errorDetails }),
       ...metadata
     };
 
     this.log('fatal', errorData);
     
     // Always capture fatal errors in Sentry
+    const { correlationId, bindings } = this.getContext();
     const err = error instanceof Error ? error : new Error(error.message || error);
     sentryCaptureException(err, {
       level: 'fatal',
-      tags: this.context,
-      extra: metadata
-    }, this.correlationId);
+      tags: this.redact(bindings),
+      extra: this.redact(metadata),
+      ...(errorDetails && { contexts: { errorDetails: this.redact(errorDetails) } })
+    }, correlationId);
 
     return errorData;
   }
@@ -163,20 +429,89 @@ class BaseLogger {
 class UnifiedLogger extends BaseLogger {
   constructor(config = {}) {
     super(config);
+    this.tracer = config.tracer || getTracer();
+    this.debugRules = config.debugRules || getRuleEngine();
+    this.stackResolver = config.stackResolver || getStackResolver();
+    this.metrics = config.metrics || getMetricsRegistry();
+    this.builtinMetrics = getBuiltinMetrics(this.metrics);
+    this.spanRecorder = config.spanRecorder || getSpanRecorder();
+    this.budgets = config.budgets !== undefined ? config.budgets : getPerformanceBudgets();
+    this.queryStats = config.queryStats || getQueryStats();
+    this.queryPatterns = config.queryPatterns || getQueryPatternDetector();
+    this.runtimeHealth = config.runtimeHealth !== undefined ? config.runtimeHealth : getRuntimeHealth();
+    this.diagnostics = config.diagnostics || getDiagnostics();
+    // (req) => route pattern or null, for servers without Express's req.route
+    this.routeResolver = config.routeResolver || null;
+    this.tracer.addSpanProcessor(this.spanRecorder);
+    this.traceEventsDir = config.traceEventsDir ?? process.env.LOG_TRACE_EVENTS_DIR ?? null;
+    this.traceEventsMinMs = config.traceEventsMinMs ?? parseFloat(process.env.LOG_TRACE_EVENTS_MIN_MS || '0');
     this.timeline = [];
-    this.performanceMarks = new Map();
-    this.errorContext = new Map();
-    this.sessions = new Map();
+    this.maxSessionEvents = config.maxSessionEvents ?? 1000;
+    this.sessions = new BoundedStore({
+      name: 'sessions',
+      maxSize: config.maxSessions ?? parseInt(process.env.LOG_MAX_SESSIONS || '1000'),
+      ttlMs: config.sessionTtlMs ?? parseInt(process.env.LOG_SESSION_TTL_MS || '1800000'),
+      onEvict: (sessionId, session, reason) => this.debug({
+        operation: 'session_evicted',
+        sessionId,
+        reason,
+        eventsCount: session.eventsCount,
+      }),
+    });
+    this.performanceMarks = new BoundedStore({
+      name: 'performanceProfiles',
+      maxSize: config.maxProfiles ?? parseInt(process.env.LOG_MAX_PROFILES || '500'),
+      ttlMs: config.profileTtlMs ?? parseInt(process.env.LOG_PROFILE_TTL_MS || '1800000'),
+    });
+    // Error groups keyed by fingerprint, so repeats of one failure share an entry
+    this.errorContext = new BoundedStore({
+      name: 'errorGroups',
+      maxSize: config.maxErrorContexts ?? parseInt(process.env.LOG_MAX_ERROR_CONTEXTS || '1000'),
+    });
+    this.maxGroupCorrelationIds = config.maxGroupCorrelationIds ?? 20;
   }
 
   /**
    * Create a child logger with additional context
    */
   child(bindings) {
+    const logflare = createChildLogger(bindings, this.logflare);
+
+    // The child keeps the parent's transports, swapping the parent's Logflare
+    // sink for the child Logflare logger
+    const transports = this.transports.map((transport) =>
+      transport instanceof LogflareTransport && transport.logflare === this.logflare
+        ? new LogflareTransport({
+          name: transport.name,
+          level: transport.level,
+          format: transport.format,
+          logflare
+        })
+        : transport
+    );
+
     const childLogger = new UnifiedLogger({
       correlationId: this.correlationId,
       context: { ...this.context, ...bindings },
-      logflare: createChildLogger(bindings)
+      logflare,
+      asyncContext: this.asyncContext,
+      levels: this.levels,
+      transports,
+      redactor: this.redactor,
+      sampler: this.sampler,
+      tracer: this.tracer,
+      debugRules: this.debugRules,
+      stackResolver: this.stackResolver,
+      metrics: this.metrics,
+      spanRecorder: this.spanRecorder,
+      budgets: this.budgets,
+      queryStats: this.queryStats,
+      queryPatterns: this.queryPatterns,
+      runtimeHealth: this.runtimeHealth,
+      diagnostics: this.diagnostics,
+      routeResolver: this.routeResolver,
+      traceEventsDir: this.traceEventsDir,
+      traceEventsMinMs: this.traceEventsMinMs
     });
     return childLogger;
   }
@@ -194,6 +529,8 @@ class UnifiedLogger extends BaseLogger {
         startTime,
         context,
         events: [],
+        eventsCount: 0,
+        eventCounts: {},
         errors: [],
         performance: [],
       };
@@ -217,18 +554,71 @@ class UnifiedLogger extends BaseLogger {
     }
   }
 
+  /**
+   * End a session and return its report
+   * The session and the profiles linked to it are released from memory
+   */
+  endSession(sessionId = null) {
+    const id = sessionId || this.getContext().sessionId;
+    const session = this.sessions.peek(id);
+
+    if (!session) {
+      this.warn({
+        operation: 'session_end_unknown',
+        sessionId: id,
+      });
+      return null;
+    }
+
+    const endTime = Date.now();
+    const report = {
+      sessionId: id,
+      startTime: new Date(session.startTime).toISOString(),
+      endTime: new Date(endTime).toISOString(),
+      duration: endTime - session.startTime,
+      context: session.context,
+      eventsCount: session.eventsCount,
+      eventCounts: { ...session.eventCounts },
+      errorsCount: session.errors.length,
+      errors: session.errors,
+      performance: session.performance,
+      queryPatterns: this.queryPatterns.release(id),
+    };
+
+    this.sessions.delete(id);
+    for (const [profileId, profile] of this.performanceMarks) {
+      if (profile.sessionId === id) {
+        this.performanceMarks.delete(profileId);
+      }
+    }
+
+    this.info({
+      operation: 'session_end',
+      sessionId: id,
+      duration: report.duration,
+      eventsCount: report.eventsCount,
+      errorsCount: report.errorsCount,
+      profilesCount: report.performance.length,
+      queryPatternsCount: report.queryPatterns.length,
+    });
+
+    return report;
+  }
+
   /**
    * Add event to timeline
    */
   addTimelineEvent(sessionId, eventType, data = {}) {
     try {
+      const context = this.getContext();
+      sessionId = sessionId || context.sessionId;
       const timestamp = Date.now();
       const event = {
         timestamp,
         isoTime: new Date(timestamp).toISOString(),
         type: eventType,
         data,
-        correlationId: data.correlationId || sessionId || this.correlationId,
+        correlationId: data.correlationId || sessionId || context.correlationId,
       };
 
       // Add to timeline
@@ -238,6 +628,12 @@ class UnifiedLogger extends BaseLogger {
       const session = this.sessions.get(sessionId);
       if (session) {
         session.events.push(event);
+        session.eventsCount++;
+        session.eventCounts[eventType] = (session.eventCounts[eventType] || 0) + 1;
+
+        if (session.events.length > this.maxSessionEvents) {
+          session.events.shift();
+        }
       }
 
       this.debug({
@@ -270,26 +666,34 @@ class UnifiedLogger extends BaseLogger {
   async measurePerformance(operation, fn, metadata = {}) {
     const startTime = performance.now();
     const perfId = randomUUID();
+    const span = this.tracer.startSpan(operation, {
+      attributes: { op: 'function', perfId }
+    });
 
     try {
       this.debug({
         operation: `perf_${operation}_start`,
         perfId,
+        spanId: span.spanId,
         ...metadata
       });
 
-      const result = await fn();
+      const result = await this.withSpan(span, fn);
       const duration = performance.now() - startTime;
+      span.setStatus(SpanStatusCode.OK);
+      this.builtinMetrics.operationDuration.observe({ operation, status: 'ok' }, duration / 1000);
+      this.checkBudget('operation', { name: operation, duration });
 
       this.info({
         operation: `perf_${operation}_complete`,
         perfId,
+        spanId: span.spanId,
         duration,
         ...metadata
       });
 
       // Add performance breadcrumb to Sentry
-      addBreadcrumb({
+      this.addBreadcrumb({
         type: 'info',
         category: 'performance',
         message: `${operation} completed in ${duration}ms`,
@@ -300,33 +704,89 @@ class UnifiedLogger extends BaseLogger {
       return result;
     } catch (err) {
       const duration = performance.now() - startTime;
+      span.recordException(err);
+      span.setStatus(SpanStatusCode.ERROR, err.message);
+      this.builtinMetrics.operationDuration.observe({ operation, status: 'error' }, duration / 1000);
+      this.checkBudget('operation', { name: operation, duration });
 
       this.error({
         operation: `perf_${operation}_failed`,
         perfId,
+        spanId: span.spanId,
         duration,
         error: err.message,
         ...metadata
       });
 
       throw err;
+    } finally {
+      span.end();
     }
   }
 
+  /**
+   * Compare a duration with its performance budget
+   * A breach logs slow_operation and leaves a breadcrumb; repeated breaches
+   * within the escalation window also send a Sentry message
+   * @param {string} kind - operation | db | api | http
+   * @param {Object} details - { name, subjects, duration, ...extra log fields }
+   */
+  checkBudget(kind, details) {
+    if (!this.budgets) return null;
+
+    const { name, subjects, duration, ...extra } = details;
+    const violation = this.budgets.check(kind, { name, subjects, duration });
+    if (!violation) return null;
+
+    const { escalate, ...data } = violation;
+    this.builtinMetrics.slowOperations.inc({ kind });
+    this.warn({ operation: 'slow_operation', ...data, ...extra });
+    this.addBreadcrumb({
+      type: 'info',
+      category: 'performance',
+      message: `Slow ${kind} ${name}: ${Math.round(duration)}ms (budget ${violation.budgetMs}ms)`,
+      level: 'warning',
+      data
+    });
+
+    if (escalate) {
+      this.warn({ operation: 'slow_operation_escalated', ...data, ...extra });
+      sentryCaptureMessage(this.redact(
+        `Sustained slow ${kind} "${name}": ${violation.recentViolations} breaches of the ${violation.budgetMs}ms budget (${violation.target})`
+      ), 'warning');
+    }
+
+    return violation;
+  }
+
   /**
    * Create performance profile
    */
-  createPerformanceProfile(operation) {
+  createPerformanceProfile(operation, options = {}) {
     const profileId = randomUUID();
     const startTime = performance.now();
+    const { sessionId: contextSessionId, correlationId, trace } = this.getContext();
+    const sessionId = options.sessionId || contextSessionId;
+    const parentId = typeof options.parent === 'object' ? options.parent?.id : options.parent;
 
     const profile = {
       id: profileId,
       operation,
+      sessionId,
+      parentId: parentId || null,
+      correlationId,
+      traceId: trace?.traceId || null,
       startTime,
+      endTime: null,
       marks: [],
       measures: [],
 
+      // Nested profile; exported together with this one
+      child: (childOperation) => this.createPerformanceProfile(childOperation, {
+        sessionId,
+        parent: profileId,
+      }),
+
       mark: (name) => {
         const markTime = performance.now();
         const mark = {
@@ -356,6 +816,7 @@ class UnifiedLogger extends BaseLogger {
             name,
             startMark,
             endMark,
+            startTime: start.time,
             duration,
           };
           profile.measures.push(measure);
@@ -375,6 +836,7 @@ class UnifiedLogger extends BaseLogger {
       end: () => {
         const endTime = performance.now();
         const totalDuration = endTime - startTime;
+        profile.endTime = endTime;
 
         const results = {
           profileId,
@@ -393,8 +855,19 @@ class UnifiedLogger extends BaseLogger {
           measuresCount: profile.measures.length,
         });
 
+        // Link the results to the owning session
+        const session = sessionId && this.sessions.peek(sessionId);
+        if (session) {
+          session.performance.push({
+            profileId,
+            operation,
+            totalDuration,
+            measures: profile.measures,
+          });
+        }
+
         // Add to Sentry breadcrumb
-        addBreadcrumb({
+        this.addBreadcrumb({
           type: 'info',
           category: 'performance',
           message: `Profile ${operation}: ${totalDuration.toFixed(2)}ms`,
@@ -402,6 +875,15 @@ class UnifiedLogger extends BaseLogger {
           data: results,
         });
 
+        // Root profiles are written with their nested profiles and spans
+        if (this.traceEventsDir && !profile.parentId && totalDuration >= this.traceEventsMinMs) {
+          this.writeProfileTrace(profileId).catch((err) => this.warn({
+            operation: 'trace_events_write_failed',
+            profileId,
+            error: err.message,
+          }));
+        }
+
         return results;
       },
     };
@@ -410,46 +892,235 @@ class UnifiedLogger extends BaseLogger {
     return profile;
   }
 
+  /**
+   * Export a profile, its nested profiles and the spans recorded while it ran
+   * as a Chrome Trace Event document (chrome://tracing, ui.perfetto.dev)
+   * @returns {Object|null} Trace document, or null for an unknown profile
+   */
+  exportProfileTrace(profileId) {
+    const root = this.performanceMarks.peek(profileId);
+    if (!root) return null;
+
+    const profiles = [root];
+    for (let i = 0; i < profiles.length; i++) {
+      for (const candidate of this.performanceMarks.values()) {
+        if (candidate.parentId === profiles[i].id) profiles.push(candidate);
+      }
+    }
+
+    const now = performance.now();
+    const toEpoch = (time) => performance.timeOrigin + time;
+    const start = toEpoch(root.startTime);
+    const end = toEpoch(root.endTime ?? now);
+
+    return buildTraceEvents({
+      profiles: profiles.map((profile) => ({
+        id: profile.id,
+        parentId: profile.parentId,
+        operation: profile.operation,
+        start: toEpoch(profile.startTime),
+        end: toEpoch(profile.endTime ?? now),
+        marks: profile.marks.map((mark) => ({ name: mark.name, time: toEpoch(mark.time) })),
+        measures: profile.measures.map((measure) => ({
+          ...measure,
+          start: toEpoch(measure.startTime),
+        })),
+      })),
+      // Without a trace ID the time window alone would pull in spans of
+      // unrelated concurrent requests
+      spans: root.traceId ? this.spanRecorder.between(start, end, root.traceId) : [],
+      metadata: {
+        profileId,
+        operation: root.operation,
+        sessionId: root.sessionId,
+        traceId: root.traceId,
+        correlationId: root.correlationId,
+      },
+    });
+  }
+
+  /**
+   * Write a profile trace to traceEventsDir (LOG_TRACE_EVENTS_DIR)
+   * @returns {Promise<string>} Path of the written .trace.json file
+   */
+  async writeProfileTrace(profileId, dir = this.traceEventsDir) {
+    const trace = this.exportProfileTrace(profileId);
+    if (!trace) throw new Error(`Unknown performance profile ${profileId}`);
+    if (!dir) throw new Error('No trace events directory configured (LOG_TRACE_EVENTS_DIR)');
+
+    const filePath = await writeTraceFile(dir, `${trace.otherData.operation}-${profileId}`, trace);
+    this.info({
+      operation: 'trace_events_written',
+      profileId,
+      path: filePath,
+      events: trace.traceEvents.length,
+    });
+    return filePath;
+  }
+
+  /**
+   * Write a heap snapshot named after the current session or correlation ID
+   * @param {Object} options - { id, reason }
+   * @returns {Promise<Object>} Artifact { type, path, bytes, durationMs }
+   */
+  async takeHeapSnapshot(options = {}) {
+    return this.captureDiagnostics(options, (id) => this.diagnostics.heapSnapshot({ id }));
+  }
+
+  /**
+   * Record a CPU profile for options.durationMs, named like heap snapshots
+   * @param {Object} options - { id, durationMs, reason }
+   * @returns {Promise<Object>} Artifact { type, path, bytes, durationMs }
+   */
+  async captureCpuProfile(options = {}) {
+    return this.captureDiagnostics(options, (id) => this.diagnostics.cpuProfile({ id, durationMs: options.durationMs }));
+  }
+
+  /**
+   * Run a capture and log a record pointing to the artifact
+   */
+  async captureDiagnostics(options, capture) {
+    const context = this.getContext();
+    const id = options.id || context.sessionId || context.correlationId;
+
+    try {
+      const artifact = await capture(id);
+      this.info({
+        operation: `${artifact.type}_written`,
+        ...artifact,
+        reason: options.reason,
+        sessionId: context.sessionId,
+      });
+      return artifact;
+    } catch (err) {
+      this.error({
+        operation: 'diagnostics_capture_failed',
+        reason: options.reason,
+        error: err.message,
+        stack: err.stack,
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Take a heap snapshot ('heap') or CPU profile ('cpu') when the process
+   * receives the signal; defaults come from LOG_DIAGNOSTICS_SIGNAL and
+   * LOG_DIAGNOSTICS_SIGNAL_ACTION
+   * @returns {Function} Removes the handler
+   */
+  installDiagnosticsSignal(
+    signal = process.env.LOG_DIAGNOSTICS_SIGNAL,
+    action = process.env.LOG_DIAGNOSTICS_SIGNAL_ACTION || 'heap'
+  ) {
+    if (!signal) return () => {};
+
+    const handler = () => {
+      const capture = action === 'cpu'
+        ? this.captureCpuProfile({ reason: signal })
+        : this.takeHeapSnapshot({ reason: signal });
+      // Failures are logged by captureDiagnostics
+      capture.catch(() => {});
+    };
+    process.on(signal, handler);
+
+    this.info({
+      operation: 'diagnostics_signal_installed',
+      signal,
+      action,
+      dir: this.diagnostics.dir,
+    });
+    return () => process.removeListener(signal, handler);
+  }
+
   /**
    * Log database query with timing
    */
-  async dbQuery(operation, query, params = {}) {
+  async dbQuery(operation, rawQuery, params = {}) {
     const startTime = performance.now();
     const queryId = randomUUID();
+    // Logs, spans and statistics carry the normalized statement, never literal values
+    const query = normalizeSql(rawQuery);
+    const queryFingerprint = fingerprintSql(query);
+    // Stack of the caller, formatted only if a query pattern is reported
+    const callsite = {};
+    Error.captureStackTrace(callsite, this.dbQuery);
+    const span = this.tracer.startSpan(`db.${operation}`, {
+      kind: SpanKind.CLIENT,
+      attributes: {
+        op: 'db',
+        'db.system': 'postgresql',
+        'db.operation': operation,
+        'db.sql.table': params.table,
+        'db.statement': query
+      }
+    });
 
     try {
       this.info({
         operation: `db_${operation}_start`,
         query,
+        queryFingerprint,
         queryId,
+        spanId: span.spanId,
         table: params.table,
         params: params.values
       });
 
       let result = null;
       if (typeof params.execute === 'function') {
-        result = await params.execute();
+        result = await this.withSpan(span, params.execute);
       }
 
       const duration = performance.now() - startTime;
+      const rowCount = result?.rowCount || result?.length || 0;
+      span.setAttribute('db.rows_affected', rowCount);
+      span.setStatus(SpanStatusCode.OK);
+      this.builtinMetrics.dbQueryDuration.observe({ operation, table: params.table }, duration / 1000);
+      this.checkBudget('db', { name: operation, subjects: [params.table, operation], duration, queryId });
+      this.recordQuery(rawQuery, {
+        duration,
+        rows: rowCount,
+        operation,
+        table: params.table,
+        values: params.values,
+        callsite
+      });
 
       this.info({
         operation: `db_${operation}_success`,
         query,
+        queryFingerprint,
         queryId,
+        spanId: span.spanId,
         table: params.table,
         duration,
-        rowCount: result?.rowCount || result?.length || 0
+        rowCount
       });
 
       return result;
     } catch (err) {
       const duration = performance.now() - startTime;
+      span.recordException(err);
+      span.setStatus(SpanStatusCode.ERROR, err.message);
+      this.builtinMetrics.dbQueryDuration.observe({ operation, table: params.table }, duration / 1000);
+      this.checkBudget('db', { name: operation, subjects: [params.table, operation], duration, queryId });
+      this.builtinMetrics.dbQueryErrors.inc({ operation, table: params.table });
+      this.recordQuery(rawQuery, {
+        duration,
+        error: err,
+        operation,
+        table: params.table,
+        values: params.values,
+        callsite
+      });
 
       this.error({
         operation: `db_${operation}_failed`,
         query,
+        queryFingerprint,
         queryId,
+        spanId: span.spanId,
         table: params.table,
         duration,
         error: err.message,
@@ -457,15 +1128,107 @@ class UnifiedLogger extends BaseLogger {
       });
 
       throw err;
+    } finally {
+      span.end();
     }
   }
 
+  /**
+   * Record a statement in the shared per-statement statistics and check it
+   * for N+1 and duplicate patterns; also used by pg pool wrappers
+   * @param {string} query - Raw statement text
+   * @param {Object} execution - { duration, rows, error, operation, table, values, callsite }
+   *   callsite is an object from Error.captureStackTrace() at the caller's entry point
+   * @returns {Object} { fingerprint, query } for the normalized statement
+   */
+  recordQuery(query, execution = {}) {
+    const { values, callsite, ...stats } = execution;
+    const statement = this.queryStats.record(query, stats);
+    this.detectQueryPatterns(query, statement, values, callsite);
+    return statement;
+  }
+
+  /**
+   * Scope a statement is counted in: the session, else the local root span,
+   * else the request's correlation ID. Null outside any async context, where
+   * the logger's fixed correlation ID would lump unrelated work together
+   */
+  queryScope() {
+    const active = this.asyncContext ? getActiveContext() : null;
+    if (!active) return null;
+    return active.sessionId || active.trace?.localRootId || active.correlationId;
+  }
+
+  /**
+   * Track a statement under the current query scope and warn when it
+   * crosses the N+1 or duplicate-query threshold
+   */
+  detectQueryPatterns(query, statement, values, callsite) {
+    const context = this.getContext();
+    const findings = this.queryPatterns.observe(this.queryScope(), {
+      ...statement,
+      identity: queryIdentity(query, values),
+    });
+
+    findings.forEach((finding) => {
+      const data = {
+        ...finding,
+        frame: this.findCallerFrame(callsite?.stack ?? new Error().stack),
+        correlationId: context.correlationId,
+        sessionId: context.sessionId,
+      };
+      this.warn({
+        operation: finding.type === N_PLUS_ONE ? 'n_plus_one_detected' : 'duplicate_query_detected',
+        ...data,
+      });
+      this.addTimelineEvent(context.sessionId, 'query_pattern', data);
+    });
+    return findings;
+  }
+
+  /**
+   * First application frame outside the logging library
+   */
+  findCallerFrame(stack) {
+    const frame = this.stackResolver.parse(stack)
+      .find((candidate) => candidate.inApp && !candidate.file.startsWith(LIB_DIR + path.sep));
+    if (!frame) return null;
+
+    return {
+      function: frame.function,
+      file: frame.file,
+      line: frame.line,
+      column: frame.column,
+      code: frame.context?.line?.trim(),
+    };
+  }
+
+  /**
+   * Per-statement statistics: calls, total/mean/p95 time, rows and errors
+   * @param {Object} options - { limit, sortBy }
+   */
+  getQueryStats(options = {}) {
+    return this.queryStats.getStats(options);
+  }
+
   /**
    * Log API call with timing
+   * options.execute receives { headers, traceId, spanId }; the headers carry
+   * traceparent/tracestate for the client span of this call
    */
   async apiCall(method, url, options = {}) {
     const startTime = performance.now();
     const requestId = randomUUID();
+    const span = this.tracer.startSpan(`HTTP ${method}`, {
+      kind: SpanKind.CLIENT,
+      attributes: {
+        op: 'http.client',
+        'http.method': method,
+        'http.url': this.redact(url)
+      }
+    });
+    const trace = span.traceContext();
+    const headers = injectTraceContext(options.headers, trace);
 
     try {
       this.info({
@@ -473,56 +1236,87 @@ class UnifiedLogger extends BaseLogger {
         method,
         url,
         requestId,
-        headers: options.headers,
+        traceId: trace.traceId,
+        spanId: trace.spanId,
+        parentSpanId: trace.parentSpanId,
+        headers,
         body: options.body
       });
 
       let response = null;
       if (typeof options.execute === 'function') {
-        response = await options.execute();
+        response = await this.withSpan(span, () => options.execute({
+          headers,
+          traceId: trace.traceId,
+          spanId: trace.spanId
+        }));
       }
 
       const duration = performance.now() - startTime;
+      const statusCode = response?.status || response?.statusCode;
+      span.setAttribute('http.status_code', statusCode);
+      span.setStatus(statusCode >= 400 ? SpanStatusCode.ERROR : SpanStatusCode.OK);
+      this.builtinMetrics.apiCallDuration.observe(
+        { method, host: urlHost(url), status: statusCode },
+        duration / 1000
+      );
+      this.checkBudget('api', { name: `${method} ${url}`, subjects: [url], duration, requestId });
 
       this.info({
         operation: 'api_call_success',
         method,
         url,
         requestId,
+        traceId: trace.traceId,
+        spanId: trace.spanId,
         duration,
-        statusCode: response?.status || response?.statusCode,
+        statusCode,
         headers: response?.headers
       });
 
       return response;
     } catch (err) {
       const duration = performance.now() - startTime;
+      span.recordException(err);
+      span.setStatus(SpanStatusCode.ERROR, err.message);
+      this.builtinMetrics.apiCallDuration.observe(
+        { method, host: urlHost(url), status: err.response?.status || 'error' },
+        duration / 1000
+      );
+      this.checkBudget('api', { name: `${method} ${url}`, subjects: [url], duration, requestId });
 
       this.error({
         operation: 'api_call_failed',
         method,
         url,
         requestId,
+        traceId: trace.traceId,
+        spanId: trace.spanId,
         duration,
         error: err.message,
         stack: err.stack
       });
 
       throw err;
+    } finally {
+      span.end();
     }
   }
 
   /**
    * Create a transaction wrapper
+   * Spans started inside fn (including measurePerformance, dbQuery and
+   * apiCall) become children of the transaction span
    */
   async transaction(name, fn, metadata = {}) {
     const span = this.startSpan(name, metadata);
 
     try {
-      const result = await fn(span);
+      const result = await this.withSpan(span, () => fn(span));
       this.endSpan(span, 'ok');
       return result;
     } catch (err) {
+      span.recordException(err);
       this.endSpan(span, 'internal_error');
       throw err;
     }
@@ -530,13 +1324,14 @@ class UnifiedLogger extends BaseLogger {
 
   /**
    * Start a span for distributed tracing
+   * The span joins the active W3C trace, so Sentry, OTLP and our logs share one trace ID
    */
   startSpan(name, attributes = {}) {
-    const span = sentryStartTransaction({
-      name,
-      op: attributes.op || 'function',
-      tags: {
-        correlationId: this.correlationId,
+    const { correlationId } = this.getContext();
+    const span = this.tracer.startSpan(name, {
+      attributes: {
+        op: attributes.op || 'function',
+        correlationId,
         ...attributes
       }
     });
@@ -546,6 +1341,7 @@ class UnifiedLogger extends BaseLogger {
       spanName: name,
       spanId: span.spanId,
       traceId: span.traceId,
+      parentSpanId: span.parentSpanId,
       ...attributes
     });
 
@@ -564,6 +1360,7 @@ class UnifiedLogger extends BaseLogger {
         operation: 'span_ended',
         spanId: span.spanId,
         traceId: span.traceId,
+        duration: span.duration,
         status
       });
     }
@@ -582,7 +1379,7 @@ class UnifiedLogger extends BaseLogger {
     this.warn(securityData);
 
     // Add to Sentry as breadcrumb
-    addBreadcrumb({
+    this.addBreadcrumb({
       type: 'security',
       category: 'security',
       message: `Security event: ${event}`,
@@ -596,23 +1393,58 @@ class UnifiedLogger extends BaseLogger {
     }
   }
 
+  /**
+   * Route pattern of a request: config.routeResolver, else Express's
+   * req.route; null when unknown
+   */
+  resolveRoute(req) {
+    const resolved = this.routeResolver?.(req);
+    if (resolved) return resolved;
+    return req.route?.path ? `${req.baseUrl || ''}${req.route.path}` : null;
+  }
+
   /**
    * HTTP request logging
    */
   httpRequest(req, res, duration) {
+    const inbound = parseTraceparent(req.headers?.traceparent);
     const logData = {
       operation: 'http_request',
       method: req.method,
       path: req.path || req.url,
       statusCode: res.statusCode,
       duration,
-      correlationId: req.headers?.['x-correlation-id'] || this.correlationId,
+      correlationId: inbound?.traceId
+        || req.headers?.['x-correlation-id']
+        || this.getCorrelationId(),
+      ...(inbound && {
+        traceId: inbound.traceId,
+        parentSpanId: inbound.parentSpanId
+      }),
       userAgent: req.headers?.['user-agent'],
       ip: req.ip || req.connection?.remoteAddress,
       query: req.query,
       params: req.params
     };
 
+    // Label by route pattern (/users/:id) to keep series bounded; without a
+    // known pattern the raw path would create one series per ID or probed URL
+    const route = this.resolveRoute(req);
+    const labels = {
+      method: req.method,
+      path: route || 'unmatched',
+      status: res.statusCode
+    };
+    this.builtinMetrics.httpRequests.inc(labels);
+    if (typeof duration === 'number') {
+      this.builtinMetrics.httpRequestDuration.observe(labels, duration / 1000);
+      this.checkBudget('http', {
+        name: `${req.method} ${route || logData.path}`,
+        subjects: [route, logData.path],
+        duration
+      });
+    }
+
     if (res.statusCode >= 500) {
       this.error(logData);
     } else if (res.statusCode >= 400) {
@@ -649,7 +1481,7 @@ class UnifiedLogger extends BaseLogger {
     });
 
     // Add Sentry breadcrumb
-    addBreadcrumb({
+    this.addBreadcrumb({
       type: 'debug',
       category: 'checkpoint',
       message: `Checkpoint: ${name}`,
@@ -724,11 +1556,13 @@ class UnifiedLogger extends BaseLogger {
     try {
       const errorId = randomUUID();
       const timestamp = Date.now();
+      correlationId = correlationId || this.getCorrelationId();
+      const { suggestions, rules } = this.debugRules.evaluate(error);
 
       const analysis = {
         errorId,
         timestamp: new Date(timestamp).toISOString(),
-        correlationId: correlationId || this.correlationId,
+        correlationId,
         error: {
           name: error.name,
           message: error.message,
@@ -737,28 +1571,48 @@ class UnifiedLogger extends BaseLogger {
         },
         stackTrace: this.parseStackTrace(error.stack),
         relatedEvents: [],
-        suggestions: this.generateDebuggingSuggestions(error),
+        suggestions,
+        rules,
       };
+      analysis.fingerprint = fingerprintError(error, analysis.stackTrace).fingerprint;
 
       // Find related events if correlation ID provided
-      if (correlationId || this.correlationId) {
-        const session = this.sessions.get(correlationId || this.correlationId);
+      if (correlationId) {
+        const session = this.sessions.get(correlationId)
+          || this.sessions.get(this.getContext().sessionId);
         if (session) {
           analysis.relatedEvents = session.events.filter(
             (e) => Math.abs(e.timestamp - timestamp) < 30000, // Within 30 seconds
           );
+          session.errors.push({
+            errorId,
+            fingerprint: analysis.fingerprint,
+            timestamp: analysis.timestamp,
+            name: error.name,
+            message: error.message,
+            code: error.code,
+          });
         }
+
+        // Query patterns seen under this correlation ID outside any session
+        const queryPatterns = this.timeline.filter((e) => e.type === 'query_pattern'
+          && e.correlationId === correlationId
+          && !analysis.relatedEvents.includes(e));
+        analysis.relatedEvents.push(...queryPatterns);
       }
 
-      // Store error context
-      this.errorContext.set(errorId, analysis);
+      const group = this.recordErrorGroup(error, analysis);
+      analysis.occurrences = group.count;
 
       this.info({
         operation: 'error_analyzed',
         errorId,
+        fingerprint: analysis.fingerprint,
+        occurrences: group.count,
         correlationId: analysis.correlationId,
         errorType: error.name,
         suggestions: analysis.suggestions.length,
+        rules: rules.map((rule) => rule.id),
       });
 
       return analysis;
@@ -773,39 +1627,72 @@ class UnifiedLogger extends BaseLogger {
     }
   }
 
+  /**
+   * Add an analysis to its error group, creating the group on first sight
+   */
+  recordErrorGroup(error, analysis) {
+    let group = this.errorContext.get(analysis.fingerprint);
+    if (!group) {
+      const { type, code, message, frames } = fingerprintError(error, analysis.stackTrace);
+      group = {
+        fingerprint: analysis.fingerprint,
+        type,
+        code,
+        message,
+        frames,
+        count: 0,
+        firstSeen: analysis.timestamp,
+        lastSeen: analysis.timestamp,
+        correlationIds: [],
+        sample: analysis,
+      };
+      this.errorContext.set(analysis.fingerprint, group);
+    }
+
+    group.count++;
+    group.lastSeen = analysis.timestamp;
+
+    // Most recent distinct correlation IDs, newest last
+    const { correlationId } = analysis;
+    if (correlationId) {
+      group.correlationIds = group.correlationIds.filter((id) => id !== correlationId);
+      group.correlationIds.push(correlationId);
+      if (group.correlationIds.length > this.maxGroupCorrelationIds) {
+        group.correlationIds.shift();
+      }
+    }
+
+    return group;
+  }
+
+  /**
+   * Get error groups, most frequent first
+   * @param {Object} options - { limit, sortBy: 'count' | 'lastSeen' }
+   */
+  getErrorGroups(options = {}) {
+    const { limit = 10, sortBy = 'count' } = options;
+    const groups = [...this.errorContext.values()];
+
+    groups.sort((a, b) => (sortBy === 'lastSeen'
+      ? b.lastSeen.localeCompare(a.lastSeen)
+      : b.count - a.count || b.lastSeen.localeCompare(a.lastSeen)));
+
+    return groups.slice(0, limit).map((group) => ({
+      ...group,
+      correlationIds: [...group.correlationIds],
+    }));
+  }
+
   /**
    * Parse stack trace
+   * Frames are resolved through source maps and flagged inApp; in-app frames
+   * carry a few lines of surrounding source as context
    */
   parseStackTrace(stack) {
     if (!stack) return [];
 
     try {
-      const lines = stack.split('\n');
-      const frames = [];
-
-      lines.forEach((line) => {
-        const match = line.match(/at\s+(.+?)\s+\((.+?):(\d+):(\d+)\)/);
-        if (match) {
-          frames.push({
-            function: match[1],
-            file: match[2],
-            line: parseInt(match[3]),
-            column: parseInt(match[4]),
-          });
-        } else {
-          const simpleMatch = line.match(/at\s+(.+?):(\d+):(\d+)/);
-          if (simpleMatch) {
-            frames.push({
-              function: 'anonymous',
-              file: simpleMatch[1],
-              line: parseInt(simpleMatch[2]),
-              column: parseInt(simpleMatch[3]),
-            });
-          }
-        }
-      });
-
-      return frames;
+      return this.stackResolver.parse(stack);
     } catch (err) {
       this.error({
         operation: 'parse_stack_failed',
@@ -816,56 +1703,19 @@ class UnifiedLogger extends BaseLogger {
   }
 
   /**
-   * Generate debugging suggestions
+   * Generate ranked debugging suggestions from the debug rule engine
    */
   generateDebuggingSuggestions(error) {
-    const suggestions = [];
-
-    // Database errors
-    if (error.message?.includes('database') || error.message?.includes('sql')) {
-      suggestions.push('Check database connection string in .env');
-      suggestions.push('Verify database server is running');
-      suggestions.push('Check SQL query syntax');
-      suggestions.push('Review database logs for more details');
-    }
-
-    // Network errors
-    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-      suggestions.push('Verify the target service is running');
-      suggestions.push('Check network connectivity');
-      suggestions.push('Review firewall settings');
-      suggestions.push('Check the service URL and port');
-    }
-
-    // Permission errors
-    if (error.code === 'EACCES' || error.code === 'EPERM') {
-      suggestions.push('Check file/directory permissions');
-      suggestions.push('Verify user has necessary privileges');
-      suggestions.push('Review security policies');
-    }
-
-    // Memory errors
-    if (error.message?.includes('heap') || error.message?.includes('memory')) {
-      suggestions.push('Check for memory leaks');
-      suggestions.push('Increase Node.js heap size');
-      suggestions.push('Review large data processing');
-      suggestions.push('Consider implementing pagination');
-    }
-
-    // API errors
-    if (error.response?.status >= 400) {
-      suggestions.push(`API returned ${error.response.status} status`);
-      suggestions.push('Check API authentication credentials');
-      suggestions.push('Review API rate limits');
-      suggestions.push('Verify API endpoint URL');
-    }
-
-    // Generic suggestions
-    suggestions.push('Check Sentry for similar errors');
-    suggestions.push('Search Logflare for related logs');
-    suggestions.push('Review recent code changes');
+    return this.debugRules.evaluate(error).suggestions;
+  }
 
-    return suggestions;
+  /**
+   * Register a debug rule on this logger's rule engine
+   * @param {Object} rule - { id, priority, match, test, suggestions, runbook }
+   */
+  registerDebugRule(rule) {
+    this.debugRules.register(rule);
+    return this;
   }
 
   /**
@@ -881,6 +1731,43 @@ class UnifiedLogger extends BaseLogger {
         errorContextCount: this.errorContext.size,
       };
 
+      if (this.sampler) {
+        state.sampling = this.sampler.getStats();
+      }
+
+      state.metrics = this.metrics.getStats();
+
+      if (this.budgets) {
+        state.performanceBudgets = this.budgets.getSummary();
+      }
+
+      state.queryStats = this.queryStats.getSummary(5);
+
+      if (this.logflare.getStats) {
+        state.logflare = this.logflare.getStats();
+      }
+
+      // Queue and delivery counters of batching transports (Loki, Elasticsearch)
+      const sinks = this.transports.filter((transport) => transport.queue);
+      if (sinks.length > 0) {
+        state.sinks = Object.fromEntries(sinks.map((transport) => [transport.name, transport.getStats()]));
+      }
+
+      if (this.runtimeHealth) {
+        state.runtime = this.runtimeHealth.getSnapshot();
+      }
+
+      state.stores = {
+        sessions: this.sessions.getStats(),
+        performanceProfiles: this.performanceMarks.getStats(),
+        errorGroups: this.errorContext.getStats(),
+      };
+
+      // Top recurring failures, without the sample analysis
+      state.errorGroups = this.getErrorGroups({ limit: 5 }).map(
+        ({ sample, frames, ...group }) => group,
+      );
+
       if (sessionId) {
         const session = this.sessions.get(sessionId);
         if (session) {
@@ -888,8 +1775,10 @@ class UnifiedLogger extends BaseLogger {
             id: session.id,
             startTime: new Date(session.startTime).toISOString(),
             duration: Date.now() - session.startTime,
-            eventsCount: session.events.length,
+            eventsCount: session.eventsCount,
+            eventCounts: session.eventCounts,
             errorsCount: session.errors.length,
+            profilesCount: session.performance.length,
             context: session.context,
           };
         }
@@ -970,6 +1859,19 @@ export function createDebugger(context = {}) {
 const loggerInstance = createLogger({ service: 'claude-debug-infrastructure' });
 const debuggerInstance = loggerInstance; // Same instance, different alias
 
+// Periodic per-statement summaries and runtime health warnings go through the default logger
+getQueryStats().onSummary ??= (summary) => loggerInstance.info({
+  operation: 'query_stats_summary',
+  ...summary,
+});
+getRuntimeHealth().onWarning ??= (warning, snapshot) => loggerInstance.warn({
+  operation: 'runtime_health_warning',
+  ...warning,
+  eventLoop: snapshot.eventLoop,
+  memory: snapshot.memory,
+  threadpool: snapshot.threadpool,
+});
+
 // Export classes and instances
 export { BaseLogger, UnifiedLogger };
 export { loggerInstance as logger, debuggerInstance as debugger };
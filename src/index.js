@@ -9,6 +9,9 @@ import {
 } from "../config/sentry.unified.js";
 import { initializeLogflare, flushLogs } from "../config/logflare.config.js";
 import { createLogger } from "../lib/unified-logger.js";
+import { getTracer } from "../lib/tracer.js";
+import { flushFileTransports } from "../lib/transports.js";
+import { flushSamplers } from "../lib/log-sampling.js";
 import debugModule from "../lib/unified-logger.js"; // Using unified logger for debugging
 import dotenv from "dotenv";
 
@@ -402,10 +405,19 @@ async function shutdown(logger, exitCode = 0) {
       exitCode,
     });
 
-    // Flush all logs
+    // Write pending "repeated N times" summaries, then flush all logs
+    flushSamplers();
     await flushLogs();
     logger.info("Logflare logs flushed");
 
+    // Sync the local log file and finish compressing rotated files
+    await flushFileTransports();
+    logger.info("Log files flushed");
+
+    // Export buffered spans
+    await getTracer().flush();
+    logger.info("Trace spans flushed");
+
     // Flush Sentry events
     await flushSentry(2000);
     logger.info("Sentry events flushed");
@@ -441,6 +453,9 @@ process.on("unhandledRejection", (reason, promise) => {
   shutdown(createLogger({ component: "unhandled" }), 1);
 });
 
+// Heap snapshot / CPU profile on LOG_DIAGNOSTICS_SIGNAL (e.g. SIGUSR2) when configured
+debugModule.installDiagnosticsSignal();
+
 // Handle termination signals
 process.on("SIGTERM", () => {
   console.log("SIGTERM received");
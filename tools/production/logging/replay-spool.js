@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Logflare Spool Replay Script
+ *
+ * Drains the Logflare spool directory (batches written while the endpoint
+ * was unreachable) oldest first. Stops at the first batch that still cannot
+ * be delivered, leaving it and everything newer for the next run.
+ */
+
+import dotenv from "dotenv";
+import { LogflareLogger } from "../../../config/logflare.config.js";
+import { getSpool } from "../../../lib/spool.js";
+
+dotenv.config();
+
+function usage() {
+  console.log(`
+📚 Spool Replay Usage:
+
+  node tools/production/logging/replay-spool.js [--dir <spool-dir>] [--list]
+
+Options:
+  --dir <path>   Spool directory (default: LOGFLARE_SPOOL_DIR or logs/spool)
+  --list         Show the pending segments without sending them
+
+Requires LOGFLARE_API_KEY and LOGFLARE_SOURCE_ID (or LOGFLARE_SOURCE_TOKEN) to replay.
+`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) {
+    usage();
+    return;
+  }
+
+  const dirIndex = args.indexOf("--dir");
+  const spool = getSpool({ dir: dirIndex === -1 ? undefined : args[dirIndex + 1] });
+  const segments = await spool.list();
+  console.log(`📂 Spool: ${spool.dir}`);
+  console.log(`   ${segments.length} segment(s), ${spool.stats.bytes} bytes`);
+
+  if (args.includes("--list")) {
+    segments.forEach((segment) => console.log(`   - ${segment.file} (${segment.bytes} bytes)`));
+    return;
+  }
+  if (segments.length === 0) return;
+
+  const logflare = new LogflareLogger({ spool, replayOnStart: false, flushOnExit: false });
+  if (!logflare.apiKey || !logflare.sourceId) {
+    console.error("❌ LOGFLARE_API_KEY and LOGFLARE_SOURCE_ID are required to replay the spool");
+    process.exit(1);
+  }
+
+  console.log("🔄 Replaying...");
+  const result = await logflare.replaySpool();
+  console.log(`✅ Replayed ${result.replayed} segment(s), ${result.entries} record(s)`);
+  if (result.corrupt > 0) {
+    console.log(`⚠️  Skipped ${result.corrupt} corrupt segment(s) (renamed to *.corrupt)`);
+  }
+  if (result.remaining > 0) {
+    console.error(`💥 ${result.remaining} segment(s) left: ${result.error.message}`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Spool replay failed:", err);
+  process.exit(1);
+});
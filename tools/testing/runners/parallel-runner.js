@@ -12,6 +12,7 @@ import { Worker } from "worker_threads";
 import path from "path";
 import { fileURLToPath } from "url";
 import { testConfig } from "../utils/setup.js";
+import { DEFAULT_BUDGETS } from "../../../lib/performance-budgets.js";
 import {
   createTestAgent,
   createTestOrchestrator,
@@ -225,9 +226,11 @@ The following tests are considered critical and must pass:
 - Core API endpoints test
 
 ## Performance Thresholds
-- Database queries: < 100ms
-- API responses: < 500ms
-- Page loads: < 2s
+These match the logger's default performance budgets (LOG_PERFORMANCE_BUDGETS);
+breaches are logged as slow_operation warnings.
+- Database queries: < ${DEFAULT_BUDGETS.db}ms
+- API responses: < ${DEFAULT_BUDGETS.api}ms
+- Page loads: < ${DEFAULT_BUDGETS.http / 1000}s
 `,
   });
 
@@ -0,0 +1,106 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { RuleEngine } from '../../../lib/debug-rules.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+function createPgError(code, fields = {}) {
+  return Object.assign(new Error(`pg error ${code}`), { name: 'DatabaseError', severity: 'ERROR', code, ...fields });
+}
+
+function createAxiosError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    isAxiosError: true,
+    config: { method: 'get', url: '/x' },
+    response: { status, data: {} },
+  });
+}
+
+const ruleIds = (result) => result.rules.map((rule) => rule.id);
+
+describe('Debug rule engine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RuleEngine();
+  });
+
+  test('matches Postgres SQLSTATE codes with runbook links', () => {
+    const result = engine.evaluate(createPgError('23505', { constraint: 'users_email_key' }));
+
+    expect(ruleIds(result)).toEqual(['pg-unique-violation']);
+    expect(result.suggestions[0]).toEqual({
+      message: 'A row with the same unique key already exists (constraint users_email_key)',
+      rule: 'pg-unique-violation',
+      priority: 90,
+      runbook: 'docs/runbooks/database.md#unique-violation',
+    });
+  });
+
+  test('matches class 08 connection errors', () => {
+    expect(ruleIds(engine.evaluate(createPgError('08006')))).toEqual(['pg-connection']);
+  });
+
+  test('matches PostgREST codes on plain error objects', () => {
+    const result = engine.evaluate({ message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116', details: null, hint: null });
+    expect(ruleIds(result)).toEqual(['postgrest-single-row']);
+  });
+
+  test('matches axios status and Node error codes through the cause chain', () => {
+    const error = new Error('sync failed', { cause: createAxiosError(429) });
+    expect(ruleIds(engine.evaluate(error))).toEqual(['http-rate-limited']);
+
+    const network = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED' });
+    expect(ruleIds(engine.evaluate(network))).toEqual(['network-unreachable']);
+  });
+
+  test('ranks suggestions by rule priority', () => {
+    const error = createPgError('42P01');
+    error.message = 'relation "missing" does not exist';
+    const result = engine.evaluate(error);
+
+    expect(ruleIds(result)).toEqual(['pg-undefined-object', 'database-generic']);
+    const priorities = result.suggestions.map((s) => s.priority);
+    expect(priorities).toEqual([...priorities].sort((a, b) => b - a));
+  });
+
+  test('falls back to generic suggestions only when nothing matches', () => {
+    const result = engine.evaluate(new Error('something odd'));
+    expect(ruleIds(result)).toEqual(['generic']);
+    expect(result.suggestions).toHaveLength(3);
+  });
+
+  test('custom rules match on error class and can replace defaults', () => {
+    class CardDeclinedError extends Error {}
+    engine.register({
+      id: 'card-declined',
+      priority: 95,
+      match: { errorClass: 'CardDeclinedError', message: /insufficient/ },
+      runbook: 'docs/runbooks/billing.md',
+      suggestions: ['Ask the customer for another card'],
+    });
+
+    expect(ruleIds(engine.evaluate(new CardDeclinedError('insufficient funds')))).toEqual(['card-declined']);
+    expect(engine.unregister('card-declined')).toBe(true);
+    expect(() => engine.register({ id: 'bad' })).toThrow('needs match conditions');
+  });
+});
+
+describe('analyzeError rules', () => {
+  test('reports fired rules and ranked suggestions', () => {
+    const transport = new MemoryTransport();
+    const logger = new UnifiedLogger({ transports: [transport], debugRules: new RuleEngine() });
+    logger.registerDebugRule({
+      id: 'team-timeout',
+      match: { code: 'ETIMEDOUT' },
+      suggestions: ['Check the partner VPN'],
+    });
+
+    const error = Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' });
+    const analysis = logger.analyzeError(error);
+
+    expect(analysis.rules.map((rule) => rule.id)).toEqual(['network-unreachable', 'team-timeout']);
+    expect(analysis.suggestions.map((s) => s.message)).toContain('Check the partner VPN');
+    expect(transport.records.find((r) => r.operation === 'error_analyzed').rules)
+      .toEqual(['network-unreachable', 'team-timeout']);
+  });
+});
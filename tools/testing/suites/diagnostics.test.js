@@ -0,0 +1,78 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Diagnostics } from '../../../lib/diagnostics.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate() && Date.now() < deadline) await delay(20);
+  return predicate();
+}
+
+describe('Inspector diagnostics', () => {
+  let dir;
+  let transport;
+  let logger;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-'));
+    transport = new MemoryTransport();
+    logger = new UnifiedLogger({
+      transports: [transport],
+      diagnostics: new Diagnostics({ dir, token: 'secret-token' }),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a CPU profile named with the correlation ID and logs its path', async () => {
+    const artifact = await logger.runWithContext({ correlationId: 'req-123' }, () =>
+      logger.captureCpuProfile({ durationMs: 50, reason: 'test' }));
+
+    expect(path.basename(artifact.path)).toMatch(/^cpu-req-123-.*\.cpuprofile$/);
+    const profile = JSON.parse(fs.readFileSync(artifact.path, 'utf8'));
+    expect(profile.nodes.length).toBeGreaterThan(0);
+
+    const record = transport.records.find((r) => r.operation === 'cpu_profile_written');
+    expect(record).toMatchObject({ path: artifact.path, correlationId: 'req-123', reason: 'test' });
+  });
+
+  test('writes a heap snapshot on the configured signal', async () => {
+    const uninstall = logger.installDiagnosticsSignal('SIGUSR2');
+    try {
+      process.emit('SIGUSR2', 'SIGUSR2');
+      const record = await waitFor(() => transport.records.find((r) => r.operation === 'heap_snapshot_written'), 55000);
+
+      expect(record).toMatchObject({ reason: 'SIGUSR2', type: 'heap_snapshot' });
+      expect(record.path.startsWith(dir)).toBe(true);
+      const head = Buffer.alloc(20);
+      const fd = fs.openSync(record.path, 'r');
+      fs.readSync(fd, head, 0, head.length, 0);
+      fs.closeSync(fd);
+      expect(head.toString()).toContain('"snapshot"');
+    } finally {
+      uninstall();
+    }
+  }, 60000);
+
+  test('refuses a second capture while one is running', async () => {
+    const first = logger.captureCpuProfile({ durationMs: 50 });
+    await expect(logger.captureCpuProfile({ durationMs: 50 })).rejects.toThrow('already in progress');
+    await first;
+    expect(transport.records.some((r) => r.operation === 'diagnostics_capture_failed')).toBe(true);
+  });
+
+  test('authorizes only the configured bearer token', () => {
+    expect(logger.diagnostics.isAuthorized('Bearer secret-token')).toBe(true);
+    expect(logger.diagnostics.isAuthorized('Bearer wrong')).toBe(false);
+    expect(logger.diagnostics.isAuthorized(undefined)).toBe(false);
+    expect(new Diagnostics({ dir, token: null }).isAuthorized('Bearer ')).toBe(false);
+  });
+});
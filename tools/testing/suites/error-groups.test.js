@@ -0,0 +1,91 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+import { normalizeMessage, normalizeFrames, fingerprintError } from '../../../lib/error-fingerprint.js';
+
+function loadUser(id) {
+  return new Error(`User ${id} not found (request 3f2b8c1e-9d4a-4e6b-8f7a-1c2d3e4f5a6b)`);
+}
+
+function saveOrder(id) {
+  return new Error(`User ${id} not found (request 3f2b8c1e-9d4a-4e6b-8f7a-1c2d3e4f5a6b)`);
+}
+
+describe('Error fingerprinting', () => {
+  test('strips variable parts of messages', () => {
+    expect(normalizeMessage('User 42 not found for a@b.com at https://x.io/u/42'))
+      .toBe('User <n> not found for <email> at <url>');
+    expect(normalizeMessage('duplicate key "users_pkey" id=deadbeefcafe'))
+      .toBe('duplicate key <str> id=<hex>');
+  });
+
+  test('normalizes frames without line numbers or internals', () => {
+    const frames = [
+      { function: 'async loadUser', file: `file://${process.cwd()}/lib/users.js?v=3`, line: 10, column: 5 },
+      { function: 'processTicksAndRejections', file: 'node:internal/process/task_queues', line: 95, column: 5 },
+      { function: 'Query.handle', file: '/srv/app/node_modules/pg/lib/query.js', line: 1, column: 1 },
+    ];
+
+    expect(normalizeFrames(frames)).toEqual([
+      'loadUser@/lib/users.js',
+      'Query.handle@node_modules/pg/lib/query.js',
+    ]);
+  });
+
+  test('same throw site and type share a fingerprint; different sites do not', () => {
+    const frames = (fn) => [{ function: fn, file: '/app/x.js', line: 1, column: 1 }];
+
+    const a = fingerprintError(loadUser(1), frames('loadUser'));
+    const b = fingerprintError(loadUser(2), frames('loadUser'));
+    const c = fingerprintError(saveOrder(1), frames('saveOrder'));
+    const d = fingerprintError(new TypeError(loadUser(1).message), frames('loadUser'));
+
+    expect(a.fingerprint).toBe(b.fingerprint);
+    expect(a.fingerprint).not.toBe(c.fingerprint);
+    expect(a.fingerprint).not.toBe(d.fingerprint);
+  });
+});
+
+describe('Error groups', () => {
+  let logger;
+
+  beforeEach(() => {
+    logger = new UnifiedLogger({ transports: [new MemoryTransport()] });
+  });
+
+  test('groups repeats with counts, timestamps and correlation IDs', () => {
+    [1, 2, 3].forEach((id) => logger.analyzeError(loadUser(id), `req-${id}`));
+    logger.analyzeError(saveOrder(1), 'req-4');
+
+    const [top, second] = logger.getErrorGroups();
+    expect(logger.errorContext.size).toBe(2);
+    expect(top).toMatchObject({
+      type: 'Error',
+      message: 'User <n> not found (request <uuid>)',
+      count: 3,
+      correlationIds: ['req-1', 'req-2', 'req-3'],
+    });
+    expect(top.sample.correlationId).toBe('req-1');
+    expect(top.firstSeen <= top.lastSeen).toBe(true);
+    expect(second.count).toBe(1);
+  });
+
+  test('analysis reports its fingerprint and occurrence count', () => {
+    const first = logger.analyzeError(loadUser(1), 'req-1');
+    const second = logger.analyzeError(loadUser(2), 'req-1');
+
+    expect(second.fingerprint).toBe(first.fingerprint);
+    expect(second.occurrences).toBe(2);
+    expect(logger.getErrorGroups()[0].correlationIds).toEqual(['req-1']);
+  });
+
+  test('dumpState lists the top recurring failures', () => {
+    logger.analyzeError(loadUser(1), 'req-1');
+    const state = logger.dumpState();
+
+    expect(state.errorGroups).toHaveLength(1);
+    expect(state.errorGroups[0]).toMatchObject({ count: 1 });
+    expect(state.errorGroups[0].sample).toBeUndefined();
+    expect(state.stores.errorGroups.size).toBe(1);
+  });
+});
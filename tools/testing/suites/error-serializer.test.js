@@ -0,0 +1,140 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../../../config/sentry.unified.js', () => ({
+  captureException: jest.fn(),
+  captureMessage: jest.fn(),
+  addBreadcrumb: jest.fn(),
+  recordSpanTree: jest.fn(),
+  startTransaction: jest.fn(),
+}));
+
+const sentry = await import('../../../config/sentry.unified.js');
+const { serializeError, isErrorLike } = await import('../../../lib/error-serializer.js');
+const { UnifiedLogger } = await import('../../../lib/unified-logger.js');
+const { MemoryTransport } = await import('../../../lib/transports.js');
+
+/**
+ * Shape of the DatabaseError node-postgres raises for a unique violation
+ */
+function createPgError() {
+  const error = new Error('duplicate key value violates unique constraint "users_email_key"');
+  Object.assign(error, {
+    name: 'DatabaseError',
+    length: 210,
+    severity: 'ERROR',
+    code: '23505',
+    detail: 'Key (email)=(a@example.com) already exists.',
+    schema: 'public',
+    table: 'users',
+    constraint: 'users_email_key',
+    routine: '_bt_check_unique',
+  });
+  return error;
+}
+
+describe('Error serialization', () => {
+  test('walks cause chains', () => {
+    const root = new Error('connection refused');
+    const error = new Error('query failed', { cause: new Error('pool exhausted', { cause: root }) });
+
+    const serialized = serializeError(error);
+    expect(serialized.message).toBe('query failed');
+    expect(serialized.cause.message).toBe('pool exhausted');
+    expect(serialized.cause.cause).toMatchObject({ name: 'Error', message: 'connection refused' });
+  });
+
+  test('limits cause depth and survives cycles', () => {
+    const a = new Error('a');
+    const b = new Error('b', { cause: a });
+    a.cause = b;
+
+    expect(serializeError(a).cause.cause).toEqual({ message: '[Circular]' });
+    expect(serializeError(b, { maxDepth: 0 }).cause).toEqual({ message: '[Max depth reached]' });
+  });
+
+  test('serializes AggregateError members', () => {
+    const error = new AggregateError([new Error('first'), new TypeError('second')], 'all failed');
+    const serialized = serializeError(error, { maxErrors: 1 });
+
+    expect(serialized.name).toBe('AggregateError');
+    expect(serialized.errors).toEqual([expect.objectContaining({ message: 'first' })]);
+    expect(serialized.errorsTruncated).toBe(1);
+  });
+
+  test('keeps pg error fields', () => {
+    const serialized = serializeError(createPgError());
+
+    expect(serialized.code).toBe('23505');
+    expect(serialized.pg).toEqual({
+      severity: 'ERROR',
+      detail: 'Key (email)=(a@example.com) already exists.',
+      schema: 'public',
+      table: 'users',
+      constraint: 'users_email_key',
+      routine: '_bt_check_unique',
+    });
+    expect(serialized.properties).toBeUndefined();
+  });
+
+  test('keeps PostgREST error fields from plain objects', () => {
+    const postgrestError = {
+      message: 'relation "public.missing" does not exist',
+      details: null,
+      hint: 'Check the table name',
+      code: '42P01',
+    };
+
+    expect(isErrorLike(postgrestError)).toBe(true);
+    expect(serializeError(postgrestError)).toMatchObject({
+      message: 'relation "public.missing" does not exist',
+      code: '42P01',
+      postgrest: { hint: 'Check the table name' },
+    });
+  });
+
+  test('keeps axios request and response without config headers', () => {
+    const error = new Error('Request failed with status code 503');
+    Object.assign(error, {
+      isAxiosError: true,
+      code: 'ERR_BAD_RESPONSE',
+      config: { method: 'get', url: '/users', headers: { Authorization: 'Bearer secret' } },
+      response: { status: 503, statusText: 'Service Unavailable', data: { retryAfter: 30 } },
+    });
+
+    const serialized = serializeError(error);
+    expect(serialized.axios).toEqual({
+      request: { method: 'GET', url: '/users' },
+      response: { status: 503, statusText: 'Service Unavailable', data: { retryAfter: 30 } },
+    });
+    expect(JSON.stringify(serialized)).not.toContain('Bearer secret');
+  });
+
+  test('copies custom properties', () => {
+    const error = Object.assign(new Error('rate limited'), { retryable: true, handler: () => {} });
+    expect(serializeError(error).properties).toEqual({ retryable: true });
+  });
+});
+
+describe('Logger error shape', () => {
+  let transport;
+  let logger;
+
+  beforeEach(() => {
+    sentry.captureException.mockClear();
+    transport = new MemoryTransport();
+    logger = new UnifiedLogger({ correlationId: 'c1', transports: [transport] });
+  });
+
+  test('Logflare and Sentry receive the same normalized error', () => {
+    const error = new Error('insert failed', { cause: createPgError() });
+    logger.error(error, { operation: 'create_user' });
+
+    const { errorDetails } = transport.records[0];
+    expect(errorDetails.cause.pg.constraint).toBe('users_email_key');
+
+    const [captured, context] = sentry.captureException.mock.calls[0];
+    expect(captured).toBe(error);
+    expect(context.contexts.errorDetails).toEqual(errorDetails);
+    expect(context.extra).toEqual({ operation: 'create_user' });
+  });
+});
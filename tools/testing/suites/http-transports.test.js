@@ -0,0 +1,233 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import zlib from 'zlib';
+import { LokiTransport, ElasticsearchTransport, parseLabels } from '../../../lib/http-transports.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+/**
+ * Local HTTP stub; `handler(request)` returns { status, body } per request
+ */
+async function startStub(handler = () => ({ status: 204 })) {
+  const stub = { requests: [], handler };
+  stub.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const body = (req.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(raw) : raw).toString();
+      const request = { url: req.url, headers: req.headers, body };
+      stub.requests.push(request);
+
+      const { status, body: responseBody = '' } = stub.handler(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody));
+    });
+  });
+  await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+  return stub;
+}
+
+const queueOptions = { flushAt: 100, flushIntervalMs: 0, flushOnExit: false };
+
+describe('Loki transport', () => {
+  let stub;
+  let fallback;
+  let loki;
+
+  beforeEach(async () => {
+    stub = await startStub();
+    fallback = jest.fn();
+    loki = new LokiTransport({
+      url: stub.url,
+      labels: 'app=api',
+      environment: 'test',
+      tenantId: 'team-a',
+      delivery: { retryBaseMs: 1, retryMaxMs: 5, maxRetries: 2 },
+      fallback,
+      ...queueOptions,
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  test('pushes one stream per label set with nanosecond timestamps', async () => {
+    loki.log('info', { level: 'info', component: 'billing', operation: 'a', timestamp: '2026-10-18T10:00:00.000Z' });
+    loki.log('error', { level: 'error', component: 'billing', operation: 'b', timestamp: '2026-10-18T10:00:01.000Z' });
+    loki.log('info', { level: 'info', component: 'billing', operation: 'c', timestamp: '2026-10-18T10:00:02.000Z' });
+    loki.log('info', { level: 'info', operation: 'd', timestamp: '2026-10-18T10:00:03.000Z' });
+
+    expect(await loki.queue.flush()).toEqual({ delivered: 4, failed: 0 });
+    expect(stub.requests).toHaveLength(1);
+    const [request] = stub.requests;
+    expect(request.url).toBe('/loki/api/v1/push');
+    expect(request.headers['x-scope-orgid']).toBe('team-a');
+    expect(request.headers['content-encoding']).toBe('gzip');
+
+    const { streams } = JSON.parse(request.body);
+    expect(streams.map((stream) => stream.stream)).toEqual([
+      { app: 'api', level: 'info', environment: 'test', component: 'billing' },
+      { app: 'api', level: 'error', environment: 'test', component: 'billing' },
+      { app: 'api', level: 'info', environment: 'test' },
+    ]);
+    expect(streams[0].values.map(([ns, line]) => [ns, JSON.parse(line).operation])).toEqual([
+      ['1792317600000000000', 'a'],
+      ['1792317602000000000', 'c'],
+    ]);
+  });
+
+  test('retries 5xx responses and falls back once retries are exhausted', async () => {
+    const statuses = [503, 200];
+    stub.handler = () => ({ status: statuses.shift() || 500 });
+    loki.log('warn', { level: 'warn', operation: 'first' });
+    await loki.flush();
+    expect(stub.requests).toHaveLength(2);
+    expect(loki.getStats()).toMatchObject({ delivered: 1, retries: 1 });
+
+    loki.log('warn', { level: 'warn', operation: 'second' });
+    await loki.flush();
+    expect(fallback).toHaveBeenCalledWith(
+      [expect.objectContaining({ operation: 'second' })],
+      expect.objectContaining({ status: 500, attempts: 3 }),
+    );
+    expect(loki.getStats().failed).toBe(1);
+  });
+
+  test('sends only unserializable records to the fallback', async () => {
+    const circular = { level: 'info', operation: 'circular' };
+    circular.self = circular;
+    loki.log('info', { level: 'info', operation: 'ok' });
+    loki.log('info', { level: 'info', operation: 'bigint', id: 1n });
+    loki.log('info', circular);
+
+    expect(await loki.queue.flush()).toEqual({ delivered: 1, failed: 2 });
+    const { streams } = JSON.parse(stub.requests[0].body);
+    expect(streams[0].values.map(([, line]) => JSON.parse(line).operation)).toEqual(['ok']);
+    expect(fallback).toHaveBeenCalledWith(
+      [expect.objectContaining({ operation: 'bigint' }), circular],
+      expect.objectContaining({ message: expect.stringContaining('could not be serialized') }),
+    );
+  });
+
+  test('applies the overflow policy while a flush is in flight', async () => {
+    loki.queue.maxBuffer = 2;
+    loki.log('info', { level: 'info', operation: 'in_flight' });
+    loki.queue.flush();
+    ['a', 'b', 'c'].forEach((operation) => loki.log('info', { level: 'info', operation }));
+    await loki.flush();
+
+    const lines = stub.requests.flatMap((request) => JSON.parse(request.body).streams
+      .flatMap((stream) => stream.values.map(([, line]) => JSON.parse(line).operation)));
+    expect(lines).toEqual(['in_flight', 'b', 'c']);
+    expect(loki.getStats().dropped).toBe(1);
+  });
+
+  test('UnifiedLogger.drain() waits for records the block policy holds back', async () => {
+    loki.queue.maxBuffer = 1;
+    loki.queue.overflow = 'block';
+    const logger = new UnifiedLogger({ transports: [loki] });
+    const operations = ['a', 'b', 'c', 'd'];
+    for (const operation of operations) {
+      logger.info({ operation });
+      loki.queue.flush();
+      await logger.drain();
+    }
+    await logger.flushTransports();
+
+    const lines = stub.requests.flatMap((request) => JSON.parse(request.body).streams
+      .flatMap((stream) => stream.values.map(([, line]) => JSON.parse(line).operation)));
+    expect(lines).toEqual(operations);
+    expect(loki.getStats()).toMatchObject({ dropped: 0, blocked: 0 });
+  });
+
+  test('parseLabels reads key=value lists', () => {
+    expect(parseLabels('app=api, region=eu,broken')).toEqual({ app: 'api', region: 'eu' });
+  });
+});
+
+describe('Elasticsearch transport', () => {
+  let stub;
+  let fallback;
+  let elasticsearch;
+
+  const bulkItems = (request) => request.body.trim().split('\n')
+    .reduce((items, line, index, lines) => (index % 2 === 0
+      ? [...items, { action: JSON.parse(line), doc: JSON.parse(lines[index + 1]) }]
+      : items), []);
+
+  beforeEach(async () => {
+    stub = await startStub((request) => ({
+      status: 200,
+      body: { errors: false, items: bulkItems(request).map(() => ({ index: { status: 201 } })) },
+    }));
+    fallback = jest.fn();
+    elasticsearch = new ElasticsearchTransport({
+      url: stub.url,
+      indexPrefix: 'app-logs',
+      apiKey: 'es-key',
+      delivery: { retryBaseMs: 1, retryMaxMs: 5, maxRetries: 2, gzip: false },
+      fallback,
+      ...queueOptions,
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  test('posts NDJSON to _bulk with one index per day', async () => {
+    elasticsearch.log('info', { level: 'info', operation: 'late', timestamp: '2026-10-17T23:59:59.000Z' });
+    elasticsearch.log('info', { level: 'info', operation: 'early', timestamp: '2026-10-18T00:00:01.000Z' });
+    expect(await elasticsearch.queue.flush()).toEqual({ delivered: 2, failed: 0 });
+
+    const [request] = stub.requests;
+    expect(request.url).toBe('/_bulk');
+    expect(request.headers['content-type']).toBe('application/x-ndjson');
+    expect(request.headers.authorization).toBe('ApiKey es-key');
+    expect(request.body.endsWith('\n')).toBe(true);
+    expect(bulkItems(request)).toEqual([
+      { action: { index: { _index: 'app-logs-2026.10.17' } }, doc: expect.objectContaining({ '@timestamp': '2026-10-17T23:59:59.000Z', operation: 'late' }) },
+      { action: { index: { _index: 'app-logs-2026.10.18' } }, doc: expect.objectContaining({ operation: 'early' }) },
+    ]);
+  });
+
+  test('resends items rejected with 429 and sends mapping errors to the fallback', async () => {
+    let call = 0;
+    stub.handler = (request) => {
+      call++;
+      const items = bulkItems(request);
+      if (call > 1) return { status: 200, body: { errors: false, items: items.map(() => ({ index: { status: 201 } })) } };
+      return {
+        status: 200,
+        body: {
+          errors: true,
+          items: [
+            { index: { status: 201 } },
+            { index: { status: 429, error: { type: 'es_rejected_execution_exception', reason: 'queue full' } } },
+            { index: { status: 400, error: { type: 'mapper_parsing_exception', reason: 'bad field' } } },
+          ],
+        },
+      };
+    };
+    ['ok', 'busy', 'bad'].forEach((operation) => elasticsearch.log('info', { level: 'info', operation }));
+
+    expect(await elasticsearch.queue.flush()).toEqual({ delivered: 2, failed: 1 });
+    expect(stub.requests).toHaveLength(2);
+    expect(bulkItems(stub.requests[1]).map((item) => item.doc.operation)).toEqual(['busy']);
+    expect(fallback).toHaveBeenCalledWith(
+      [expect.objectContaining({ operation: 'bad' })],
+      expect.objectContaining({ status: 400, message: expect.stringContaining('bad field') }),
+    );
+  });
+
+  test('dumpState reports sink counters', async () => {
+    const logger = new UnifiedLogger({ transports: [new MemoryTransport(), elasticsearch] });
+    logger.info({ operation: 'indexed' });
+    await elasticsearch.flush();
+
+    expect(logger.dumpState().sinks.elasticsearch).toMatchObject({ delivered: 1, failed: 0, buffered: 0 });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { getContext } from '../../../lib/log-context.js';
+
+/**
+ * Minimal Logflare stand-in that records every entry
+ */
+function createRecordingLogflare() {
+  const records = [];
+  const sink = { records };
+  ['debug', 'info', 'warn', 'error', 'fatal'].forEach((level) => {
+    sink[level] = (data) => records.push({ level, ...data });
+  });
+  return sink;
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Async correlation context', () => {
+  let logflare;
+  let logger;
+
+  beforeEach(() => {
+    logflare = createRecordingLogflare();
+    logger = new UnifiedLogger({
+      correlationId: 'instance-id',
+      context: { service: 'test' },
+      logflare,
+      asyncContext: true,
+    });
+  });
+
+  test('concurrent requests keep their own correlation IDs', async () => {
+    await Promise.all(['a', 'b'].map((id, i) =>
+      logger.runWithContext({ correlationId: `req-${id}` }, async () => {
+        await delay(10 - i * 5);
+        logger.info({ operation: `handler_${id}` });
+      })
+    ));
+
+    const byOperation = Object.fromEntries(
+      logflare.records.map((r) => [r.operation, r.correlationId]),
+    );
+    expect(byOperation).toEqual({ handler_a: 'req-a', handler_b: 'req-b' });
+  });
+
+  test('falls back to the instance correlation ID outside a context', () => {
+    logger.info('outside');
+    expect(getContext()).toBeNull();
+    expect(logflare.records[0].correlationId).toBe('instance-id');
+  });
+
+  test('nested contexts inherit and merge bindings', () => {
+    logger.runWithContext({ correlationId: 'outer', bindings: { tenant: 't1' } }, () => {
+      logger.runWithContext({ sessionId: 's1', bindings: { route: '/x' } }, () => {
+        expect(logger.getContext()).toEqual({
+          correlationId: 'outer',
+          sessionId: 's1',
+          trace: null,
+          bindings: { tenant: 't1', route: '/x', service: 'test' },
+        });
+        logger.info('nested');
+      });
+    });
+
+    expect(logflare.records[0]).toMatchObject({
+      correlationId: 'outer',
+      sessionId: 's1',
+      tenant: 't1',
+      route: '/x',
+    });
+  });
+
+  test('timeline events use the active session', () => {
+    logger.startSession('session-1');
+    logger.runWithContext({ correlationId: 'c1', sessionId: 'session-1' }, () => {
+      logger.addTimelineEvent(null, 'step');
+    });
+
+    expect(logger.sessions.get('session-1').events).toHaveLength(1);
+  });
+
+  test('async-context mode can be disabled', () => {
+    const plain = new UnifiedLogger({ correlationId: 'fixed', logflare, asyncContext: false });
+    plain.runWithContext({ correlationId: 'ignored' }, () => plain.info('msg'));
+    expect(logflare.records[0].correlationId).toBe('fixed');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { parseLevelOverrides } from '../../../lib/log-levels.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+describe('Log level thresholds', () => {
+  let memory;
+  let logger;
+
+  beforeEach(() => {
+    memory = new MemoryTransport();
+    logger = new UnifiedLogger({
+      transports: [memory],
+      level: 'info',
+      levelOverrides: 'sourcegraph-client=warn,api=debug',
+    });
+  });
+
+  test('parses override specs', () => {
+    expect(parseLevelOverrides('a=warn, b = DEBUG,bad=nope')).toEqual({ a: 'warn', b: 'debug' });
+  });
+
+  test('drops records below the minimum level', () => {
+    logger.debug('hidden');
+    logger.info('shown');
+    expect(memory.records.map((r) => r.message)).toEqual(['shown']);
+  });
+
+  test('applies per-component overrides', () => {
+    const api = logger.child({ component: 'api' });
+    const sourcegraph = logger.child({ component: 'sourcegraph-client' });
+
+    api.debug('api debug');
+    sourcegraph.info('sourcegraph info');
+    sourcegraph.warn('sourcegraph warn');
+
+    expect(memory.records.map((r) => r.message)).toEqual(['api debug', 'sourcegraph warn']);
+  });
+
+  test('module overrides win over component overrides', () => {
+    logger.setLevel('error', 'payments');
+    const child = logger.child({ component: 'api', module: 'payments' });
+    expect(child.getLevel()).toBe('error');
+  });
+
+  test('children follow runtime setLevel() changes', () => {
+    const child = logger.child({ component: 'worker' });
+    expect(child.isLevelEnabled('debug')).toBe(false);
+
+    logger.setLevel('debug');
+    expect(child.isLevelEnabled('debug')).toBe(true);
+
+    child.setLevel('error');
+    expect(logger.isLevelEnabled('warn')).toBe(false);
+  });
+
+  test('rejects unknown levels', () => {
+    expect(() => logger.setLevel('verbose')).toThrow('Unknown log level');
+  });
+});
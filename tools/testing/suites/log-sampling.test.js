@@ -0,0 +1,118 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+
+jest.unstable_mockModule('../../../config/sentry.unified.js', () => ({
+  captureException: jest.fn(),
+  captureMessage: jest.fn(),
+  addBreadcrumb: jest.fn(),
+  recordSpanTree: jest.fn(),
+  startTransaction: jest.fn(),
+}));
+
+const sentry = await import('../../../config/sentry.unified.js');
+const { UnifiedLogger } = await import('../../../lib/unified-logger.js');
+const { LogSampler, flushSamplers } = await import('../../../lib/log-sampling.js');
+const { MemoryTransport } = await import('../../../lib/transports.js');
+
+describe('LogSampler', () => {
+  test('samples by operation glob and lets errors through', () => {
+    const sampler = new LogSampler({ sampleRates: 'perf_*=0.5', random: () => 0.9 });
+
+    expect(sampler.admit('debug', { operation: 'perf_load_start' })).toBe(false);
+    expect(sampler.admit('debug', { operation: 'timeline_event' })).toBe(true);
+    expect(sampler.admit('error', { operation: 'perf_load_failed' })).toBe(true);
+    expect(sampler.getStats().sampledOut).toBe(1);
+  });
+
+  test('applies token buckets per level and operation', () => {
+    const sampler = new LogSampler({
+      levelLimits: { debug: 2 },
+      operationLimits: { timeline_event: { rate: 1, burst: 1 } },
+    });
+
+    const admitted = [1, 2, 3].map(() => sampler.admit('debug', { operation: 'x' }));
+    expect(admitted).toEqual([true, true, false]);
+    expect(sampler.admit('info', { operation: 'timeline_event' })).toBe(true);
+    expect(sampler.admit('info', { operation: 'timeline_event' })).toBe(false);
+  });
+});
+
+describe('Duplicate suppression', () => {
+  let memory;
+  let logger;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    memory = new MemoryTransport();
+    logger = new UnifiedLogger({ transports: [memory], sampling: { dedupeWindowMs: 1000 } });
+    sentry.captureException.mockClear();
+  });
+
+  afterEach(() => {
+    logger.sampler.flush();
+    jest.useRealTimers();
+  });
+
+  test('collapses identical messages into a summary record', () => {
+    for (let i = 0; i < 5; i++) {
+      logger.warn('dependency unavailable');
+    }
+    expect(memory.records).toHaveLength(1);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(memory.records).toHaveLength(2);
+    expect(memory.records[1]).toMatchObject({
+      level: 'warn',
+      operation: 'log_repeated',
+      message: 'dependency unavailable (repeated 4 times)',
+      repeatedCount: 4,
+    });
+  });
+
+  test('captures a repeated exception in Sentry only once per window', () => {
+    for (let i = 0; i < 3; i++) {
+      logger.error(new Error('ECONNREFUSED'));
+    }
+    expect(sentry.captureException).toHaveBeenCalledTimes(1);
+    expect(logger.dumpState().sampling).toMatchObject({ suppressed: 2 });
+  });
+
+  test('forgets messages that never repeat once their window closes', () => {
+    for (let i = 0; i < 50; i++) {
+      logger.info(`unique ${i}`);
+    }
+    expect(logger.sampler.getStats().pendingDuplicates).toBe(50);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(logger.sampler.getStats().pendingDuplicates).toBe(0);
+    expect(logger.sampler.sweepTimer).toBeNull();
+  });
+
+  test('caps tracked messages by closing the oldest window early', () => {
+    logger.sampler.maxDuplicates = 2;
+    logger.warn('first');
+    logger.warn('first');
+    logger.warn('second');
+    logger.warn('third');
+
+    expect(logger.sampler.getStats().pendingDuplicates).toBe(2);
+    expect(memory.records.map((r) => r.message)).toEqual(['first', 'second', 'first (repeated 1 times)', 'third']);
+  });
+
+  test('flushSamplers writes pending summaries, e.g. at shutdown', () => {
+    logger.warn('dependency unavailable');
+    logger.warn('dependency unavailable');
+
+    flushSamplers();
+
+    expect(memory.records[1]).toMatchObject({ operation: 'log_repeated', repeatedCount: 1 });
+    expect(logger.sampler.sweepTimer).toBeNull();
+  });
+
+  test('records without a message are never collapsed', () => {
+    logger.debug({ operation: 'perf_x_complete', duration: 1 });
+    logger.debug({ operation: 'perf_x_complete', duration: 2 });
+    expect(memory.records.filter((r) => r.operation === 'perf_x_complete')).toHaveLength(2);
+  });
+});
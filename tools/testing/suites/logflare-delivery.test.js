@@ -0,0 +1,436 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import zlib from 'zlib';
+import { LogflareLogger, flushLogs, parseRoutes } from '../../../config/logflare.config.js';
+import { splitBatches, backoffDelay, flushQueues, DeliveryQueue } from '../../../lib/http-delivery.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport, LogflareTransport } from '../../../lib/transports.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Local Logflare stub; `responses` is consumed one status per request, then 200,
+ * each sent after `delayMs`
+ */
+function createStub() {
+  const stub = { requests: [], responses: [], delayMs: 0 };
+  stub.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const body = req.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(raw) : raw;
+      stub.requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body.toString()) });
+
+      const status = stub.responses.shift() || 200;
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 429 && { 'Retry-After': '0' }) });
+        res.end(status === 200 ? '{"message":"Logged!"}' : '{"error":"nope"}');
+      }, stub.delayMs);
+    });
+  });
+  return stub;
+}
+
+describe('Logflare delivery', () => {
+  let stub;
+  let fallback;
+  let logflare;
+
+  beforeEach(async () => {
+    stub = createStub();
+    await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+    fallback = jest.fn();
+    logflare = new LogflareLogger({
+      apiKey: 'test-key',
+      sourceId: 'source-uuid',
+      endpoint: `http://127.0.0.1:${stub.server.address().port}/logs`,
+      delivery: { retryBaseMs: 1, retryMaxMs: 5, maxRetries: 3 },
+      fallback,
+      flushOnExit: false,
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  test('posts gzipped batches with the source and API key', async () => {
+    logflare.info({ operation: 'user_created', message: 'created', userId: 7 });
+    logflare.warn({ operation: 'slow_query' });
+    const result = await logflare.flush();
+
+    expect(result).toEqual({ delivered: 2, failed: 0 });
+    expect(stub.requests).toHaveLength(1);
+    const [request] = stub.requests;
+    expect(request.url).toBe('/logs?source=source-uuid');
+    expect(request.headers['x-api-key']).toBe('test-key');
+    expect(request.headers['content-encoding']).toBe('gzip');
+    expect(request.body.batch).toEqual([
+      expect.objectContaining({ message: 'created', metadata: expect.objectContaining({ level: 'info', userId: 7 }) }),
+      expect.objectContaining({ message: 'slow_query', metadata: expect.objectContaining({ level: 'warn' }) }),
+    ]);
+    expect(logflare.queue.buffer).toHaveLength(0);
+  });
+
+  test('retries 429 and 5xx responses', async () => {
+    stub.responses = [503, 429];
+    logflare.error({ operation: 'boom' });
+    const result = await logflare.flush();
+
+    expect(result.delivered).toBe(1);
+    expect(stub.requests).toHaveLength(3);
+    expect(logflare.getStats()).toMatchObject({ delivered: 1, retries: 2, failed: 0 });
+    expect(fallback).not.toHaveBeenCalled();
+  });
+
+  test('hands undeliverable batches to the fallback sink', async () => {
+    stub.responses = [400];
+    logflare.info({ operation: 'rejected' });
+    const result = await logflare.flush();
+
+    expect(result).toEqual({ delivered: 0, failed: 1 });
+    expect(stub.requests).toHaveLength(1);
+    expect(fallback).toHaveBeenCalledWith(
+      [expect.objectContaining({ message: 'rejected' })],
+      expect.objectContaining({ name: 'DeliveryError', status: 400, retryable: false }),
+    );
+  });
+
+  test('gives up after maxRetries', async () => {
+    stub.responses = [500, 500, 500, 500];
+    logflare.info({ operation: 'down' });
+    await logflare.flush();
+
+    expect(stub.requests).toHaveLength(4);
+    expect(fallback.mock.calls[0][1]).toMatchObject({ status: 500, attempts: 4 });
+  });
+
+  test('splits batches at the size limits, in order', async () => {
+    logflare.delivery.maxBatchSize = 2;
+    ['a', 'b', 'c'].forEach((operation) => logflare.queue.buffer.push({ level: 'info', operation }));
+    await logflare.flush();
+
+    expect(stub.requests.map((r) => r.body.batch.map((event) => event.message))).toEqual([['a', 'b'], ['c']]);
+  });
+});
+
+describe('Logflare buffering', () => {
+  let stub;
+  let endpoint;
+
+  const createLogflare = (config = {}) => new LogflareLogger({
+    apiKey: 'test-key',
+    sourceId: 'source-uuid',
+    endpoint,
+    delivery: { retryBaseMs: 1, retryMaxMs: 5, gzip: false },
+    fallback: jest.fn(),
+    flushIntervalMs: 0,
+    flushOnExit: false,
+    ...config,
+  });
+
+  const sentMessages = () => stub.requests.flatMap((r) => r.body.batch.map((event) => event.message));
+
+  beforeEach(async () => {
+    stub = createStub();
+    await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${stub.server.address().port}/logs`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  test('flushes a quiet buffer on the interval timer', async () => {
+    const logflare = createLogflare({ flushIntervalMs: 20 });
+    logflare.info({ operation: 'lonely' });
+    expect(logflare.queue.timer.hasRef()).toBe(false);
+
+    for (let i = 0; i < 50 && stub.requests.length === 0; i++) await delay(20);
+    await logflare.queue.flushing;
+    expect(sentMessages()).toEqual(['lonely']);
+    expect(logflare.queue.timer).toBeNull();
+  });
+
+  test('flushes immediately on fatal records', async () => {
+    const logflare = createLogflare();
+    logflare.fatal({ operation: 'process_crashing' });
+    await logflare.queue.flushing;
+    expect(sentMessages()).toEqual(['process_crashing']);
+  });
+
+  // The buffer only overflows while a slow flush is in flight
+  const startSlowFlush = (logflare) => {
+    stub.delayMs = 50;
+    logflare.info({ operation: 'in_flight' });
+    logflare.flush();
+  };
+
+  test('drop-oldest discards the oldest records and counts them', async () => {
+    const logflare = createLogflare({ maxBuffer: 3, flushAt: 100 });
+    startSlowFlush(logflare);
+    ['a', 'b', 'c', 'd', 'e'].forEach((operation) => logflare.info({ operation }));
+    await logflare.flush();
+
+    expect(sentMessages()).toEqual(['in_flight', 'c', 'd', 'e']);
+    expect(logflare.getStats()).toMatchObject({ dropped: 2, delivered: 4, buffered: 0 });
+  });
+
+  test('drop-debug-first discards debug records before anything else', async () => {
+    const logflare = createLogflare({ maxBuffer: 3, flushAt: 100, overflow: 'drop-debug-first' });
+    startSlowFlush(logflare);
+    logflare.info({ operation: 'a' });
+    logflare.debug({ operation: 'noise' });
+    logflare.warn({ operation: 'b' });
+    logflare.error({ operation: 'c' });
+    logflare.error({ operation: 'd' });
+    await logflare.flush();
+
+    expect(sentMessages()).toEqual(['in_flight', 'b', 'c', 'd']);
+    expect(logflare.getStats().dropped).toBe(2);
+  });
+
+  test('starts a flush when the buffer fills instead of dropping', async () => {
+    const logflare = createLogflare({ maxBuffer: 2, flushAt: 100 });
+    ['a', 'b', 'c'].forEach((operation) => logflare.info({ operation }));
+    await logflare.flush();
+
+    expect(sentMessages()).toEqual(['a', 'b', 'c']);
+    expect(logflare.getStats().dropped).toBe(0);
+  });
+
+  test('block keeps every record and resolves once a flush made room', async () => {
+    const logflare = createLogflare({ maxBuffer: 2, flushAt: 100, overflow: 'block' });
+    startSlowFlush(logflare);
+    logflare.info({ operation: 'a' });
+    logflare.info({ operation: 'b' });
+    const admitted = logflare.info({ operation: 'c' });
+    logflare.info({ operation: 'd' });
+
+    expect(admitted).toBeInstanceOf(Promise);
+    expect(logflare.getStats()).toMatchObject({ buffered: 2, blocked: 2 });
+    await admitted;
+    await logflare.flush();
+
+    expect(sentMessages()).toEqual(['in_flight', 'a', 'b', 'c', 'd']);
+    expect(logflare.getStats()).toMatchObject({ dropped: 0, delivered: 5 });
+  });
+
+  test('block holds at most maxBuffer records and drops the rest', async () => {
+    const logflare = createLogflare({ maxBuffer: 2, flushAt: 100, overflow: 'block' });
+    startSlowFlush(logflare);
+    ['a', 'b', 'c', 'd', 'e'].forEach((operation) => logflare.info({ operation }));
+
+    expect(logflare.info({ operation: 'f' })).toBeUndefined();
+    expect(logflare.getStats()).toMatchObject({ buffered: 2, blocked: 2, dropped: 2 });
+    await logflare.flush();
+
+    expect(sentMessages()).toEqual(['in_flight', 'a', 'b', 'c', 'd']);
+  });
+
+  test('never writes to the console, which ConsoleTransport owns', async () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const logflare = createLogflare({ flushAt: 100 });
+      logflare.info({ operation: 'quiet' });
+      await logflare.flush();
+      expect(log).not.toHaveBeenCalled();
+      expect(sentMessages()).toEqual(['quiet']);
+    } finally {
+      process.env.NODE_ENV = env;
+      log.mockRestore();
+    }
+  });
+
+  test('UnifiedLogger.drain() slows producers to the delivery rate under block', async () => {
+    const logflare = createLogflare({ maxBuffer: 2, flushAt: 2, overflow: 'block' });
+    const logger = new UnifiedLogger({ transports: [new LogflareTransport({ name: 'logflare', logflare })] });
+    const operations = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+    stub.delayMs = 20;
+    for (const operation of operations) {
+      logger.info({ operation });
+      await logger.drain();
+    }
+    await logger.flushTransports();
+
+    expect(sentMessages()).toEqual(operations);
+    expect(logflare.getStats()).toMatchObject({ dropped: 0, delivered: 7 });
+  });
+
+  test('records that cannot be serialized go to the fallback sink', async () => {
+    const logflare = createLogflare({ flushAt: 100 });
+    const circular = { operation: 'circular' };
+    circular.self = circular;
+    logflare.info({ operation: 'bigint', id: 1n });
+    logflare.info(circular);
+
+    expect(await logflare.flush()).toEqual({ delivered: 0, failed: 2 });
+    expect(logflare.root.fallback).toHaveBeenCalledWith(
+      [expect.objectContaining({ message: 'bigint' }), expect.objectContaining({ message: 'circular' })],
+      expect.any(TypeError),
+    );
+  });
+
+  test('flushQueues flushes every queue holding records', async () => {
+    const first = createLogflare({ flushAt: 100 });
+    const second = createLogflare({ flushAt: 100 });
+    first.info({ operation: 'one' });
+    second.info({ operation: 'two' });
+
+    expect(await flushQueues()).toEqual({ delivered: 2, failed: 0 });
+    expect(sentMessages().sort()).toEqual(['one', 'two']);
+  });
+
+  test('dumpState reports buffer and delivery counters', async () => {
+    const logflare = createLogflare({ maxBuffer: 1, flushAt: 100 });
+    const logger = new UnifiedLogger({ transports: [new MemoryTransport()], logflare });
+    startSlowFlush(logflare);
+    logflare.info({ operation: 'a' });
+    logflare.info({ operation: 'b' });
+
+    expect(logger.dumpState().logflare).toMatchObject({
+      buffered: 1,
+      dropped: 1,
+      delivered: 0,
+      maxBuffer: 1,
+      overflow: 'drop-oldest',
+    });
+    await logflare.flush();
+  });
+});
+
+describe('Logflare child loggers and routing', () => {
+  let stub;
+  let root;
+
+  beforeEach(async () => {
+    stub = createStub();
+    await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+    root = new LogflareLogger({
+      apiKey: 'test-key',
+      sourceId: 'default-source',
+      endpoint: `http://127.0.0.1:${stub.server.address().port}/logs`,
+      delivery: { retryBaseMs: 1, retryMaxMs: 5, gzip: false },
+      fallback: jest.fn(),
+      routes: [
+        { source: 'security-source', operation: 'security_*' },
+        { source: 'payments-errors', component: 'payments', level: ['error', 'fatal'] },
+      ],
+      flushAt: 100,
+      flushIntervalMs: 0,
+      flushOnExit: false,
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  const batchesBySource = () => Object.fromEntries(stub.requests.map((request) => [
+    new URL(request.url, 'http://stub').searchParams.get('source'),
+    request.body.batch.map((event) => event.message),
+  ]));
+
+  test('children feed the root queue and keep their bindings', async () => {
+    const api = root.child({ component: 'api' });
+    const users = api.child({ module: 'users' });
+    api.info({ operation: 'a' });
+    users.info({ operation: 'b' });
+
+    expect(api.queue).toBe(root.queue);
+    expect(root.queue.buffer).toHaveLength(2);
+    expect(root.queue.buffer[1]).toMatchObject({ component: 'api', module: 'users' });
+
+    await users.flush();
+    expect(stub.requests).toHaveLength(1);
+    expect(batchesBySource()).toEqual({ 'default-source': ['a', 'b'] });
+  });
+
+  test('routes records to sources by operation, component and level', async () => {
+    const payments = root.child({ component: 'payments' });
+    root.warn({ operation: 'security_login_failed' });
+    payments.info({ operation: 'charge_started' });
+    payments.error({ operation: 'charge_failed' });
+    root.info({ operation: 'security_token_refreshed' });
+    await root.flush();
+
+    expect(batchesBySource()).toEqual({
+      'security-source': ['security_login_failed', 'security_token_refreshed'],
+      'default-source': ['charge_started'],
+      'payments-errors': ['charge_failed'],
+    });
+    expect(root.getStats().sources).toEqual({
+      'security-source': { delivered: 2, failed: 0 },
+      'default-source': { delivered: 1, failed: 0 },
+      'payments-errors': { delivered: 1, failed: 0 },
+    });
+  });
+
+  test('flushLogs flushes records logged through children', async () => {
+    root.child({ component: 'worker' }).info({ operation: 'job_done' });
+    await flushLogs();
+    expect(batchesBySource()).toEqual({ 'default-source': ['job_done'] });
+  });
+
+  test('UnifiedLogger children share the Logflare queue', () => {
+    const logger = new UnifiedLogger({ logflare: root });
+    const child = logger.child({ component: 'billing' });
+    expect(child.logflare.queue).toBe(root.queue);
+  });
+
+  test('UnifiedLogger children reuse an injected sink without child()', () => {
+    const sink = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    const child = new UnifiedLogger({ logflare: sink }).child({ component: 'billing' });
+    expect(child.logflare).toBe(sink);
+  });
+
+  test('parseRoutes reads field:glob=source entries', () => {
+    expect(parseRoutes('operation:security_*=sec, level:fatal=alerts,bogus=x,component:=y')).toEqual([
+      { source: 'sec', operation: 'security_*' },
+      { source: 'alerts', level: 'fatal' },
+    ]);
+  });
+});
+
+describe('Batching helpers', () => {
+  test('splitBatches honours the byte limit and isolates oversized entries', () => {
+    const entries = [{ v: 'x'.repeat(10) }, { v: 'y'.repeat(10) }, { v: 'z'.repeat(500) }, { v: 'w' }];
+    const { batches, oversized } = splitBatches(entries, { maxBatchSize: 10, maxBatchBytes: 40 });
+
+    expect(batches).toEqual([[entries[0], entries[1]], [entries[3]]]);
+    expect(oversized).toEqual([entries[2]]);
+  });
+
+  test('splitBatches measures BigInt and circular entries without throwing', () => {
+    const circular = { v: 'x' };
+    circular.self = circular;
+    const { batches } = splitBatches([{ id: 1n }, circular], { maxBatchSize: 10, maxBatchBytes: 100 });
+
+    expect(batches).toEqual([[{ id: 1n }, circular]]);
+  });
+
+  test('a throwing send counts the entries as failed and keeps the queue going', async () => {
+    const fallback = jest.fn();
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('serializer exploded'))
+      .mockResolvedValueOnce({ delivered: 1, failed: 0 });
+    const queue = new DeliveryQueue({ send, fallback, flushAt: 100, flushIntervalMs: 0, flushOnExit: false });
+
+    queue.push({ operation: 'first' });
+    expect(await queue.flush()).toEqual({ delivered: 0, failed: 1 });
+    expect(fallback).toHaveBeenCalledWith([{ operation: 'first' }], expect.objectContaining({ message: 'serializer exploded' }));
+
+    queue.push({ operation: 'second' });
+    expect(await queue.flush()).toEqual({ delivered: 1, failed: 0 });
+    expect(queue.getStats()).toMatchObject({ delivered: 1, failed: 1, buffered: 0 });
+  });
+
+  test('backoff grows exponentially and is capped', () => {
+    const options = { retryBaseMs: 100, retryMaxMs: 1000 };
+    expect([0, 1, 2, 5].map((attempt) => backoffDelay(attempt, options, () => 1))).toEqual([100, 200, 400, 1000]);
+    expect(backoffDelay(3, options, () => 0)).toBe(0);
+  });
+});
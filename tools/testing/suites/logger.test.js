@@ -418,10 +418,10 @@ describe('Logger Tests', () => {
         const span = logger.startSpan('test_span', { op: 'test' });
         
         expect(span).toBeDefined();
-        expect(span.spanId).toBe('test-span-id');
+        expect(span.spanId).toMatch(/^[0-9a-f]{16}$/);
         
         logger.endSpan(span, 'ok');
-        expect(span.finish).toHaveBeenCalled();
+        expect(span.ended).toBe(true);
         
         // Success: Span management works
         console.log({
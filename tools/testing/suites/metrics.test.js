@@ -0,0 +1,111 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { MetricsRegistry } from '../../../lib/metrics.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+describe('Metrics registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('renders counters and gauges with escaped labels', () => {
+    registry.counter('jobs_total', 'Jobs processed', ['queue']).inc({ queue: 'a"b' }, 2);
+    registry.gauge('queue_depth', 'Queued jobs').set({}, 7);
+
+    expect(registry.render()).toBe([
+      '# HELP jobs_total Jobs processed',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="a\\"b"} 2',
+      '# HELP queue_depth Queued jobs',
+      '# TYPE queue_depth gauge',
+      'queue_depth 7',
+      '',
+    ].join('\n'));
+  });
+
+  test('renders cumulative histogram buckets', () => {
+    const histogram = registry.histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+    [0.05, 0.5, 2].forEach((value) => histogram.observe({ route: '/x' }, value));
+
+    expect(registry.render()).toContain([
+      'latency_seconds_bucket{route="/x",le="0.1"} 1',
+      'latency_seconds_bucket{route="/x",le="1"} 2',
+      'latency_seconds_bucket{route="/x",le="+Inf"} 3',
+      'latency_seconds_sum{route="/x"} 2.55',
+      'latency_seconds_count{route="/x"} 3',
+    ].join('\n'));
+  });
+
+  test('returns the same metric for repeated declarations and rejects type clashes', () => {
+    expect(registry.counter('a_total')).toBe(registry.counter('a_total'));
+    expect(() => registry.gauge('a_total')).toThrow('already registered as a counter');
+  });
+
+  test('caps series per metric', () => {
+    const limited = new MetricsRegistry({ maxSeries: 2 });
+    const counter = limited.counter('ids_total', 'IDs', ['id']);
+    ['1', '2', '3'].forEach((id) => counter.inc({ id }));
+
+    expect(counter.series.size).toBe(2);
+    expect(limited.getStats()).toEqual({ metrics: 1, series: 2, droppedSeries: 1 });
+  });
+});
+
+describe('Logger metrics', () => {
+  let registry;
+  let logger;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+    logger = new UnifiedLogger({ transports: [new MemoryTransport()], metrics: registry });
+  });
+
+  test('dbQuery records duration and errors by operation and table', async () => {
+    await logger.dbQuery('select', 'SELECT 1', { table: 'users', execute: async () => [] });
+    await expect(logger.dbQuery('insert', 'INSERT', {
+      table: 'users',
+      execute: async () => { throw new Error('nope'); },
+    })).rejects.toThrow('nope');
+
+    expect(registry.getMetric('db_query_duration_seconds').get({ operation: 'select', table: 'users' }).count).toBe(1);
+    expect(registry.getMetric('db_query_errors_total').get({ operation: 'insert', table: 'users' })).toBe(1);
+  });
+
+  test('measurePerformance and apiCall record durations', async () => {
+    await logger.measurePerformance('render', async () => 'ok');
+    await logger.apiCall('GET', 'https://api.example.com/v1/users', { execute: async () => ({ status: 200 }) });
+
+    expect(registry.getMetric('operation_duration_seconds').get({ operation: 'render', status: 'ok' }).count).toBe(1);
+    expect(registry.getMetric('http_client_request_duration_seconds')
+      .get({ method: 'GET', host: 'api.example.com', status: 200 }).count).toBe(1);
+  });
+
+  test('httpRequest labels by route pattern', () => {
+    const req = { method: 'GET', path: '/users/42', baseUrl: '', route: { path: '/users/:id' }, headers: {} };
+    logger.httpRequest(req, { statusCode: 200 }, 12);
+    logger.httpRequest({ method: 'GET', path: '/wp-admin', headers: {} }, { statusCode: 404 }, 1);
+
+    const text = registry.render();
+    expect(text).toContain('http_requests_total{method="GET",path="/users/:id",status="200"} 1');
+    expect(text).toContain('http_requests_total{method="GET",path="unmatched",status="404"} 1');
+    expect(text).toContain('http_request_duration_seconds_count{method="GET",path="/users/:id",status="200"} 1');
+  });
+
+  test('httpRequest never labels by raw path when no route pattern is known', () => {
+    logger.httpRequest({ method: 'GET', url: '/users/1', headers: {} }, { statusCode: 200 }, 1);
+    logger.httpRequest({ method: 'GET', url: '/users/2', headers: {} }, { statusCode: 200 }, 1);
+    const resolving = new UnifiedLogger({
+      transports: [new MemoryTransport()],
+      metrics: registry,
+      routeResolver: (req) => (req.url.startsWith('/orders/') ? '/orders/:id' : null),
+    });
+    resolving.child({ component: 'http' }).httpRequest({ method: 'GET', url: '/orders/9', headers: {} }, { statusCode: 200 }, 1);
+
+    const text = registry.render();
+    expect(text).toContain('http_requests_total{method="GET",path="unmatched",status="200"} 2');
+    expect(text).toContain('http_requests_total{method="GET",path="/orders/:id",status="200"} 1');
+    expect(text).not.toContain('/users/1');
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../../../config/sentry.unified.js', () => ({
+  captureException: jest.fn(),
+  captureMessage: jest.fn(),
+  addBreadcrumb: jest.fn(),
+  recordSpanTree: jest.fn(),
+  startTransaction: jest.fn(),
+}));
+
+const sentry = await import('../../../config/sentry.unified.js');
+const { PerformanceBudgets, parseBudgets } = await import('../../../lib/performance-budgets.js');
+const { UnifiedLogger } = await import('../../../lib/unified-logger.js');
+const { MemoryTransport } = await import('../../../lib/transports.js');
+const { MetricsRegistry } = await import('../../../lib/metrics.js');
+
+describe('Performance budget rules', () => {
+  test('parses kinds and glob patterns', () => {
+    expect(parseBudgets('db=80,db:users=50,http:/api/users/*=300,bogus=1')).toEqual([
+      { kind: 'db', pattern: null, budgetMs: 80 },
+      { kind: 'db', pattern: 'users', budgetMs: 50 },
+      { kind: 'http', pattern: '/api/users/*', budgetMs: 300 },
+    ]);
+  });
+
+  test('pattern budgets win over the kind default', () => {
+    const budgets = new PerformanceBudgets({ budgets: 'db:users=50,api:https://slow.example.com/*=2000' });
+
+    expect(budgets.resolve('db', ['users', 'select']).budgetMs).toBe(50);
+    expect(budgets.resolve('db', ['orders', 'select']).budgetMs).toBe(100);
+    expect(budgets.resolve('api', ['https://slow.example.com/report']).budgetMs).toBe(2000);
+    expect(budgets.resolve('operation', ['anything'])).toBeNull();
+  });
+
+  test('escalates once per window after repeated breaches', () => {
+    const budgets = new PerformanceBudgets({ budgets: [], escalateAfter: 3, escalationWindowMs: 60000 });
+    const results = Array.from({ length: 5 }, () => budgets.check('db', { name: 'select', duration: 150 }));
+
+    expect(results.map((violation) => violation.escalate)).toEqual([false, false, true, false, false]);
+    expect(budgets.check('db', { name: 'select', duration: 20 })).toBeNull();
+    expect(budgets.getSummary().budgets[0]).toMatchObject({
+      target: 'db',
+      name: 'select',
+      checks: 6,
+      violations: 5,
+      escalations: 1,
+      worstMs: 150,
+    });
+  });
+});
+
+describe('Logger budget checks', () => {
+  let transport;
+  let logger;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transport = new MemoryTransport();
+    logger = new UnifiedLogger({
+      transports: [transport],
+      metrics: new MetricsRegistry(),
+      budgets: new PerformanceBudgets({ budgets: 'operation:checkout*=10', escalateAfter: 2 }),
+    });
+  });
+
+  test('logs slow_operation with a breadcrumb and escalates sustained breaches', async () => {
+    const slow = () => new Promise((resolve) => setTimeout(resolve, 20));
+    await logger.measurePerformance('checkout_total', slow);
+    await logger.measurePerformance('checkout_total', slow);
+
+    const warnings = transport.records.filter((r) => r.operation === 'slow_operation');
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatchObject({
+      level: 'warn',
+      kind: 'operation',
+      name: 'checkout_total',
+      target: 'operation:checkout*',
+      budgetMs: 10,
+    });
+    expect(warnings[0].overBy).toBeGreaterThan(0);
+
+    expect(sentry.addBreadcrumb).toHaveBeenCalledWith(expect.objectContaining({
+      category: 'performance',
+      level: 'warning',
+    }));
+    expect(sentry.captureMessage).toHaveBeenCalledTimes(1);
+    expect(sentry.captureMessage.mock.calls[0]).toEqual([expect.stringContaining('checkout_total'), 'warning']);
+    expect(transport.records.some((r) => r.operation === 'slow_operation_escalated')).toBe(true);
+
+    expect(logger.metrics.getMetric('slow_operations_total').get({ kind: 'operation' })).toBe(2);
+  });
+
+  test('operations within budget stay quiet', async () => {
+    await logger.measurePerformance('checkout_total', () => 'fast');
+    await logger.measurePerformance('render', () => new Promise((resolve) => setTimeout(resolve, 20)));
+
+    expect(transport.records.some((r) => r.operation === 'slow_operation')).toBe(false);
+  });
+
+  test('dumpState includes the violation summary', async () => {
+    await logger.measurePerformance('checkout_total', () => new Promise((resolve) => setTimeout(resolve, 20)));
+    const state = logger.dumpState();
+
+    expect(state.performanceBudgets).toMatchObject({
+      totalViolations: 1,
+      budgets: [expect.objectContaining({ target: 'operation:checkout*', violations: 1 })],
+    });
+  });
+});
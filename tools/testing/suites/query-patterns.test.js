@@ -0,0 +1,106 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { QueryPatternDetector, queryIdentity, N_PLUS_ONE, DUPLICATE_QUERY } from '../../../lib/query-patterns.js';
+import { QueryStats } from '../../../lib/query-stats.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+const execution = (sql, values) => ({ fingerprint: 'f1', query: 'SELECT * FROM posts WHERE user_id = ?', identity: queryIdentity(sql, values) });
+
+describe('Query pattern detector', () => {
+  test('flags N+1 once the threshold is crossed, once per scope', () => {
+    const detector = new QueryPatternDetector({ nPlusOneThreshold: 3, duplicateThreshold: 10 });
+    const found = [1, 2, 3, 4].map((id) => detector.observe('req-1', execution('SELECT * FROM posts WHERE user_id = $1', [id])));
+
+    expect(found.map((findings) => findings.length)).toEqual([0, 0, 1, 0]);
+    expect(found[2][0]).toMatchObject({ type: N_PLUS_ONE, scopeId: 'req-1', calls: 3, distinctParams: 3 });
+    expect(detector.observe('req-2', execution('SELECT * FROM posts WHERE user_id = $1', [1]))).toEqual([]);
+  });
+
+  test('identical repeats are duplicates, not N+1', () => {
+    const detector = new QueryPatternDetector({ nPlusOneThreshold: 3, duplicateThreshold: 3 });
+    const found = [0, 1, 2].flatMap(() => detector.observe('req-1', execution('SELECT * FROM posts WHERE user_id = $1', [7])));
+
+    expect(found).toEqual([expect.objectContaining({ type: DUPLICATE_QUERY, repeats: 3 })]);
+    expect(detector.release('req-1')).toHaveLength(1);
+    expect(detector.getFindings('req-1')).toEqual([]);
+  });
+
+  test('ignores queries outside any scope', () => {
+    const detector = new QueryPatternDetector({ nPlusOneThreshold: 1, duplicateThreshold: 1 });
+    expect(detector.observe(null, execution('SELECT 1', []))).toEqual([]);
+  });
+});
+
+describe('Logger query pattern warnings', () => {
+  let transport;
+  let logger;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    logger = new UnifiedLogger({
+      transports: [transport],
+      queryStats: new QueryStats({ summaryIntervalMs: 0 }),
+      queryPatterns: new QueryPatternDetector({ nPlusOneThreshold: 5, duplicateThreshold: 3 }),
+    });
+  });
+
+  const loadPosts = (userId) => logger.dbQuery('select', 'SELECT * FROM posts WHERE user_id = $1', {
+    table: 'posts',
+    values: [userId],
+    execute: async () => [],
+  });
+
+  test('warns with the calling frame and adds the finding to the session report', async () => {
+    const sessionId = logger.startSession();
+    await logger.runWithContext({ sessionId }, async () => {
+      for (const userId of [1, 2, 3, 4, 5]) {
+        await loadPosts(userId);
+      }
+    });
+
+    const warning = transport.records.find((r) => r.operation === 'n_plus_one_detected');
+    expect(warning).toMatchObject({
+      level: 'warn',
+      query: 'SELECT * FROM posts WHERE user_id = ?',
+      calls: 5,
+      distinctParams: 5,
+      sessionId,
+    });
+    expect(warning.frame.file).toBe(new URL(import.meta.url).pathname);
+    expect(warning.frame.code).toContain("logger.dbQuery('select'");
+
+    const report = logger.endSession(sessionId);
+    expect(report.queryPatterns).toEqual([expect.objectContaining({ type: N_PLUS_ONE })]);
+    expect(report.eventCounts.query_pattern).toBe(1);
+  });
+
+  test('queries outside any request context or span are not grouped together', async () => {
+    logger.setCorrelationId('worker-1');
+    for (let i = 0; i < 3; i++) {
+      await loadPosts(42);
+    }
+    for (let i = 0; i < 2; i++) {
+      await logger.transaction(`job-${i}`, async () => {
+        await loadPosts(7);
+        await loadPosts(7);
+      });
+    }
+
+    expect(transport.records.some((r) => r.operation.endsWith('_detected'))).toBe(false);
+  });
+
+  test('analyzeError includes duplicate queries seen under the correlation ID', async () => {
+    const correlationId = 'req-dup';
+    await logger.runWithContext({ correlationId }, async () => {
+      for (let i = 0; i < 3; i++) {
+        await loadPosts(42);
+      }
+    });
+
+    expect(transport.records.some((r) => r.operation === 'duplicate_query_detected')).toBe(true);
+    const analysis = logger.analyzeError(new Error('timeout'), correlationId);
+    expect(analysis.relatedEvents).toEqual([
+      expect.objectContaining({ type: 'query_pattern', data: expect.objectContaining({ type: DUPLICATE_QUERY, repeats: 3 }) }),
+    ]);
+  });
+});
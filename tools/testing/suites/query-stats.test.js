@@ -0,0 +1,104 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { normalizeSql, fingerprintSql, QueryStats } from '../../../lib/query-stats.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+describe('SQL normalization', () => {
+  test.each([
+    ["SELECT * FROM users WHERE id = 42 AND name = 'O''Brien'", 'SELECT * FROM users WHERE id = ? AND name = ?'],
+    ['select *\n  from t -- trailing comment\n where a = $1 and b = true;', 'select * from t where a = ? and b = ?'],
+    ['SELECT "Col1" FROM t1 WHERE x IN (1, 2, 3)', 'SELECT "Col1" FROM t1 WHERE x IN (...)'],
+    ["INSERT INTO t (a, b) VALUES (1, 'x'), (2, 'y')", 'INSERT INTO t (a, b) VALUES (...)'],
+    ["SELECT $$raw$$, E'it\\'s', 1.5e3 /* note */ FROM t", 'SELECT ?, ?, ? FROM t'],
+  ])('%s', (sql, expected) => {
+    expect(normalizeSql(sql)).toBe(expected);
+  });
+
+  test('statements differing only in literals share a fingerprint', () => {
+    expect(fingerprintSql(normalizeSql('SELECT * FROM users WHERE id = 1')))
+      .toBe(fingerprintSql(normalizeSql('SELECT * FROM users WHERE id = 99')));
+    expect(fingerprintSql(normalizeSql('SELECT * FROM users WHERE id = 1')))
+      .not.toBe(fingerprintSql(normalizeSql('SELECT * FROM orders WHERE id = 1')));
+  });
+});
+
+describe('Per-statement statistics', () => {
+  test('tracks calls, timings, rows and errors', () => {
+    const stats = new QueryStats({ summaryIntervalMs: 0 });
+    [10, 20, 30, 40].forEach((duration, i) => {
+      stats.record(`SELECT * FROM users WHERE id = ${i}`, { duration, rows: 1 });
+    });
+    stats.record('SELECT * FROM users WHERE id = 5', { duration: 100, error: new Error('timeout') });
+    stats.record('DELETE FROM sessions', { duration: 1, rows: 3 });
+
+    const [users, sessions] = stats.getStats();
+    expect(users).toMatchObject({
+      query: 'SELECT * FROM users WHERE id = ?',
+      calls: 5,
+      totalTime: 200,
+      meanTime: 40,
+      p95: 100,
+      minTime: 10,
+      maxTime: 100,
+      rows: 4,
+      errors: 1,
+    });
+    expect(sessions).toMatchObject({ calls: 1, rows: 3 });
+    expect(stats.getStats({ sortBy: 'rows', limit: 1 })[0].query).toBe('SELECT * FROM users WHERE id = ?');
+  });
+
+  test('emits a periodic summary only while statements run', () => {
+    jest.useFakeTimers();
+    try {
+      const onSummary = jest.fn();
+      const stats = new QueryStats({ summaryIntervalMs: 1000, onSummary });
+      stats.record('SELECT 1', { duration: 2 });
+
+      jest.advanceTimersByTime(1000);
+      expect(onSummary).toHaveBeenCalledTimes(1);
+      expect(onSummary.mock.calls[0][0]).toMatchObject({ statements: 1, calls: 1, errors: 0 });
+
+      jest.advanceTimersByTime(1000);
+      expect(onSummary).toHaveBeenCalledTimes(1);
+      expect(stats.summaryTimer).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('dbQuery statistics', () => {
+  let transport;
+  let logger;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    logger = new UnifiedLogger({ transports: [transport], queryStats: new QueryStats({ summaryIntervalMs: 0 }) });
+  });
+
+  test('logs the normalized statement and records it', async () => {
+    await logger.dbQuery('select', "SELECT * FROM users WHERE email = 'a@b.com'", {
+      table: 'users',
+      execute: async () => [{ id: 1 }, { id: 2 }],
+    });
+    await expect(logger.dbQuery('select', "SELECT * FROM users WHERE email = 'c@d.com'", {
+      table: 'users',
+      execute: async () => { throw new Error('connection reset'); },
+    })).rejects.toThrow('connection reset');
+
+    const success = transport.records.find((r) => r.operation === 'db_select_success');
+    expect(success.query).toBe('SELECT * FROM users WHERE email = ?');
+    expect(success.queryFingerprint).toBe(fingerprintSql(success.query));
+
+    expect(logger.getQueryStats()).toEqual([
+      expect.objectContaining({ fingerprint: success.queryFingerprint, calls: 2, rows: 2, errors: 1, table: 'users' }),
+    ]);
+  });
+
+  test('child loggers and recordQuery feed the same statistics', () => {
+    logger.child({ component: 'pg-pool' }).recordQuery('UPDATE users SET name = $1 WHERE id = $2', { duration: 5, rows: 1 });
+
+    expect(logger.getQueryStats()[0]).toMatchObject({ query: 'UPDATE users SET name = ? WHERE id = ?', calls: 1 });
+    expect(logger.dumpState().queryStats).toMatchObject({ statements: 1, calls: 1 });
+  });
+});
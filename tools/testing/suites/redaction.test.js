@@ -0,0 +1,133 @@
+import { jest, describe, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../../../config/sentry.unified.js', () => ({
+  captureException: jest.fn(),
+  captureMessage: jest.fn(),
+  addBreadcrumb: jest.fn(),
+  recordSpanTree: jest.fn(),
+  startTransaction: jest.fn(),
+}));
+
+const sentry = await import('../../../config/sentry.unified.js');
+const { UnifiedLogger } = await import('../../../lib/unified-logger.js');
+const { Redactor } = await import('../../../lib/redaction.js');
+const { MemoryTransport } = await import('../../../lib/transports.js');
+
+describe('Redactor', () => {
+  test('masks default sensitive keys at any depth', () => {
+    const redactor = new Redactor();
+    const result = redactor.redact({
+      headers: { Authorization: 'Bearer abc', 'content-type': 'application/json' },
+      body: { user: { password: 'hunter2' } },
+    });
+
+    expect(result.headers).toEqual({ Authorization: '[REDACTED]', 'content-type': 'application/json' });
+    expect(result.body.user.password).toBe('[REDACTED]');
+  });
+
+  test('supports single and multi segment wildcards', () => {
+    const redactor = new Redactor({ paths: ['*.pin', 'payment.**.cvv'] });
+    const result = redactor.redact({
+      card: { pin: '1234' },
+      deep: { card: { pin: '9999' } },
+      payment: { method: { card: { cvv: '123' } } },
+    });
+
+    expect(result.card.pin).toBe('[REDACTED]');
+    expect(result.deep.card.pin).toBe('9999');
+    expect(result.payment.method.card.cvv).toBe('[REDACTED]');
+  });
+
+  test('applies value detectors inside strings', () => {
+    const redactor = new Redactor();
+    const text = redactor.redact(
+      'user jane@example.com paid with 4111 1111 1111 1111 via postgres://app:s3cret@db:5432/app',
+    );
+
+    expect(text).toBe(
+      'user [REDACTED:email] paid with [REDACTED:card] via postgres://app:[REDACTED:connection_password]@db:5432/app',
+    );
+    expect(redactor.redact('order 1234567890123')).toBe('order 1234567890123');
+  });
+
+  test('hash and remove modes', () => {
+    const hashed = new Redactor({ mode: 'hash', hashSalt: 'salt' }).redact({ token: 'abc' });
+    expect(hashed.token).toMatch(/^sha256:[0-9a-f]{16}$/);
+    expect(new Redactor({ mode: 'hash', hashSalt: 'salt' }).redact({ token: 'abc' })).toEqual(hashed);
+
+    const removed = new Redactor({ paths: [{ path: 'secret', mode: 'remove' }] }).redact({ secret: 'x', keep: 1 });
+    expect(removed).toEqual({ keep: 1 });
+  });
+
+  test('redacts class instances through their plain form', () => {
+    class HeadersLike {
+      constructor(values) {
+        Object.assign(this, values);
+      }
+
+      toJSON() {
+        return { ...this };
+      }
+    }
+    class Payload {
+      constructor() {
+        this.token = 'abc';
+        this.note = 'mail jane@example.com';
+      }
+    }
+    const error = Object.assign(new Error('bad token'), { password: 'hunter2' });
+
+    const result = new Redactor().redact({
+      headers: new HeadersLike({ 'set-cookie': ['sid=1'], 'content-type': 'text/plain' }),
+      params: new URLSearchParams({ api_key: 'k', page: '2' }),
+      cache: new Map([['secret', 's'], ['hits', 3]]),
+      payload: new Payload(),
+      error,
+    });
+
+    expect(result.headers).toEqual({ 'set-cookie': '[REDACTED]', 'content-type': 'text/plain' });
+    expect(result.params).toEqual({ api_key: '[REDACTED]', page: '2' });
+    expect(result.cache).toEqual({ secret: '[REDACTED]', hits: 3 });
+    expect(result.payload).toEqual({ token: '[REDACTED]', note: 'mail [REDACTED:email]' });
+    expect(result.error).toMatchObject({ name: 'Error', message: 'bad token', password: '[REDACTED]' });
+  });
+
+  test('masks secrets in URL query strings', () => {
+    expect(new Redactor().redact('GET https://api.example.com/me?access_token=abc123&page=2#top'))
+      .toBe('GET https://api.example.com/me?access_token=[REDACTED:query_secret]&page=2#top');
+    expect(new Redactor().redact({ url: new URL('https://x.test/cb?code=xyz') }))
+      .toEqual({ url: 'https://x.test/cb?code=[REDACTED:query_secret]' });
+  });
+
+  test('does not mutate input and survives cycles', () => {
+    const input = { password: 'p' };
+    input.self = input;
+    const result = new Redactor().redact(input);
+
+    expect(input.password).toBe('p');
+    expect(result).toEqual({ password: '[REDACTED]', self: '[Circular]' });
+  });
+});
+
+describe('UnifiedLogger redaction', () => {
+  test('scrubs records before transports and Sentry see them', async () => {
+    const memory = new MemoryTransport();
+    const logger = new UnifiedLogger({ correlationId: 'c1', transports: [memory] });
+
+    await logger.apiCall('POST', 'https://api.example.com/login', {
+      headers: { authorization: 'Bearer secret-token' },
+      body: { email: 'jane@example.com', password: 'hunter2' },
+      execute: async () => ({ status: 200 }),
+    });
+    logger.error(new Error('login failed'), { password: 'hunter2' });
+
+    const start = memory.records.find((r) => r.operation === 'api_call_start');
+    expect(start.headers.authorization).toBe('[REDACTED]');
+    expect(start.body).toEqual({ email: '[REDACTED:email]', password: '[REDACTED]' });
+    expect(sentry.captureException).toHaveBeenCalledWith(
+      expect.any(Error),
+      expect.objectContaining({ extra: { password: '[REDACTED]' } }),
+      'c1',
+    );
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { RuntimeHealthMonitor } from '../../../lib/runtime-health.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const block = (ms) => {
+  const end = Date.now() + ms;
+  while (Date.now() < end);
+};
+
+describe('Runtime health monitor', () => {
+  let monitor;
+
+  afterEach(() => {
+    monitor?.stop();
+  });
+
+  test('samples event-loop delay, memory, handles and threadpool', async () => {
+    monitor = new RuntimeHealthMonitor({ sampleIntervalMs: 60000, resolution: 10 }).start();
+    await delay(30);
+    block(80);
+    await delay(30);
+
+    const snapshot = monitor.sample();
+    expect(snapshot.eventLoop.max).toBeGreaterThanOrEqual(50);
+    expect(snapshot.eventLoop.p50).toBeLessThanOrEqual(snapshot.eventLoop.max);
+    expect(snapshot.memory.heapUsedMb).toBeGreaterThan(0);
+    expect(snapshot.memory.heapUsedRatio).toBeGreaterThan(0);
+    expect(snapshot.handles.byType.Timeout).toBeGreaterThanOrEqual(1);
+    expect(snapshot.threadpool).toMatchObject({ size: expect.any(Number), pending: expect.any(Number) });
+    expect(snapshot.threadpool.probeLatencyMs).toEqual(expect.any(Number));
+    expect(monitor.getSnapshot()).toBe(snapshot);
+  });
+
+  test('warns once per breach until the value recovers', () => {
+    const onWarning = jest.fn();
+    monitor = new RuntimeHealthMonitor({
+      thresholds: { eventLoopP99Ms: 0, rssMb: 1, heapUsedRatio: 0, threadpoolLatencyMs: 0 },
+      onWarning,
+    });
+
+    expect(monitor.sample().warnings).toEqual([expect.objectContaining({ metric: 'rssMb', threshold: 1 })]);
+    monitor.sample();
+    expect(onWarning).toHaveBeenCalledTimes(1);
+
+    monitor.thresholds.rssMb = 1e6;
+    monitor.sample();
+    monitor.thresholds.rssMb = 1;
+    monitor.sample();
+    expect(onWarning).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('dumpState runtime health', () => {
+  test('includes the runtime snapshot', () => {
+    const runtimeHealth = new RuntimeHealthMonitor();
+    const logger = new UnifiedLogger({ transports: [new MemoryTransport()], runtimeHealth });
+
+    const state = logger.dumpState();
+    expect(state.runtime).toMatchObject({
+      memory: expect.objectContaining({ rssMb: expect.any(Number) }),
+      gc: expect.objectContaining({ count: expect.any(Number) }),
+      handles: expect.objectContaining({ active: expect.any(Number) }),
+    });
+  });
+});
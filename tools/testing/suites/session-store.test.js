@@ -0,0 +1,83 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { BoundedStore } from '../../../lib/bounded-store.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+describe('BoundedStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('evicts the least recently used entry over maxSize', () => {
+    const evicted = [];
+    const store = new BoundedStore({ maxSize: 2, onEvict: (key, value, reason) => evicted.push([key, reason]) });
+
+    store.set('a', 1).set('b', 2);
+    store.get('a');
+    store.set('c', 3);
+
+    expect([...store.keys()]).toEqual(['a', 'c']);
+    expect(evicted).toEqual([['b', 'lru']]);
+    expect(store.getStats()).toMatchObject({ size: 2, evictedLru: 1, evictedTtl: 0 });
+  });
+
+  test('evicts idle entries after ttlMs', () => {
+    jest.useFakeTimers();
+    const store = new BoundedStore({ ttlMs: 1000 });
+
+    store.set('idle', 1).set('busy', 2);
+    jest.advanceTimersByTime(600);
+    store.get('busy');
+    jest.advanceTimersByTime(600);
+
+    expect(store.has('idle')).toBe(false);
+    expect(store.get('busy')).toBe(2);
+    expect(store.getStats().evictedTtl).toBe(1);
+  });
+});
+
+describe('Session lifecycle', () => {
+  let logger;
+
+  beforeEach(() => {
+    logger = new UnifiedLogger({ transports: [new MemoryTransport()], maxSessions: 2 });
+  });
+
+  test('endSession() returns a report and releases the session', () => {
+    const sessionId = logger.startSession('req-1', { path: '/users' });
+    logger.addTimelineEvent(sessionId, 'db_query');
+    logger.addTimelineEvent(sessionId, 'db_query');
+    logger.addTimelineEvent(sessionId, 'request_complete');
+    logger.analyzeError(new Error('boom'), sessionId);
+
+    const profile = logger.createPerformanceProfile('create_user', { sessionId });
+    profile.mark('start');
+    profile.end();
+
+    const report = logger.endSession(sessionId);
+
+    expect(report).toMatchObject({
+      sessionId: 'req-1',
+      context: { path: '/users' },
+      eventsCount: 3,
+      eventCounts: { db_query: 2, request_complete: 1 },
+      errorsCount: 1,
+    });
+    expect(report.errors[0].message).toBe('boom');
+    expect(report.performance).toEqual([expect.objectContaining({ operation: 'create_user' })]);
+    expect(logger.sessions.has(sessionId)).toBe(false);
+    expect(logger.performanceMarks.size).toBe(0);
+  });
+
+  test('caps the number of sessions and reports evictions', () => {
+    ['a', 'b', 'c'].forEach((id) => logger.startSession(id));
+
+    const state = logger.dumpState();
+    expect(state.sessionsCount).toBe(2);
+    expect(state.stores.sessions).toMatchObject({ maxSize: 2, evictedLru: 1 });
+  });
+
+  test('endSession() of an unknown session returns null', () => {
+    expect(logger.endSession('missing')).toBeNull();
+  });
+});
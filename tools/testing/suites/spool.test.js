@@ -0,0 +1,207 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { Spool, getSpool, encodeSegment, decodeSegment, SpoolCorruptError } from '../../../lib/spool.js';
+import { LogflareLogger, getLogger, initializeLogflare } from '../../../config/logflare.config.js';
+
+describe('Spool', () => {
+  let dir;
+  let spool;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-'));
+    spool = new Spool({ dir, maxBytes: 10000 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays segments in write order and deletes them', async () => {
+    await spool.write([{ n: 1 }, { n: 2 }], { source: 'a' });
+    await spool.write([{ n: 3 }], { source: 'b' });
+    const sent = [];
+
+    const result = await spool.replay(async (entries, meta) => {
+      sent.push([meta.source, entries.map((entry) => entry.n)]);
+    });
+
+    expect(sent).toEqual([['a', [1, 2]], ['b', [3]]]);
+    expect(result).toMatchObject({ replayed: 2, entries: 3, corrupt: 0, remaining: 0 });
+    expect(await spool.list()).toEqual([]);
+  });
+
+  test('stops at the first failed send and keeps the rest', async () => {
+    await spool.write([{ n: 1 }]);
+    await spool.write([{ n: 2 }]);
+    await spool.write([{ n: 3 }]);
+    const send = jest.fn(async ([entry]) => {
+      if (entry.n === 2) throw new Error('offline');
+    });
+
+    const result = await spool.replay(send);
+
+    expect(result).toMatchObject({ replayed: 1, remaining: 2 });
+    expect(result.error.message).toBe('offline');
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(spool.getStats()).toMatchObject({ segments: 2, replayed: 1 });
+  });
+
+  test('skips corrupt segments and renames them', async () => {
+    const { file } = await spool.write([{ n: 1 }]);
+    await spool.write([{ n: 2 }]);
+    const corruptPath = path.join(dir, file);
+    fs.writeFileSync(corruptPath, fs.readFileSync(corruptPath, 'utf8').replace('"n":1', '"n":9'));
+    const sent = [];
+
+    const result = await spool.replay(async (entries) => sent.push(...entries));
+
+    expect(sent).toEqual([{ n: 2 }]);
+    expect(result).toMatchObject({ replayed: 1, corrupt: 1 });
+    expect(fs.existsSync(`${corruptPath}.corrupt`)).toBe(true);
+  });
+
+  test('drops the oldest segments to stay under maxBytes', async () => {
+    const entry = { padding: 'x'.repeat(300) };
+    const segmentBytes = Buffer.byteLength(encodeSegment([{ ...entry, n: 1 }]));
+    spool.maxBytes = segmentBytes * 2;
+
+    await spool.write([{ ...entry, n: 1 }]);
+    await spool.write([{ ...entry, n: 2 }]);
+    const { dropped } = await spool.write([{ ...entry, n: 3 }]);
+    const sent = [];
+    await spool.replay(async (entries) => sent.push(entries[0].n));
+
+    expect(dropped).toBe(1);
+    expect(sent).toEqual([2, 3]);
+    expect(spool.getStats().dropped).toBe(1);
+  });
+
+  test('getSpool shares one spool per resolved directory', () => {
+    expect(getSpool({ dir })).toBe(getSpool({ dir: path.relative(process.cwd(), dir) }));
+    expect(getSpool({ dir })).not.toBe(getSpool({ dir: path.join(dir, 'other') }));
+  });
+
+  test('decodeSegment rejects truncated contents', () => {
+    const contents = encodeSegment([{ n: 1 }, { n: 2 }]);
+    expect(decodeSegment(contents).entries).toEqual([{ n: 1 }, { n: 2 }]);
+    expect(() => decodeSegment(contents.slice(0, -8))).toThrow(SpoolCorruptError);
+    expect(() => decodeSegment('garbage')).toThrow(SpoolCorruptError);
+  });
+});
+
+describe('Logflare spooling', () => {
+  let dir;
+  let server;
+  let received;
+  let status;
+  let fallback;
+
+  const createLogflare = (config = {}) => new LogflareLogger({
+    apiKey: 'test-key',
+    sourceId: 'source-uuid',
+    endpoint: `http://127.0.0.1:${server.address().port}/logs`,
+    delivery: { maxRetries: 0, gzip: false, maxBatchSize: 2 },
+    fallback,
+    spool: new Spool({ dir }),
+    replayOnStart: false,
+    flushAt: 100,
+    flushIntervalMs: 0,
+    flushOnExit: false,
+    ...config,
+  });
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logflare-spool-'));
+    received = [];
+    status = 503;
+    fallback = jest.fn();
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        if (status === 200) received.push(...JSON.parse(body).batch.map((event) => event.message));
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('spools batches while the endpoint is down and replays them in order', async () => {
+    const logflare = createLogflare();
+    ['a', 'b', 'c'].forEach((operation) => logflare.info({ operation }));
+
+    expect(await logflare.flush()).toEqual({ delivered: 0, failed: 0 });
+    expect(fallback).not.toHaveBeenCalled();
+    expect(logflare.getStats().spool).toMatchObject({ segments: 2, written: 2 });
+
+    status = 200;
+    const result = await logflare.replaySpool();
+    expect(result).toMatchObject({ replayed: 2, entries: 3, remaining: 0 });
+    expect(received).toEqual(['a', 'b', 'c']);
+  });
+
+  test('replays the spool once a live batch gets through', async () => {
+    const logflare = createLogflare();
+    logflare.info({ operation: 'offline' });
+    await logflare.flush();
+
+    status = 200;
+    logflare.info({ operation: 'online' });
+    await logflare.flush();
+    await logflare.root.spool.replaying;
+
+    expect(received).toEqual(['online', 'offline']);
+    expect(await logflare.root.spool.list()).toEqual([]);
+  });
+
+  test('replays on start', async () => {
+    await new Spool({ dir }).write([{ message: 'from_last_run', metadata: {} }], { source: 'source-uuid' });
+    status = 200;
+
+    const logflare = createLogflare({ replayOnStart: true });
+    await new Promise((resolve) => setImmediate(resolve));
+    await logflare.root.spool.replaying;
+
+    expect(received).toEqual(['from_last_run']);
+  });
+
+  test('initializeLogflare keeps the logger getLogger() created, with the shared spool', () => {
+    const env = { ...process.env };
+    Object.assign(process.env, {
+      LOGFLARE_API_KEY: 'test-key',
+      LOGFLARE_SOURCE_ID: 'source-uuid',
+      LOGFLARE_SPOOL_DIR: dir,
+      LOGFLARE_SPOOL_REPLAY_ON_START: 'false',
+      LOGFLARE_FLUSH_ON_EXIT: 'false',
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const logger = getLogger();
+      expect(initializeLogflare()).toBe(true);
+      expect(getLogger()).toBe(logger);
+      expect(logger.spool).toBe(getSpool({ dir }));
+    } finally {
+      process.env = env;
+      console.log.mockRestore();
+    }
+  });
+
+  test('rejected batches still go to the fallback sink', async () => {
+    status = 400;
+    const logflare = createLogflare();
+    logflare.info({ operation: 'invalid' });
+
+    expect(await logflare.flush()).toEqual({ delivered: 0, failed: 1 });
+    expect(fallback).toHaveBeenCalledTimes(1);
+    expect(await logflare.root.spool.list()).toEqual([]);
+  });
+});
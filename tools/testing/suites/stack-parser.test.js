@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseFrame, parseV8Stack, StackResolver } from '../../../lib/stack-parser.js';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+
+const ORIGINAL_SOURCE = ['// original', 'import x from "y";', '', 'export function handler() {', '  throw new Error("boom");', '}', ''].join('\n');
+
+describe('V8 frame parsing', () => {
+  test.each([
+    ['at handler (/app/lib/a.js:10:5)', { function: 'handler', file: '/app/lib/a.js', line: 10, column: 5 }],
+    ['at /app/lib/a.js:10:5', { function: 'anonymous', file: '/app/lib/a.js', line: 10, column: 5 }],
+    ['at async Promise.all (index 0)', { function: 'Promise.all', async: true, native: true }],
+    ['at async loadUser (file:///app/lib/users.js:3:9)', { function: 'loadUser', async: true, file: 'file:///app/lib/users.js', line: 3 }],
+    ['at new Foo (/app/lib/foo.js:1:20)', { function: 'Foo', constructorCall: true, line: 1 }],
+    ['at process.processTicksAndRejections (node:internal/process/task_queues:95:5)', { file: 'node:internal/process/task_queues', line: 95 }],
+    ['at Array.map (<anonymous>)', { function: 'Array.map', native: true, file: null }],
+  ])('%s', (line, expected) => {
+    expect(parseFrame(`    ${line}`)).toMatchObject(expected);
+  });
+
+  test('eval frames keep their origin', () => {
+    const frame = parseFrame('    at eval (eval at run (/app/lib/x.js:7:5), <anonymous>:1:19)');
+    expect(frame).toMatchObject({
+      function: 'eval',
+      eval: true,
+      file: '<anonymous>',
+      line: 1,
+      column: 19,
+      evalOrigin: { function: 'run', file: '/app/lib/x.js', line: 7, column: 5 },
+    });
+  });
+
+  test('skips the message line', () => {
+    expect(parseV8Stack('Error: a\n  with (parens) at line\n    at f (/x.js:1:1)')).toHaveLength(1);
+  });
+});
+
+describe('Frame resolution', () => {
+  let dir;
+  let resolver;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-parser-'));
+    fs.mkdirSync(path.join(dir, 'dist'));
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.mkdirSync(path.join(dir, 'node_modules', 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'src', 'handler.ts'), ORIGINAL_SOURCE);
+    // Generated line 2, column 1 maps to src/handler.ts line 5, column 3
+    fs.writeFileSync(path.join(dir, 'dist', 'handler.js'), 'function a(){}\nthrow new Error("boom");\n//# sourceMappingURL=handler.js.map\n');
+    fs.writeFileSync(path.join(dir, 'dist', 'handler.js.map'), JSON.stringify({
+      version: 3,
+      file: 'handler.js',
+      sources: ['../src/handler.ts'],
+      names: [],
+      mappings: ';AAIE',
+    }));
+    fs.writeFileSync(path.join(dir, 'node_modules', 'lib', 'index.js'), 'module.exports = 1;\n');
+    resolver = new StackResolver({ appRoot: dir, contextLines: 2 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('maps generated frames back to the original source with context', () => {
+    const [frame] = resolver.parse(`Error: boom\n    at handler (${pathToFileURL(path.join(dir, 'dist', 'handler.js'))}:2:1)`);
+
+    expect(frame).toMatchObject({
+      file: path.join(dir, 'src', 'handler.ts'),
+      line: 5,
+      column: 3,
+      inApp: true,
+      generated: { file: path.join(dir, 'dist', 'handler.js'), line: 2, column: 1 },
+      context: {
+        pre: ['', 'export function handler() {'],
+        line: '  throw new Error("boom");',
+        post: ['}', ''],
+      },
+    });
+  });
+
+  test('flags node_modules and node internals as not in-app', () => {
+    const frames = resolver.parse([
+      'Error: x',
+      `    at exports (${path.join(dir, 'node_modules', 'lib', 'index.js')}:1:1)`,
+      '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+    ].join('\n'));
+
+    expect(frames.map((frame) => frame.inApp)).toEqual([false, false]);
+    expect(frames[0].context).toBeUndefined();
+  });
+});
+
+describe('analyzeError frames', () => {
+  test('returns enriched in-app frames for errors thrown in this suite', () => {
+    const logger = new UnifiedLogger({ transports: [new MemoryTransport()] });
+    const analysis = logger.analyzeError(new Error('local failure'));
+    const [top] = analysis.stackTrace;
+
+    expect(top.file).toBe(new URL(import.meta.url).pathname);
+    expect(top.inApp).toBe(true);
+    expect(top.context.line).toContain("new Error('local failure')");
+  });
+});
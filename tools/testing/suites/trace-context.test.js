@@ -0,0 +1,93 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+import {
+  parseTraceparent,
+  parseTracestate,
+  extractTraceContext,
+  injectTraceContext,
+} from '../../../lib/trace-context.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+const TRACEPARENT = `00-${TRACE_ID}-${PARENT_ID}-01`;
+
+describe('W3C trace context', () => {
+  test('parses valid traceparent headers', () => {
+    expect(parseTraceparent(TRACEPARENT)).toEqual({
+      traceId: TRACE_ID,
+      parentSpanId: PARENT_ID,
+      traceFlags: 1,
+      sampled: true,
+    });
+  });
+
+  test('rejects invalid traceparent headers', () => {
+    expect(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`)).toBeNull();
+    expect(parseTraceparent(`ff-${TRACE_ID}-${PARENT_ID}-01`)).toBeNull();
+    expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01-extra`)).toBeNull();
+    expect(parseTraceparent('garbage')).toBeNull();
+  });
+
+  test('parses tracestate members', () => {
+    expect(parseTracestate('vendor=abc, other=1=2 ,bad')).toEqual([['vendor', 'abc'], ['other', '1=2']]);
+  });
+
+  test('continues an inbound trace with a new span', () => {
+    const trace = extractTraceContext({ traceparent: TRACEPARENT, tracestate: 'vendor=abc' });
+
+    expect(trace).toMatchObject({ traceId: TRACE_ID, parentSpanId: PARENT_ID, sampled: true });
+    expect(trace.spanId).toMatch(/^[0-9a-f]{16}$/);
+    expect(injectTraceContext({ Accept: 'json', TraceParent: 'stale' }, trace)).toEqual({
+      Accept: 'json',
+      traceparent: `00-${TRACE_ID}-${trace.spanId}-01`,
+      tracestate: 'vendor=abc',
+    });
+  });
+});
+
+describe('UnifiedLogger trace propagation', () => {
+  let memory;
+  let logger;
+
+  beforeEach(() => {
+    memory = new MemoryTransport();
+    logger = new UnifiedLogger({ transports: [memory] });
+  });
+
+  test('logs carry the trace and correlationId is the trace ID', () => {
+    logger.continueTrace({ traceparent: TRACEPARENT }, () => logger.info('inside'));
+
+    expect(memory.records[0]).toMatchObject({ correlationId: TRACE_ID, traceId: TRACE_ID });
+    expect(memory.records[0].spanId).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('apiCall() injects traceparent into outbound headers', async () => {
+    let outbound;
+    await logger.continueTrace({ traceparent: TRACEPARENT, tracestate: 'vendor=abc' }, () =>
+      logger.apiCall('GET', 'https://api.example.com', {
+        headers: { accept: 'application/json' },
+        execute: async ({ headers }) => {
+          outbound = headers;
+          return { status: 200 };
+        },
+      }));
+
+    const parsed = parseTraceparent(outbound.traceparent);
+    const start = memory.records.find((r) => r.operation === 'api_call_start');
+
+    expect(parsed.traceId).toBe(TRACE_ID);
+    expect(outbound.tracestate).toBe('vendor=abc');
+    expect(start.spanId).toBe(parsed.parentSpanId);
+    expect(start.parentSpanId).not.toBe(PARENT_ID);
+  });
+
+  test('httpRequest() derives the correlation ID from traceparent', () => {
+    const logged = logger.httpRequest(
+      { method: 'GET', path: '/', headers: { traceparent: TRACEPARENT, 'x-correlation-id': 'legacy' } },
+      { statusCode: 200 },
+      5,
+    );
+    expect(logged).toMatchObject({ correlationId: TRACE_ID, traceId: TRACE_ID, parentSpanId: PARENT_ID });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+import { Tracer } from '../../../lib/tracer.js';
+import { SpanRecorder, buildTraceEvents } from '../../../lib/trace-events.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate() && Date.now() < deadline) await delay(10);
+  return predicate();
+}
+
+const completeEvents = (trace) => trace.traceEvents.filter((event) => event.ph === 'X');
+
+/**
+ * Events on one tid must be strictly nested for trace viewers
+ */
+function expectProperNesting(events) {
+  const byThread = new Map();
+  events.forEach((event) => byThread.set(event.tid, [...(byThread.get(event.tid) || []), event]));
+  byThread.forEach((threadEvents) => {
+    const stack = [];
+    threadEvents.sort((a, b) => a.ts - b.ts || b.dur - a.dur).forEach((event) => {
+      while (stack.length && stack[stack.length - 1] <= event.ts) stack.pop();
+      if (stack.length) expect(event.ts + event.dur).toBeLessThanOrEqual(stack[stack.length - 1]);
+      stack.push(event.ts + event.dur);
+    });
+  });
+}
+
+describe('Chrome trace event export', () => {
+  let transport;
+  let logger;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-events-'));
+    transport = new MemoryTransport();
+    logger = new UnifiedLogger({
+      transports: [transport],
+      tracer: new Tracer(),
+      spanRecorder: new SpanRecorder(),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('includes nested profiles, marks, measures and transaction spans', async () => {
+    let profileId;
+    await logger.transaction('checkout', async () => {
+      const profile = logger.createPerformanceProfile('request');
+      profileId = profile.id;
+      profile.mark('start');
+      const child = profile.child('load_cart');
+      await logger.measurePerformance('query_cart', () => delay(5));
+      child.end();
+      profile.mark('end');
+      profile.measure('total', 'start', 'end');
+      profile.end();
+    });
+
+    const trace = logger.exportProfileTrace(profileId);
+    const names = completeEvents(trace).map((event) => event.name);
+
+    expect(names).toEqual(expect.arrayContaining(['request', 'load_cart', 'total', 'query_cart']));
+    expect(trace.traceEvents.filter((event) => event.ph === 'i').map((event) => event.name)).toEqual(['start', 'end']);
+    expect(trace.traceEvents[0]).toMatchObject({ ph: 'M', name: 'process_name' });
+    expect(trace.otherData).toMatchObject({ profileId, operation: 'request' });
+
+    const loadCart = completeEvents(trace).find((event) => event.name === 'load_cart');
+    expect(loadCart.args.parentProfileId).toBe(profileId);
+    expectProperNesting(completeEvents(trace));
+  });
+
+  test('profiles outside a trace leave out spans of concurrent requests', async () => {
+    const profile = logger.createPerformanceProfile('job');
+    await logger.transaction('other_request', () => delay(5));
+    profile.end();
+
+    const names = completeEvents(logger.exportProfileTrace(profile.id)).map((event) => event.name);
+    expect(names).toEqual(['job']);
+  });
+
+  test('overlapping concurrent spans go to separate lanes', () => {
+    const spans = [
+      { name: 'a', startTime: 0, endTime: 10, attributes: {} },
+      { name: 'b', startTime: 5, endTime: 15, attributes: {} },
+      { name: 'c', startTime: 6, endTime: 8, attributes: {} },
+    ];
+    const events = completeEvents(buildTraceEvents({ spans }));
+
+    expect(new Set(events.map((event) => event.tid)).size).toBe(2);
+    expectProperNesting(events);
+  });
+
+  test('root profiles are written to the configured directory', async () => {
+    logger.traceEventsDir = dir;
+    const profile = logger.createPerformanceProfile('slow request');
+    profile.child('nested').end();
+    profile.end();
+
+    const written = await waitFor(() => transport.records.find((r) => r.operation === 'trace_events_written'));
+    expect(written.path).toBe(path.join(dir, `slow_request-${profile.id}.trace.json`));
+
+    const trace = JSON.parse(fs.readFileSync(written.path, 'utf8'));
+    expect(completeEvents(trace).map((event) => event.name)).toEqual(['slow request', 'nested']);
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+  });
+
+  test('returns null for unknown profiles', () => {
+    expect(logger.exportProfileTrace('missing')).toBeNull();
+  });
+});
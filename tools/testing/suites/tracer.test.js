@@ -0,0 +1,208 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import { MemoryTransport } from '../../../lib/transports.js';
+import {
+  Tracer,
+  SpanStatusCode,
+  buildSpanTrees,
+  SentrySpanExporter,
+  OtlpHttpExporter,
+} from '../../../lib/tracer.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+/**
+ * Exporter stand-in that keeps every exported batch
+ */
+function createRecordingExporter() {
+  return {
+    batches: [],
+    export(spans) {
+      this.batches.push(spans);
+    },
+  };
+}
+
+describe('Tracer', () => {
+  let exporter;
+  let tracer;
+  let logger;
+
+  beforeEach(() => {
+    exporter = createRecordingExporter();
+    tracer = new Tracer({ exporters: [exporter] });
+    logger = new UnifiedLogger({ transports: [new MemoryTransport()], tracer });
+  });
+
+  test('nests spans started inside a transaction and exports the tree once', async () => {
+    await logger.transaction('checkout', async () => {
+      await logger.measurePerformance('load_cart', async () => {
+        await logger.dbQuery('select', 'SELECT * FROM carts WHERE id = $1', {
+          table: 'carts',
+          execute: async () => ({ rowCount: 1 }),
+        });
+      });
+    }, { op: 'task' });
+
+    expect(exporter.batches).toHaveLength(1);
+    const [root] = buildSpanTrees(exporter.batches[0]);
+
+    expect(root).toMatchObject({ name: 'checkout', op: 'task', status: 'ok', parentSpanId: null });
+    expect(root.children).toHaveLength(1);
+    expect(root.children[0]).toMatchObject({ name: 'load_cart', op: 'function' });
+    expect(root.children[0].children[0]).toMatchObject({
+      name: 'db.select',
+      op: 'db',
+      attributes: { 'db.sql.table': 'carts', 'db.rows_affected': 1 },
+    });
+    expect(new Set(exporter.batches[0].map((span) => span.traceId)).size).toBe(1);
+  });
+
+  test('spans keep the logger correlation ID outside any request context', async () => {
+    const transport = new MemoryTransport();
+    const scoped = new UnifiedLogger({ transports: [transport], tracer, correlationId: 'job-42' });
+
+    await scoped.transaction('nightly', async () => {
+      await scoped.measurePerformance('step', async () => scoped.info({ operation: 'inside' }));
+    });
+
+    const inside = transport.records.find((record) => record.operation === 'inside');
+    expect(inside.correlationId).toBe('job-42');
+    expect(inside.traceId).toBe(exporter.batches[0][0].traceId);
+    expect(new Set(transport.records.map((record) => record.correlationId))).toEqual(new Set(['job-42']));
+  });
+
+  test('records exceptions and error status', async () => {
+    await expect(logger.transaction('failing', async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    const [span] = exporter.batches[0];
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+    expect(span.events[0]).toMatchObject({
+      name: 'exception',
+      attributes: { 'exception.message': 'boom' },
+    });
+  });
+
+  test('redacts span attributes and exception events before export', async () => {
+    await expect(logger.apiCall('GET', 'https://api.example.com/me?access_token=abc123', {
+      execute: async () => {
+        throw new Error('Login failed for jane@example.com');
+      },
+    })).rejects.toThrow();
+
+    const [span] = exporter.batches[0];
+    expect(span.attributes['http.url']).toBe('https://api.example.com/me?access_token=[REDACTED:query_secret]');
+    expect(span.events[0].attributes['exception.message']).toBe('Login failed for [REDACTED:email]');
+  });
+
+  test('joins the inbound trace and injects the client span into outbound headers', async () => {
+    let sent;
+    await logger.continueTrace({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, () =>
+      logger.apiCall('GET', 'https://example.com', {
+        execute: async ({ headers }) => {
+          sent = headers;
+          return { status: 503 };
+        },
+      }));
+
+    const [span] = exporter.batches[0];
+    expect(span.traceId).toBe(TRACE_ID);
+    expect(span.attributes).toMatchObject({ 'http.method': 'GET', 'http.status_code': 503 });
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+    expect(sent.traceparent).toBe(`00-${TRACE_ID}-${span.spanId}-01`);
+  });
+
+  test('sibling roots under one remote parent export separately', async () => {
+    await logger.continueTrace({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, async () => {
+      const first = logger.startSpan('first');
+      const second = logger.startSpan('second');
+      logger.endSpan(second);
+      logger.endSpan(first);
+    });
+
+    expect(exporter.batches.map((batch) => batch.map((span) => span.name))).toEqual([['second'], ['first']]);
+  });
+
+  test('Sentry exporter receives one tree per local root', () => {
+    const recorded = [];
+    const sentry = new SentrySpanExporter({ record: (root) => recorded.push(root) });
+    const parent = tracer.startSpan('parent');
+    const child = tracer.startSpan('child', { parent });
+    child.end();
+    parent.end();
+
+    sentry.export([child, parent]);
+    expect(recorded).toHaveLength(1);
+    expect(recorded[0].children[0].name).toBe('child');
+  });
+});
+
+describe('OTLP/HTTP exporter', () => {
+  let server;
+  let received;
+
+  beforeEach(async () => {
+    received = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('posts finished spans as OTLP JSON', async () => {
+    const { port } = server.address();
+    const tracer = new Tracer({
+      serviceName: 'tracer-test',
+      exporters: [new OtlpHttpExporter({
+        endpoint: `http://127.0.0.1:${port}/v1/traces`,
+        headers: 'x-api-key=secret',
+      })],
+    });
+
+    const root = tracer.startSpan('root', { attributes: { count: 2, ratio: 0.5, ok: true } });
+    const child = tracer.startSpan('child', { parent: root });
+    child.addEvent('cache_miss', { key: 'k' });
+    child.end();
+    root.setStatus('ok');
+    root.end();
+    await tracer.flush();
+
+    expect(received).toHaveLength(1);
+    expect(received[0].url).toBe('/v1/traces');
+    expect(received[0].headers['x-api-key']).toBe('secret');
+
+    const [resourceSpans] = received[0].body.resourceSpans;
+    expect(resourceSpans.resource.attributes).toContainEqual({
+      key: 'service.name',
+      value: { stringValue: 'tracer-test' },
+    });
+
+    const spans = resourceSpans.scopeSpans[0].spans;
+    const exportedRoot = spans.find((span) => span.name === 'root');
+    const exportedChild = spans.find((span) => span.name === 'child');
+
+    expect(exportedChild.parentSpanId).toBe(exportedRoot.spanId);
+    expect(exportedRoot.status).toEqual({ code: 1 });
+    expect(exportedRoot.attributes).toEqual(expect.arrayContaining([
+      { key: 'count', value: { intValue: '2' } },
+      { key: 'ratio', value: { doubleValue: 0.5 } },
+      { key: 'ok', value: { boolValue: true } },
+    ]));
+    expect(exportedChild.events[0].name).toBe('cache_miss');
+    expect(BigInt(exportedRoot.endTimeUnixNano)).toBeGreaterThanOrEqual(BigInt(exportedRoot.startTimeUnixNano));
+  });
+});
@@ -0,0 +1,194 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { UnifiedLogger } from '../../../lib/unified-logger.js';
+import {
+  Transport,
+  StdoutTransport,
+  MemoryTransport,
+  FileTransport,
+  getFileTransport,
+  flushFileTransports,
+  formatters,
+} from '../../../lib/transports.js';
+
+describe('Transport pipeline', () => {
+  let memory;
+  let logger;
+
+  beforeEach(() => {
+    memory = new MemoryTransport({ name: 'memory' });
+    logger = new UnifiedLogger({ transports: [memory] });
+  });
+
+  test('fans out to every transport with its own level filter', () => {
+    const errorsOnly = new MemoryTransport({ name: 'errors', level: 'error' });
+    logger.addTransport(errorsOnly);
+
+    logger.info('hello');
+    logger.log('error', { message: 'boom' });
+
+    expect(memory.records.map((r) => r.level)).toEqual(['info', 'error']);
+    expect(errorsOnly.records).toHaveLength(1);
+    expect(errorsOnly.records[0]).toMatchObject({ level: 'error', message: 'boom' });
+  });
+
+  test('applies per-transport formatters', () => {
+    const lines = [];
+    logger.addTransport(new StdoutTransport({ stream: { write: (line) => lines.push(line) } }));
+
+    logger.info('ndjson', { answer: 42 });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].endsWith('\n')).toBe(true);
+    expect(JSON.parse(lines[0])).toMatchObject({ message: 'ndjson', answer: 42, level: 'info' });
+  });
+
+  test('removes transports by name or instance', () => {
+    const extra = new MemoryTransport({ name: 'extra' });
+    logger.addTransport(extra);
+
+    expect(logger.removeTransport('extra')).toBe(true);
+    expect(logger.removeTransport(memory)).toBe(true);
+    expect(logger.removeTransport('missing')).toBe(false);
+    expect(logger.transports).toHaveLength(0);
+  });
+
+  test('children inherit transports', () => {
+    logger.child({ component: 'worker' }).info('from child');
+    expect(memory.records[0]).toMatchObject({ component: 'worker', message: 'from child' });
+  });
+
+  test('a failing transport does not stop the others', () => {
+    class BrokenTransport extends Transport {
+      write() {
+        throw new Error('disk full');
+      }
+    }
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    logger.transports = [new BrokenTransport(), memory];
+
+    logger.info('still delivered');
+
+    expect(memory.records).toHaveLength(1);
+    errorSpy.mockRestore();
+  });
+
+  test('pretty formatter renders a readable line', () => {
+    const line = formatters.pretty({
+      timestamp: '2024-01-01T00:00:00.000Z',
+      level: 'warn',
+      component: 'api',
+      message: 'slow',
+    });
+    expect(line).toBe('2024-01-01T00:00:00.000Z WARN  [api] slow');
+  });
+});
+
+describe('FileTransport', () => {
+  let dir;
+  let filePath;
+
+  // Oldest first; names sort by rotation time once the .gz suffix is ignored
+  const rotatedFiles = () => fs.readdirSync(dir)
+    .filter((name) => name.startsWith('app.log.'))
+    .sort((a, b) => a.replace(/\.gz$/, '').localeCompare(b.replace(/\.gz$/, '')));
+  const readLines = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-transport-'));
+    filePath = path.join(dir, 'app.log');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('rotates once the file reaches maxSize and keeps maxFiles gzipped generations', async () => {
+    const transport = new FileTransport({ filePath, maxSize: 200, maxFiles: 2 });
+
+    for (let i = 0; i < 10; i++) {
+      transport.log('info', { level: 'info', message: `line ${i}`, padding: 'x'.repeat(40) });
+    }
+    await transport.close();
+
+    const rotated = rotatedFiles();
+    expect(rotated).toHaveLength(2);
+    rotated.forEach((name) => expect(name).toMatch(/^app\.log\.\d{4}-.*\.gz$/));
+
+    const newest = zlib.gunzipSync(fs.readFileSync(path.join(dir, rotated[1]))).toString();
+    expect(JSON.parse(newest.trim().split('\n').pop()).message).toBe('line 7');
+
+    const lastLine = readLines(filePath).pop();
+    expect(JSON.parse(lastLine).message).toBe('line 9');
+  });
+
+  test('rotates when the time period changes', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T23:59:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+    const transport = new FileTransport({ filePath, rotateEveryMs: 86400000, compress: false });
+
+    transport.log('info', { message: 'before midnight' });
+    jest.setSystemTime(new Date('2024-01-02T00:01:00Z'));
+    transport.log('info', { message: 'after midnight' });
+    await transport.close();
+
+    expect(rotatedFiles()).toHaveLength(1);
+    expect(readLines(path.join(dir, rotatedFiles()[0])).map((line) => JSON.parse(line).message)).toEqual(['before midnight']);
+    expect(readLines(filePath).map((line) => JSON.parse(line).message)).toEqual(['after midnight']);
+  });
+
+  test('drops rotated files older than maxAgeMs', async () => {
+    const old = path.join(dir, 'app.log.2020-01-01T00-00-00-000Z.gz');
+    fs.writeFileSync(old, '');
+    fs.utimesSync(old, new Date('2020-01-01'), new Date('2020-01-01'));
+
+    const transport = new FileTransport({ filePath, maxSize: 50, maxAgeMs: 86400000 });
+    transport.log('info', { message: 'x'.repeat(60) });
+    transport.log('info', { message: 'rotate' });
+    await transport.flush();
+
+    expect(fs.existsSync(old)).toBe(false);
+    expect(rotatedFiles()).toHaveLength(1);
+    await transport.close();
+  });
+
+  test('appends from several writers stay whole lines', async () => {
+    const writers = [
+      new FileTransport({ filePath, inodeCheckMs: 0 }),
+      new FileTransport({ filePath, inodeCheckMs: 0 }),
+    ];
+
+    for (let i = 0; i < 200; i++) {
+      writers[i % 2].log('info', { message: `line ${i}`, payload: 'y'.repeat(i) });
+    }
+    await Promise.all(writers.map((writer) => writer.close()));
+
+    const lines = readLines(filePath);
+    expect(lines).toHaveLength(200);
+    expect(new Set(lines.map((line) => JSON.parse(line).message)).size).toBe(200);
+  });
+
+  test('reopens the file after another writer rotates it', async () => {
+    const transport = new FileTransport({ filePath, inodeCheckMs: 0, compress: false });
+    transport.log('info', { message: 'first' });
+    fs.renameSync(filePath, `${filePath}.moved`);
+
+    transport.log('info', { message: 'second' });
+    await transport.close();
+
+    expect(readLines(filePath).map((line) => JSON.parse(line).message)).toEqual(['second']);
+  });
+
+  test('getFileTransport shares one instance per path', async () => {
+    const transport = getFileTransport({ filePath });
+    expect(getFileTransport({ filePath })).toBe(transport);
+
+    transport.log('info', { message: 'shared' });
+    await flushFileTransports();
+    await transport.close();
+    expect(readLines(filePath)).toHaveLength(1);
+  });
+});